@@ -0,0 +1,188 @@
+// server/agents/adaptiveStats.js
+// Learned alarm statistics for the "Adaptive Correlation" policy mode (used by Agent A).
+// - Co-occurrence: which alarm types are raised together on a site (and across all sites).
+// - Per-family merge windows: gaps between related alarms, tracked as an EWMA mean/deviation;
+//   the window is mean + 2·dev, clamped, once enough samples exist (fixed default before that).
+// - Confidence: how strongly the alarm types grouped into one incident are known to co-occur.
+// Stats are persisted (debounced) so learning survives restarts.
+
+import { load, put } from '../persistence/store.js';
+import { isCriticalAlarm } from '../utils/policy.js';
+import { familyOf } from '../alarms/store.js'; // windows are tuned per catalog family
+
+const STATS_NS = 'correlation.adaptive';
+const HORIZON_MS = 30 * 60_000;       // alarms this close together count as co-occurring
+const DEFAULT_WINDOW_MS = 5 * 60_000; // until a family has MIN_SAMPLES gaps
+const MIN_WINDOW_MS = 60_000;
+const MAX_WINDOW_MS = 15 * 60_000;
+const MIN_SAMPLES = 5;
+const EWMA_ALPHA = 0.2;
+const MAX_RECENT_PER_SITE = 50;
+const SAVE_DEBOUNCE_MS = 5_000;
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+function emptyScope() {
+  return { alarms: {}, pairs: {} }; // alarm -> count, pairKey -> count
+}
+
+export class AdaptiveStats {
+  constructor() {
+    this.global = emptyScope();
+    this.sites = {};         // siteId -> scope
+    this.families = {};      // family -> { samples, mean, dev }
+    this.recent = {};        // siteId -> [{ alarm, t }] (not persisted)
+    this.observed = 0;
+    this._saveTimer = null;
+    this._restore();
+  }
+
+  _restore() {
+    const saved = load(STATS_NS).value;
+    if (!saved || typeof saved !== 'object') return;
+    this.global = saved.global || emptyScope();
+    this.sites = saved.sites || {};
+    this.families = saved.families || {};
+    this.observed = Number(saved.observed) || 0;
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      put(STATS_NS, { global: this.global, sites: this.sites, families: this.families, observed: this.observed });
+    }, SAVE_DEBOUNCE_MS);
+    this._saveTimer.unref?.();
+  }
+
+  _scope(siteId) {
+    if (!this.sites[siteId]) this.sites[siteId] = emptyScope();
+    return this.sites[siteId];
+  }
+
+  _learnGap(family, gapMs) {
+    const f = this.families[family] || (this.families[family] = { samples: 0, mean: 0, dev: 0 });
+    if (f.samples === 0) {
+      f.mean = gapMs;
+      f.dev = gapMs / 2;
+    } else {
+      const diff = gapMs - f.mean;
+      f.mean += EWMA_ALPHA * diff;
+      f.dev += EWMA_ALPHA * (Math.abs(diff) - f.dev);
+    }
+    f.samples += 1;
+  }
+
+  /** Learn from one raised alarm. */
+  observe(siteId, alarm, ts = Date.now()) {
+    if (!siteId || !alarm) return;
+    const t = typeof ts === 'number' ? ts : (Date.parse(ts) || Date.now());
+    const scope = this._scope(siteId);
+    scope.alarms[alarm] = (scope.alarms[alarm] || 0) + 1;
+    this.global.alarms[alarm] = (this.global.alarms[alarm] || 0) + 1;
+
+    const recent = (this.recent[siteId] || []).filter(r => t - r.t <= HORIZON_MS);
+    const seen = new Set();
+    for (const r of recent) {
+      if (r.alarm === alarm || seen.has(r.alarm)) continue;
+      seen.add(r.alarm);
+      const k = pairKey(alarm, r.alarm);
+      scope.pairs[k] = (scope.pairs[k] || 0) + 1;
+      this.global.pairs[k] = (this.global.pairs[k] || 0) + 1;
+      this._learnGap(familyOf(alarm), Math.abs(t - r.t));
+    }
+    recent.push({ alarm, t });
+    this.recent[siteId] = recent.slice(-MAX_RECENT_PER_SITE);
+    this.observed += 1;
+    this._scheduleSave();
+  }
+
+  /** Learned merge window for a family (default until enough samples). */
+  windowFor(family) {
+    const f = this.families[family];
+    if (!f || f.samples < MIN_SAMPLES) return DEFAULT_WINDOW_MS;
+    return Math.round(clamp(f.mean + 2 * f.dev, MIN_WINDOW_MS, MAX_WINDOW_MS));
+  }
+
+  /** Widest learned window across the given alarm types. */
+  windowForTypes(types = []) {
+    const families = new Set([...types].map(familyOf));
+    if (!families.size) return DEFAULT_WINDOW_MS;
+    return Math.max(...[...families].map(f => this.windowFor(f)));
+  }
+
+  // P(b | a) on the site, falling back to fleet-wide counts when the site has little history
+  _conditional(siteId, a, b) {
+    const site = this.sites[siteId];
+    const useSite = site && (site.alarms[a] || 0) >= MIN_SAMPLES;
+    const scope = useSite ? site : this.global;
+    const n = scope.alarms[a] || 0;
+    return n ? Math.min(1, (scope.pairs[pairKey(a, b)] || 0) / n) : 0;
+  }
+
+  /**
+   * Confidence (0…1) that the grouped alarm types form one real incident.
+   * Multi-type groups score by learned co-occurrence; single types by criticality and history.
+   */
+  confidence(siteId, types = [], count = 1) {
+    const list = [...new Set(types)];
+    const volume = clamp((count - 1) / 4, 0, 1);
+    if (list.length <= 1) {
+      const seen = this.sites[siteId]?.alarms?.[list[0]] || 0;
+      const score = 0.3 + (isCriticalAlarm(list[0]) ? 0.3 : 0) + 0.2 * clamp(seen / 10, 0, 1) + 0.2 * volume;
+      return Number(clamp(score, 0, 1).toFixed(3));
+    }
+    let sum = 0;
+    let pairs = 0;
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        sum += Math.max(this._conditional(siteId, list[i], list[j]), this._conditional(siteId, list[j], list[i]));
+        pairs += 1;
+      }
+    }
+    const score = 0.3 + 0.5 * (sum / pairs) + 0.2 * volume;
+    return Number(clamp(score, 0, 1).toFixed(3));
+  }
+
+  snapshot({ siteId, top = 20 } = {}) {
+    const topPairs = (pairs) => Object.entries(pairs)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, top)
+      .map(([k, n]) => ({ alarms: k.split('|'), count: n }));
+
+    const families = {};
+    for (const [name, f] of Object.entries(this.families)) {
+      families[name] = {
+        samples: f.samples,
+        meanGapMs: Math.round(f.mean),
+        devGapMs: Math.round(f.dev),
+        windowMs: this.windowFor(name),
+        learned: f.samples >= MIN_SAMPLES,
+      };
+    }
+
+    const out = {
+      observed: this.observed,
+      defaultWindowMs: DEFAULT_WINDOW_MS,
+      horizonMs: HORIZON_MS,
+      families,
+      global: { alarms: this.global.alarms, topPairs: topPairs(this.global.pairs) },
+      sites: Object.keys(this.sites).length,
+    };
+    if (siteId) {
+      const s = this.sites[siteId] || emptyScope();
+      out.site = { siteId, alarms: s.alarms, topPairs: topPairs(s.pairs) };
+    }
+    return out;
+  }
+
+  reset() {
+    this.global = emptyScope();
+    this.sites = {};
+    this.families = {};
+    this.recent = {};
+    this.observed = 0;
+    put(STATS_NS, null);
+  }
+}
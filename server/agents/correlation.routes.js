@@ -62,6 +62,58 @@ router.post('/correlate', async (req, res) => {
   fresh(res).json({ ok: true, result, agent: correlationAgent.summary });
 });
 
+// Learned adaptive-correlation statistics: ?siteId=&top=
+router.get('/stats', (req, res) => {
+  const siteId = req.query.siteId ? String(req.query.siteId) : undefined;
+  const top = Number(req.query.top) || undefined;
+  fresh(res).json({ ok: true, stats: correlationAgent.stats.snapshot({ siteId, top }) });
+});
+
+// Forget everything learned so far
+router.post('/stats/reset', (_req, res) => {
+  correlationAgent.stats.reset();
+  fresh(res).json({ ok: true, stats: correlationAgent.stats.snapshot() });
+});
+
+// Correlated incidents: ?siteId=&status=open|closed&since=&until=&alarm=&limit=
+router.get('/incidents', (req, res) => {
+  const q = req.query ?? {};
+  try {
+    const incidents = correlationAgent.listIncidents({
+      siteId: q.siteId ? String(q.siteId) : undefined,
+      status: q.status ? String(q.status) : undefined,
+      since: q.since,
+      until: q.until,
+      alarm: q.alarm ? String(q.alarm) : undefined,
+      limit: q.limit,
+    });
+    fresh(res).json({ ok: true, count: incidents.length, incidents });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// SSE: incident.started / incident.closed as JSON (declared before /incidents/:siteId)
+router.get('/incidents/stream', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  res.write(`event: incidents\ndata: ${JSON.stringify(correlationAgent.listIncidents({ status: 'open' }))}\n\n`);
+  correlationAgent.subscribeIncidents(res);
+});
+
+// One site's incidents + event timeline: ?since=&until=
+router.get('/incidents/:siteId', (req, res) => {
+  try {
+    const out = correlationAgent.siteTimeline(String(req.params.siteId), { since: req.query.since, until: req.query.until });
+    fresh(res).json({ ok: true, ...out });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
 // Logs (SSE)
 router.get('/logs', (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
@@ -1,11 +1,33 @@
 // server/agents/correlationAgent.js
 // Agent A — Correlation: listens to tower-sim events via the Incident Bus,
 // groups alarms into incidents, and informs the Supervisor of changes.
+// "Adaptive Correlation" mode: learned per-family merge windows + confidence per incident.
+// Topology: incidents whose site sits under a faulty parent (shared feeder/hub) carry `root`.
 
 import { onIncident } from '../bus/incidentBus.js';
 import { getPolicy } from '../policy/store.js';
 import { supervisorNote } from '../tools/supervisorNote.js';
-import { isCriticalAlarm, isNoiseAlarm } from '../utils/policy.js';
+import { isCriticalAlarm, isNoiseAlarm, isPolicyModeAdaptive } from '../utils/policy.js';
+import { AdaptiveStats } from './adaptiveStats.js';
+import { findRoot } from '../topology/store.js';
+import { noteSiteIncident, getActiveIncident, transition as transitionIncident } from '../incidents/store.js';
+
+// Bus events carry `ts`; batch/API callers usually send `timestamp`
+const tsOf = (evt) => evt?.timestamp || evt?.ts || new Date().toISOString();
+
+// Closed incidents are kept in one bounded, fleet-wide history (oldest evicted first)
+const CLOSED_RETENTION = Number(process.env.CORRELATION_CLOSED_RETENTION) || 1000;
+const CLOSED_MAX_AGE_MS = (Number(process.env.CORRELATION_CLOSED_MAX_AGE_H) || 24) * 3600_000;
+const MAX_EVENTS_PER_INCIDENT = 100;   // `count` keeps the full total
+
+const eventEntry = (evt) => ({ type: evt.type, alarm: evt.alarm ?? null, ts: tsOf(evt), source: evt.source ?? null });
+
+function parseTime(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const t = typeof value === 'number' || /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(t)) throw new Error(`${label} must be an ISO date/time or epoch ms`);
+  return t;
+}
 
 export class CorrelationAgent {
   constructor(name = 'Agent A') {
@@ -18,7 +40,8 @@ export class CorrelationAgent {
 
     // policy / behavior
     this.delegation = 'disabled';      // enforced by policy
-    this.windowMs = 5 * 60 * 1000;     // merge window (5m)
+    this.windowMs = 5 * 60 * 1000;     // merge window (5m); adaptive mode learns per family
+    this.stats = new AdaptiveStats();  // co-occurrence + gap statistics (learned in every mode)
 
     // stats
     this.tasks = 47;                   // seed to match your UI
@@ -29,8 +52,12 @@ export class CorrelationAgent {
     this.subscribers = new Set();
     this._busUnsub = null;
 
-    // perSite correlation buffers
+    // perSite correlation buffers (open incident per site) + bounded closed history
     this.perSite = Object.create(null);
+    this.activeAlarms = new Map();     // siteId -> Set of alarms raised and not yet cleared (bus view)
+    this.closed = [];
+    this.nextIncidentId = 1;
+    this.incidentSubscribers = new Set();   // SSE clients for incident.started / incident.closed
 
     this._log('initialized (stopped, delegation disabled by policy)');
   }
@@ -123,16 +150,35 @@ export class CorrelationAgent {
   // ------------- bus handling -------------
   _attachBus() {
     const handler = (evt) => this._onIncident(evt);
-    onIncident(handler);
-    return () => { /* no-op disposer; incidentBus currently has no unsubscribe */ };
+    return onIncident(handler); // unsubscribe on stop so restarts do not stack handlers
+  }
+
+  _isAdaptive() {
+    return isPolicyModeAdaptive(getPolicy());
+  }
+
+  // Merge window for a set of alarm types under the active policy mode
+  _windowFor(types) {
+    return this._isAdaptive() ? this.stats.windowForTypes(types) : this.windowMs;
+  }
+
+  _confidence(siteId, types, count) {
+    return this._isAdaptive() ? this.stats.confidence(siteId, types, count) : null;
   }
 
   _onIncident(evt) {
     if (this.status !== 'running') return;
 
     // Visibility only
-    if (evt.type === 'bus.disconnected') { this._log('bus disconnected (tower-sim unavailable)'); return; }
-    if (evt.type === 'bus.reconnected')  { this._log('bus reconnected (tower-sim available)');  return; }
+    if (evt.type === 'bus.disconnected') { this._log(`bus disconnected (${evt.backend || 'tower-sim'} unavailable)`); return; }
+    if (evt.type === 'bus.reconnected')  { this._log(`bus reconnected (${evt.backend || 'tower-sim'} available)`);  return; }
+    if (evt.type === 'tower.stale') {
+      const p = evt.payload || {};
+      this._log(p.state === 'ended'
+        ? `tower state fresh again (${evt.backend || 'tower-sim'}, stale ${p.staleSec}s)`
+        : `tower state stale (${evt.backend || 'tower-sim'}, no snapshot for ${p.ageSec}s)`);
+      return;
+    }
 
     // We only correlate alarms and state updates
     const isAlarmEvt = evt.type === 'alarm.raised' || evt.type === 'alarm.cleared';
@@ -141,12 +187,10 @@ export class CorrelationAgent {
 
     const siteId = evt.siteId || 'unknown';
 
-    // For state updates: if healthy, close open incident & bail
+    // State updates (the bridge sends one merged snapshot, siteId 'all'): close open incidents
+    // whose site is healthy again and reports no critical alarm
     if (isState) {
-      const siteSnap = evt?.state?.sites?.[siteId];
-      if (siteSnap && siteSnap.siteAlive && siteSnap.mains === 'on') {
-        this._closeOpenIncident(siteId, 'service_restored');
-      }
+      this._reconcileSnapshot(evt?.payload?.state?.sites || evt?.state?.sites || {});
       return;
     }
 
@@ -155,6 +199,20 @@ export class CorrelationAgent {
     if (!siteId || siteId === 'unknown') return;         // skip unknown site noise
     if (isNoiseAlarm(alarm)) return;                      // skip unknown/heartbeat/noop
 
+    // A clear never opens or extends an incident; it closes one once no critical alarm remains raised
+    if (evt.type === 'alarm.cleared') {
+      this._activeFor(siteId).delete(alarm);
+      const open = this.perSite[siteId]?.open;
+      if (!open) return;
+      if (open.events.length < MAX_EVENTS_PER_INCIDENT) open.events.push(eventEntry(evt));
+      if (!this._hasCriticalActive(siteId)) this._closeOpenIncident(siteId, 'alarm_cleared');
+      return;
+    }
+    this._activeFor(siteId).add(alarm);
+
+    // Learn from every real alarm, whatever the current mode
+    if (evt.type === 'alarm.raised') this.stats.observe(siteId, alarm, tsOf(evt));
+
     // Policy-aware filter (case-insensitive)
     const policyMode = String(getPolicy()?.alarmPrioritization || '').toLowerCase() || 'critical first';
     if (policyMode === 'critical first' && !isCriticalAlarm(alarm)) {
@@ -163,9 +221,10 @@ export class CorrelationAgent {
     }
 
     // Merge into incident window
-    const s = this._ensureSite(siteId);
+    let s = this._ensureSite(siteId);
     const now = Date.now();
-    const withinWindow = s.open && (now - new Date(s.open.end).getTime() <= this.windowMs);
+    const windowMs = this._windowFor([...(s.open?.types ?? []), alarm]);
+    const withinWindow = s.open && (now - new Date(s.open.end).getTime() <= windowMs);
 
     if (!s.open) {
       s.open = this._newIncident(siteId, evt);
@@ -174,62 +233,87 @@ export class CorrelationAgent {
       this._extend(s.open, evt);
     } else {
       this._closeOpenIncident(siteId, 'window_elapsed');
+      s = this._ensureSite(siteId);
       s.open = this._newIncident(siteId, evt);
       this._notifyStart(s.open);
     }
+  }
 
-    // If the alarm cleared and no critical remains, close early
-    if (evt.type === 'alarm.cleared') {
-      const hasCritical = (s.open?.types ?? new Set()).size
-        ? [...s.open.types].some(isCriticalAlarm)
-        : false;
-      if (!hasCritical) {
-        this._closeOpenIncident(siteId, 'alarm_cleared');
-      }
+  _activeFor(siteId) {
+    if (!this.activeAlarms.has(siteId)) this.activeAlarms.set(siteId, new Set());
+    return this.activeAlarms.get(siteId);
+  }
+
+  _hasCriticalActive(siteId) {
+    return [...(this.activeAlarms.get(siteId) || [])].some(isCriticalAlarm);
+  }
+
+  // A healthy snapshot is the site's actual alarm list: resync the raised set from it and close
+  _reconcileSnapshot(sites) {
+    for (const siteId of Object.keys(this.perSite)) {
+      const snap = sites[siteId];
+      if (!snap || !snap.siteAlive || snap.mains !== 'on') continue;
+      const alarms = (Array.isArray(snap.alarms) ? snap.alarms : []).filter(a => !isNoiseAlarm(a));
+      if (alarms.some(isCriticalAlarm)) continue;
+      this.activeAlarms.set(siteId, new Set(alarms));
+      this._closeOpenIncident(siteId, 'service_restored');
     }
   }
 
   // ------------- correlation primitives -------------
   _ensureSite(siteId) {
-    if (!this.perSite[siteId]) this.perSite[siteId] = { open: null, closed: [] };
+    if (!this.perSite[siteId]) this.perSite[siteId] = { open: null };
     return this.perSite[siteId];
   }
 
   _newIncident(siteId, evt) {
     const inc = {
+      id: `COR-${String(this.nextIncidentId++).padStart(6, '0')}`,
       siteId,
-      start: evt.timestamp,
-      end: evt.timestamp,
+      status: 'open',
+      start: tsOf(evt),
+      end: tsOf(evt),
       count: 1,
       types: new Set([evt.alarm || evt.type]),
-      events: [evt],
+      events: [eventEntry(evt)],
     };
     return inc;
   }
 
   _extend(inc, evt) {
-    inc.end = evt.timestamp;
+    inc.end = tsOf(evt);
     inc.count += 1;
     inc.types.add(evt.alarm || evt.type);
-    inc.events.push(evt);
+    if (inc.events.length < MAX_EVENTS_PER_INCIDENT) inc.events.push(eventEntry(evt));
+  }
+
+  _retain(now = Date.now()) {
+    while (this.closed.length > CLOSED_RETENTION) this.closed.shift();
+    while (this.closed.length && now - Date.parse(this.closed[0].closedAt) > CLOSED_MAX_AGE_MS) this.closed.shift();
   }
 
   _closeOpenIncident(siteId, reason = 'closed') {
-    const s = this._ensureSite(siteId);
-    if (!s.open) return;
+    const s = this.perSite[siteId];
+    if (!s?.open) return;
     const closed = s.open;
-    s.open = null;
+    delete this.perSite[siteId]; // keep the site map to sites with an open incident
 
     const out = {
+      id: closed.id,
       siteId,
+      status: 'closed',
       start: closed.start,
       end: closed.end,
+      closedAt: new Date().toISOString(),
       count: closed.count,
       types: [...closed.types],
       events: closed.events,
       reason,
+      confidence: this._confidence(siteId, [...closed.types], closed.count),
     };
-    s.closed.push(out);
+    this.closed.push(out);
+    this._retain();
+    this._publish('incident.closed', out);
 
     this.lastTask = `incident.closed ${siteId} (${reason}) with ${out.count} events`;
     this.tasks += 1;
@@ -237,20 +321,125 @@ export class CorrelationAgent {
 
     // Inform Supervisor (fire-and-forget)
     supervisorNote(
-      `Correlation: closed incident @${siteId} (${reason}). Alarms: ${out.types.join(', ')}`
+      `Correlation: closed incident @${siteId} (${reason}). Alarms: ${out.types.join(', ')}` +
+      (out.confidence !== null ? ` (confidence ${out.confidence})` : '')
     );
+
+    // Keep the Incident record in step: an outage whose alarms are gone is done — whether the agents
+    // restored it, or it was left stabilized / dispatched and recovered on its own (or by the crew)
+    noteSiteIncident(siteId, { type: 'correlation.closed', agent: this.name, note: reason });
+    const tracked = getActiveIncident(siteId);
+    if (tracked && reason !== 'window_elapsed') {
+      try {
+        if (tracked.state === 'stabilized' || tracked.state === 'dispatched') {
+          transitionIncident(tracked.id, 'restored', { agent: this.name, note: `alarms cleared after ${tracked.state} (${reason})` });
+        }
+        if (getActiveIncident(siteId)?.state === 'restored') {
+          transitionIncident(tracked.id, 'closed', { agent: this.name, note: `correlation closed (${reason})` });
+        }
+      } catch {}
+    }
     return out;
   }
 
   _notifyStart(inc) {
-    this.lastTask = `incident.started ${inc.siteId} (alarms=${[...inc.types].join(', ')})`;
+    const confidence = this._confidence(inc.siteId, [...inc.types], inc.count);
+    this.lastTask = `incident.started ${inc.siteId} (alarms=${[...inc.types].join(', ')}` +
+      `${confidence !== null ? `, confidence=${confidence}` : ''})`;
     this.tasks += 1;
     this._log(this.lastTask);
+    this._publish('incident.started', { ...this._view(inc), confidence });
 
     // Inform Supervisor (fire-and-forget)
     supervisorNote(
       `Correlation: started incident @${inc.siteId} (${[...inc.types].join(', ')})`
     );
+    noteSiteIncident(inc.siteId, { type: 'correlation.started', agent: this.name, note: [...inc.types].join(', ') });
+  }
+
+  // ------------- incident queries / stream -------------
+  _view(inc) {
+    if (inc.status === 'closed') return inc;
+    return {
+      id: inc.id,
+      siteId: inc.siteId,
+      status: 'open',
+      start: inc.start,
+      end: inc.end,
+      closedAt: null,
+      count: inc.count,
+      types: [...inc.types],
+      events: inc.events,
+      reason: null,
+      confidence: this._confidence(inc.siteId, [...inc.types], inc.count),
+    };
+  }
+
+  _publish(event, inc) {
+    if (!this.incidentSubscribers.size) return;
+    const { events, ...rest } = inc;
+    const data = JSON.stringify({ type: event, ts: new Date().toISOString(), incident: { ...rest, events: events.length } });
+    for (const res of this.incidentSubscribers) {
+      try { res.write(`event: ${event}\ndata: ${data}\n\n`); } catch {}
+    }
+  }
+
+  /**
+   * Open + retained closed incidents, newest first.
+   * Filters: siteId, status ('open' | 'closed'), since/until (overlap with [start, end]), alarm (type contained).
+   * Throws on an invalid time filter.
+   */
+  listIncidents({ siteId, status, since, until, alarm, limit = 100, withEvents = false } = {}) {
+    const from = parseTime(since, 'since');
+    const to = parseTime(until, 'until');
+    if (status && status !== 'open' && status !== 'closed') throw new Error('status must be "open" or "closed"');
+    this._retain();
+
+    const open = Object.values(this.perSite).filter(s => s.open).map(s => this._view(s.open));
+    const want = String(alarm || '').toLowerCase();
+    const list = [...(status === 'closed' ? [] : open), ...(status === 'open' ? [] : this.closed)]
+      .filter(i => !siteId || i.siteId === siteId)
+      .filter(i => from === null || Date.parse(i.closedAt || i.end) >= from)
+      .filter(i => to === null || Date.parse(i.start) <= to)
+      .filter(i => !want || i.types.some(t => String(t).toLowerCase() === want))
+      .sort((a, b) => Date.parse(b.start) - Date.parse(a.start))
+      .slice(0, Math.min(1000, Math.max(1, Number(limit) || 100)));
+    return withEvents ? list : list.map(({ events, ...rest }) => ({ ...rest, events: events.length }));
+  }
+
+  /** One site's incidents (oldest first) and a flat event timeline across them. */
+  siteTimeline(siteId, { since, until } = {}) {
+    const incidents = this.listIncidents({ siteId, since, until, limit: 1000, withEvents: true }).reverse();
+    const timeline = [];
+    for (const inc of incidents) {
+      timeline.push({ ts: inc.start, type: 'incident.started', incidentId: inc.id, types: inc.types });
+      for (const e of inc.events) timeline.push({ ...e, incidentId: inc.id });
+      if (inc.status === 'closed') timeline.push({ ts: inc.closedAt, type: 'incident.closed', incidentId: inc.id, reason: inc.reason });
+    }
+    timeline.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+    return {
+      siteId,
+      open: incidents.find(i => i.status === 'open') || null,
+      incidents: incidents.map(({ events, ...rest }) => ({ ...rest, events: events.length })),
+      timeline,
+    };
+  }
+
+  subscribeIncidents(res) {
+    this.incidentSubscribers.add(res);
+    const ping = setInterval(() => { try { res.write(': ping\n\n'); } catch {} }, 30000);
+    res.on('close', () => {
+      clearInterval(ping);
+      this.incidentSubscribers.delete(res);
+      try { res.end(); } catch {}
+    });
+  }
+
+  /** Site has a live (within-window) correlation buffer. */
+  _isAlarming(siteId) {
+    const open = this.perSite[siteId]?.open;
+    if (!open) return false;
+    return Date.now() - new Date(open.end).getTime() <= this._windowFor([...open.types]);
   }
 
   // ------------- utility (optional external call) -------------
@@ -275,39 +464,49 @@ export class CorrelationAgent {
     }
 
     const incidents = [];
-    const WINDOW_MS = this.windowMs;
+    const adaptive = policyMode === 'adaptive correlation';
+    const isAlarming = (id) => bySite.has(id) || this._isAlarming(id);
 
     for (const [site, list] of bySite.entries()) {
-      list.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      list.sort((a, b) => new Date(tsOf(a)) - new Date(tsOf(b)));
       let cur = null;
 
       const PUSH = () => {
         if (!cur) return;
+        const types = [...cur.types];
         incidents.push({
           siteId: site,
           start: cur.start,
           end: cur.end,
           count: cur.count,
-          types: [...cur.types],
+          types,
           events: cur.events,
+          ...(adaptive ? {
+            windowMs: this.stats.windowForTypes(types),
+            confidence: this.stats.confidence(site, types, cur.count),
+          } : {}),
+          root: findRoot(site, isAlarming),
         });
       };
 
       for (const ev of list) {
-        const t = new Date(ev.timestamp).getTime();
+        const ts = tsOf(ev);
+        const t = new Date(ts).getTime();
+        const typ = ev.type || ev.alarm;
         if (!cur) {
-          cur = { start: ev.timestamp, end: ev.timestamp, count: 1, types: new Set([ev.type || ev.alarm]), events: [ev] };
+          cur = { start: ts, end: ts, count: 1, types: new Set([typ]), events: [ev] };
           continue;
         }
         const last = new Date(cur.end).getTime();
-        if (t - last <= WINDOW_MS) {
-          cur.end = ev.timestamp;
+        const windowMs = adaptive ? this.stats.windowForTypes([...cur.types, typ]) : this.windowMs;
+        if (t - last <= windowMs) {
+          cur.end = ts;
           cur.count++;
-          cur.types.add(ev.type || ev.alarm);
+          cur.types.add(typ);
           cur.events.push(ev);
         } else {
           PUSH();
-          cur = { start: ev.timestamp, end: ev.timestamp, count: 1, types: new Set([ev.type || ev.alarm]), events: [ev] };
+          cur = { start: ts, end: ts, count: 1, types: new Set([typ]), events: [ev] };
         }
       }
       PUSH();
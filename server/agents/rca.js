@@ -3,9 +3,14 @@
 
 import { getState } from '../tower/client.js';
 import { supervisorNote } from '../tools/supervisorNote.js';
+import { advanceSiteIncident, noteSiteIncident } from '../incidents/store.js';
+import { load, append } from '../persistence/store.js';
+import { detectSiteAlarms, isNoise } from '../alarms/store.js';
+import { describeTrend } from '../tower/history.js';
 
-const NOISE_CAUSES = new Set(['unknown', 'heartbeat', 'noop']); // compare lowercased
 const DEDUP_WINDOW_MS = 10_000; // suppress repeats per site/cause/resolution for 10s
+const MAX_CASEBOOK = 5000;      // in-memory + persisted retention
+const CASEBOOK_NS = 'rca.casebook';
 
 export class RcaAgent {
   constructor(name = 'Agent C') {
@@ -20,7 +25,10 @@ export class RcaAgent {
     this.casebook = []; // { ts, siteId, cause, actions[], resolution, dispatchSuggested, ongoing, summary }
     this._lastBySite = new Map(); // siteId -> { cause, resolution, ts }
 
-    this._log('initialized (stopped)');
+    // Rehydrate persisted cases so RCA history survives restarts
+    this.casebook = load(CASEBOOK_NS, { maxItems: MAX_CASEBOOK }).items;
+
+    this._log(`initialized (stopped, ${this.casebook.length} case(s) rehydrated)`);
   }
 
   _log(msg) {
@@ -75,8 +83,7 @@ export class RcaAgent {
   // ---------- helpers ----------
   _isNoise({ siteId, cause }) {
     if (!siteId || siteId === 'unknown') return true;
-    const c = String(cause || '').toLowerCase();
-    return NOISE_CAUSES.has(c);
+    return isNoise(cause || 'unknown');
   }
 
   _dedup(siteId, cause, resolution) {
@@ -90,13 +97,7 @@ export class RcaAgent {
   }
 
   _detectAlarmsFromSite(site) {
-    if (!site) return [];
-    const alarms = [];
-    if (site.mains === 'off') alarms.push('Mains.Off');
-    if (site.siteAlive === false) alarms.push('Site.Down');
-    if (site.antenna1?.service === 'Unavailable') alarms.push('Antenna.A1.Unavailable');
-    if (site.antenna2?.service === 'Unavailable') alarms.push('Antenna.A2.Unavailable');
-    return alarms;
+    return detectSiteAlarms(site).map(a => a.code);
   }
 
   _buildSummaryLine({ siteId, cause, resolution }, site, alarms) {
@@ -161,10 +162,19 @@ export class RcaAgent {
     }
 
     this.casebook.push(item);
+    if (this.casebook.length > MAX_CASEBOOK) this.casebook.shift();
+    append(CASEBOOK_NS, item);
     this.tasks += 1;
     this.lastTask = `RCA recorded ${siteId} (resolution=${resolution}, dispatch=${item.dispatchSuggested})`;
     this._log(this.lastTask);
 
+    // Outcome resolutions move the incident; everything else is timeline-only
+    if (resolution === 'restored' || resolution === 'stabilized') {
+      advanceSiteIncident(siteId, resolution, { agent: this.name, note: item.summary });
+    } else {
+      noteSiteIncident(siteId, { type: 'rca.recorded', agent: this.name, note: `resolution=${resolution}` });
+    }
+
     return { ok: true, case: item };
   }
 
@@ -224,6 +234,7 @@ export class RcaAgent {
     const a1 = site?.antenna1?.service ?? 'n/a';
     const a2 = site?.antenna2?.service ?? 'n/a';
     const batt = (site?.batteryPercent ?? 'n/a');
+    const trend = describeTrend(siteId);
 
     const actionsTxt = (latest.actions || [])
       .map(a => (typeof a === 'string'
@@ -231,11 +242,13 @@ export class RcaAgent {
         : `- ${a.action || 'action'} ${a.args ? JSON.stringify(a.args) : ''} ${a.reason ? `| ${a.reason}` : ''}`))
       .join('\n');
 
+    advanceSiteIncident(siteId, 'dispatched', { agent: this.name, note: 'dispatch email composed' });
+
     const subject = `[DISPATCH] ${siteId} – ${latest.cause || 'Degradation'} – Action required`;
     const body =
 `Site: ${siteId}
 When: ${latest.ts}
-Current status: mains=${mains}, cell=${alive}, A1=${a1}, A2=${a2}, battery=${batt}%
+Current status: mains=${mains}, cell=${alive}, A1=${a1}, A2=${a2}, battery=${batt}%${trend ? `\nRecent trend: ${trend}` : ''}
 Open alarms: ${alarms.length ? alarms.join(', ') : 'none detected'}
 
 Actions taken so far:
@@ -4,12 +4,18 @@
 import { getPolicy } from '../policy/store.js';
 import { getState, power, rru } from '../tower/client.js';
 import { supervisorNote } from '../tools/supervisorNote.js';
+import { advanceSiteIncident, noteSiteIncident } from '../incidents/store.js';
+import { activeWindowFor } from '../maintenance/store.js';
+import { detectSiteAlarms, remediationFor } from '../alarms/store.js';
 
 const MAX_SWEEPS = 3;
 const MAX_RRU_ATTEMPTS = 3;
 const RECHECK_MS = 1200;
 const BOOT_SETTLE_MS = 2500;
 const BETWEEN_ACTION_MS = 500;
+// Tower commands one run (mitigation or approved plan) may send. Kept under the gateway's per-site rate
+// limit (TOWER_CMD_RATE_LIMIT, default 20/min) so a run winds down before the interlock refuses it.
+const CMD_BUDGET = Number(process.env.AGENT_B_CMD_BUDGET) || 15;
 
 export class TroubleshootingAgent {
   constructor(name = 'Agent B') {
@@ -21,6 +27,7 @@ export class TroubleshootingAgent {
     this.lastTask = null;
     this.logs = [];
     this.subscribers = new Set();
+    this.generation = 0;          // bumped on stop(): runs started before a stop/restart wind down
     this._log('initialized (stopped)');
   }
 
@@ -33,6 +40,44 @@ export class TroubleshootingAgent {
     }
   }
 
+  // Audit context for tower commands; `approvedBy` is the operator who approved the plan being run
+  _ctx(reason, run = null) {
+    return { actor: this.name, reason, approvedBy: run?.approvedBy || null };
+  }
+
+  // Tower command errors don't stop the plan (the re-check decides), but interlock refusals are logged
+  _commandFailed(e) {
+    if (e?.interlock) this._log(`command refused by interlock ${e.interlock}: ${e.message}`);
+    return null;
+  }
+
+  // Every tower command of a run spends from its budget; once spent, nothing more is sent
+  async _command(send, args, reason, run = null) {
+    if (this._budgetSpent(run)) return null;
+    if (run) run.sent += 1;
+    return send(args, this._ctx(reason, run)).catch(e => this._commandFailed(e));
+  }
+
+  // `need`: commands that must go out together (a reset's OFF is never sent without its ON)
+  _budgetSpent(run, need = 1) {
+    if (!run || run.sent + need <= CMD_BUDGET) return false;
+    if (!run.budgetLogged) this._log(`command budget spent (${CMD_BUDGET}) → no further commands this run`);
+    run.budgetLogged = true;
+    return true;
+  }
+
+  // A run's context: the watchdog's deadline signal, the agent generation at start (cancellation)
+  // and the approving operator for HITL plans (audit)
+  _runToken(signal, approvedBy = null) {
+    return { signal, gen: this.generation, approvedBy, sent: 0 };
+  }
+
+  // Checked between steps, sweeps and heal attempts so a timed-out or restarted run stops sending commands
+  _cancelled(run) {
+    if (!run) return false;
+    return Boolean(run.signal?.aborted) || this.status !== 'running' || run.gen !== this.generation;
+  }
+
   get summary() {
     const live = this.startedAt ? Math.floor((Date.now() - this.startedAt.getTime()) / 1000) : 0;
     return {
@@ -53,6 +98,7 @@ export class TroubleshootingAgent {
   }
 
   stop() {
+    this.generation += 1;
     if (this.status !== 'running') {
       this.status = 'stopped';
       this._log('stopped (no-op)');
@@ -85,48 +131,35 @@ export class TroubleshootingAgent {
   }
 
   _detectAlarms(site) {
-    const out = [];
-    if (!site) return out;
-    if (site.mains === 'off') out.push({ code: 'Mains.Off', detail: 'Grid power off' });
-    if (site.siteAlive === false) out.push({ code: 'Site.Down', detail: 'Site not reachable/booting' });
-    if (site.antenna1?.service === 'Unavailable') out.push({ code: 'Antenna.A1.Unavailable', detail: 'A1 RRU/service down' });
-    if (site.antenna2?.service === 'Unavailable') out.push({ code: 'Antenna.A2.Unavailable', detail: 'A2 RRU/service down' });
-    const batt = Number(site.batteryPercent ?? 100);
-    if (site.mains === 'off' && batt < 40) out.push({ code: 'Battery.Low.GridDown', detail: `Battery ${batt}% with grid down` });
-    return out;
+    return detectSiteAlarms(site);
   }
 
+  // Plan = the catalog's remediation hints for each detected alarm, in detection order
   _buildPlan(siteId, site) {
     const alarms = this._detectAlarms(site);
     const steps = [];
-
-    if (alarms.find(a => a.code === 'Mains.Off')) {
-      steps.push({ action: 'power.on', args: { siteId }, reason: 'Restore grid power' });
-    }
-    if (alarms.find(a => a.code === 'Antenna.A1.Unavailable')) {
-      steps.push({ action: 'rru.ensure', args: { siteId, antenna: 'a1' }, reason: 'Heal A1 to Available' });
-    }
-    if (alarms.find(a => a.code === 'Antenna.A2.Unavailable')) {
-      steps.push({ action: 'rru.ensure', args: { siteId, antenna: 'a2' }, reason: 'Heal A2 to Available' });
-    }
-
-    // Battery saver: keep A1 only when grid down + low battery and both up
-    const batt = Number(site?.batteryPercent ?? 100);
     const a1Up = site?.antenna1?.service === 'Available';
     const a2Up = site?.antenna2?.service === 'Available';
-    if (site?.mains === 'off' && batt < 40 && a1Up && a2Up) {
-      steps.push({ action: 'rru.off', args: { siteId, antenna: 'a2' }, reason: 'Extend autonomy; keep A1 only' });
+
+    for (const alarm of alarms) {
+      for (const r of remediationFor(alarm.code)) {
+        // Battery saver (switching a radio off) only while both radios are up
+        if (r.action === 'rru.off' && !(a1Up && a2Up)) continue;
+        if (steps.some(s => s.action === r.action && s.args.antenna === r.args?.antenna)) continue;
+        steps.push({ action: r.action, args: { siteId, ...r.args }, reason: r.reason });
+      }
     }
 
     return { alarms, steps };
   }
 
-  async _applyStep(step, _siteBefore) {
+  async _applyStep(step, _siteBefore, run = null) {
     const { action, args } = step || {};
     if (!action || !args) return { ok: true };
+    noteSiteIncident(args.siteId, { type: 'action', agent: this.name, note: `${action} ${args.antenna || ''}`.trim(), data: args });
 
     if (action === 'power.on') {
-      await power({ sites: args.siteId, state: 'on' }).catch(() => null);
+      await this._command(power, { sites: args.siteId, state: 'on' }, step.reason, run);
       this._log(`power ON issued for ${args.siteId}`);
       supervisorNote(`Troubleshooting: powered ON ${args.siteId}`);
       // Give the sim time to boot fully before touching RRUs
@@ -135,19 +168,19 @@ export class TroubleshootingAgent {
     }
 
     if (action === 'rru.off') {
-      await rru({ site: args.siteId, antenna: args.antenna, state: 'off' }).catch(() => null);
+      await this._command(rru, { site: args.siteId, antenna: args.antenna, state: 'off' }, step.reason, run);
       this._log(`RRU OFF issued ${args.siteId} ${args.antenna}`);
       return { ok: true };
     }
 
     if (action === 'rru.ensure') {
       // Make sure the antenna ends in Available, not just "ON" command issued.
-      return await this._healRadio(args.siteId, args.antenna);
+      return await this._healRadio(args.siteId, args.antenna, run);
     }
 
     if (action === 'rru.on') {
       // (used by _healRadio internally, but kept for completeness)
-      await rru({ site: args.siteId, antenna: args.antenna, state: 'on' }).catch(() => null);
+      await this._command(rru, { site: args.siteId, antenna: args.antenna, state: 'on' }, step.reason, run);
       this._log(`RRU ON issued ${args.siteId} ${args.antenna}`);
       return { ok: true };
     }
@@ -155,28 +188,36 @@ export class TroubleshootingAgent {
     return { ok: true };
   }
 
-  async _healRadio(siteId, antenna) {
-    // Attempt sequence: ON → check → if still Unavailable, OFF → ON (reset) → check, repeat up to MAX_RRU_ATTEMPTS
+  async _healRadio(siteId, antenna, run = null) {
+    // Attempt sequence: ON → check → if still Unavailable, OFF → ON (reset) → check; later attempts
+    // repeat only the reset (it already ends in ON), up to MAX_RRU_ATTEMPTS
     for (let attempt = 1; attempt <= MAX_RRU_ATTEMPTS; attempt++) {
-      await rru({ site: siteId, antenna, state: 'on' }).catch(() => null);
-      this._log(`RRU ON issued ${siteId} ${antenna} (attempt ${attempt}/${MAX_RRU_ATTEMPTS})`);
-      await this._sleep(RECHECK_MS);
-      let s = await this._fetchSite(siteId);
-
-      // Occasionally after power returns the site toggles alive; wait extra if needed
-      if (s && s.mains === 'on' && !s.siteAlive) {
-        this._log(`waiting siteAlive after RRU ON on ${siteId}…`);
-        s = await this._waitAndGet(siteId, 3, RECHECK_MS) || s;
+      if (this._cancelled(run)) return { ok: false, error: 'aborted' };
+      if (this._budgetSpent(run)) return { ok: false, error: 'command_budget_spent' };
+      let s;
+      if (attempt === 1) {
+        await this._command(rru, { site: siteId, antenna, state: 'on' }, `heal ${antenna} attempt ${attempt}`, run);
+        this._log(`RRU ON issued ${siteId} ${antenna} (attempt ${attempt}/${MAX_RRU_ATTEMPTS})`);
+        await this._sleep(RECHECK_MS);
+        s = await this._fetchSite(siteId);
+
+        // Occasionally after power returns the site toggles alive; wait extra if needed
+        if (s && s.mains === 'on' && !s.siteAlive) {
+          this._log(`waiting siteAlive after RRU ON on ${siteId}…`);
+          s = await this._waitAndGet(siteId, 3, RECHECK_MS) || s;
+        }
+
+        const svc = antenna === 'a1' ? s?.antenna1?.service : s?.antenna2?.service;
+        if (svc === 'Available') return { ok: true };
       }
 
-      const svc = antenna === 'a1' ? s?.antenna1?.service : s?.antenna2?.service;
-      if (svc === 'Available') return { ok: true };
-
       // Reset if still unavailable
-      await rru({ site: siteId, antenna, state: 'off' }).catch(() => null);
+      if (this._cancelled(run)) return { ok: false, error: 'aborted' };
+      if (this._budgetSpent(run, 2)) return { ok: false, error: 'command_budget_spent' };
+      await this._command(rru, { site: siteId, antenna, state: 'off' }, `reset ${antenna} attempt ${attempt}`, run);
       this._log(`RRU RESET step (OFF) ${siteId} ${antenna} (attempt ${attempt})`);
       await this._sleep(400);
-      await rru({ site: siteId, antenna, state: 'on' }).catch(() => null);
+      await this._command(rru, { site: siteId, antenna, state: 'on' }, `reset ${antenna} attempt ${attempt}`, run);
       this._log(`RRU RESET step (ON) ${siteId} ${antenna} (attempt ${attempt})`);
       await this._sleep(RECHECK_MS);
 
@@ -188,17 +229,116 @@ export class TroubleshootingAgent {
     return { ok: false, error: 'rru_unavailable' };
   }
 
+  // Planned work in progress on this site → never touch it
+  _maintenanceBlock(siteId) {
+    const mw = activeWindowFor(siteId);
+    if (!mw) return null;
+    this._log(`maintenance window ${mw.id}${mw.crqId ? ` (CRQ ${mw.crqId})` : ''} active on ${siteId} → no actions`);
+    return { ok: false, error: 'maintenance_window', window: { id: mw.id, crqId: mw.crqId, end: mw.end } };
+  }
+
+  // Is this step still relevant for the site as it is *now*? (operator may approve minutes later)
+  _isStepStillNeeded(step, site) {
+    const { action, args } = step || {};
+    const svc = args?.antenna === 'a1' ? site?.antenna1?.service : site?.antenna2?.service;
+    if (action === 'power.on') return site?.mains === 'off';
+    if (action === 'rru.ensure' || action === 'rru.on') return svc !== 'Available';
+    if (action === 'rru.off') return svc === 'Available';
+    return true;
+  }
+
+  /**
+   * Execute an operator-approved plan (HITL).
+   * - Re-reads the site first; steps that are no longer needed are skipped.
+   * - Runs only the approved steps (no extra sweeps) and reports progress per step.
+   */
+  async executePlan(siteId, steps = [], { onProgress, signal, approvedBy } = {}) {
+    if (this.status !== 'running') return { ok: false, error: 'Agent not running' };
+    const run = this._runToken(signal, approvedBy);
+    const blocked = this._maintenanceBlock(siteId);
+    if (blocked) return blocked;
+    const report = (evt) => { try { onProgress?.(evt); } catch {} };
+
+    let site = await this._fetchSite(siteId);
+    if (!site) {
+      this._log(`execute: site ${siteId} not found`);
+      return { ok: false, error: 'site_not_found' };
+    }
+
+    const initialAlarms = this._detectAlarms(site);
+    advanceSiteIncident(siteId, 'mitigating', { agent: this.name, note: `executing approved plan (${steps.length} step(s))` });
+    this._log(`execute: approved plan for ${siteId} (${steps.length} step(s), alarms=${initialAlarms.map(a => a.code).join(', ') || 'none'})`);
+
+    const actionsTaken = [];
+    const skipped = [];
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      if (this._cancelled(run)) {
+        this._log(`execute: aborted ${siteId} at step ${i + 1} (${run.signal?.aborted ? 'deadline passed' : 'agent stopped'})`);
+        return { ok: false, error: 'aborted', actionsTaken, skipped };
+      }
+
+      if (!this._isStepStillNeeded(step, site)) {
+        skipped.push(step);
+        this._log(`execute: skip ${step.action} ${JSON.stringify(step.args)} (no longer needed)`);
+        report({ index: i, step, status: 'skipped', reason: 'no_longer_needed' });
+        continue;
+      }
+
+      report({ index: i, step, status: 'running' });
+      const out = await this._applyStep(step, site, run);
+      actionsTaken.push(step);
+      report({ index: i, step, status: out?.ok === false ? 'failed' : 'done', error: out?.error });
+      await this._sleep(BETWEEN_ACTION_MS);
+      site = await this._fetchSite(siteId) || site;
+    }
+
+    site = await this._waitAndGet(siteId, 2, RECHECK_MS) || site;
+    const finalAlarms = this._detectAlarms(site);
+    const clearedAlarms = initialAlarms.filter(a0 => !finalAlarms.find(a1 => a1.code === a0.code));
+    const allClear = finalAlarms.length === 0;
+
+    this.tasks += 1;
+    this.lastTask = `executed approved plan ${siteId} (${actionsTaken.length} applied, ${skipped.length} skipped, allClear=${allClear})`;
+    this._log(this.lastTask);
+    supervisorNote(`Troubleshooting: approved plan for ${siteId} executed; remaining alarms=${finalAlarms.map(a => a.code).join(', ') || 'none'}.`);
+    noteSiteIncident(siteId, {
+      type: 'mitigation.finished',
+      agent: this.name,
+      note: allClear ? 'all clear' : `remaining: ${finalAlarms.map(a => a.code).join(', ')}`,
+    });
+
+    return {
+      ok: true,
+      site,
+      actionsTaken,
+      skipped,
+      clearedAlarms,
+      remainingAlarms: finalAlarms,
+      allClear,
+    };
+  }
+
   /**
    * Mitigation with alarm sweep and radio healing.
    * - E2E automation: executes plan & up to MAX_SWEEPS sweeps.
-   * - Human-in-the-loop: returns a plan (no changes).
+   * - Human-in-the-loop (or requireApproval): returns a plan (no changes).
    */
-  async mitigateSite(siteId) {
+  async mitigateSite(siteId, { requireApproval = false, signal } = {}) {
     if (this.status !== 'running') return { ok: false, error: 'Agent not running' };
+    const run = this._runToken(signal);
+    const aborted = (where, actionsTaken) => {
+      this._log(`mitigate: aborted ${siteId} ${where} (${run.signal?.aborted ? 'deadline passed' : 'agent stopped'})`);
+      noteSiteIncident(siteId, { type: 'mitigation.aborted', agent: this.name, note: where });
+      return { ok: false, error: 'aborted', actionsTaken };
+    };
 
     const policy = getPolicy();
     const e2e = String(policy?.waysOfWorking || '').toLowerCase() === 'e2e automation';
 
+    const blocked = this._maintenanceBlock(siteId);
+    if (blocked) return blocked;
+
     // initial snapshot
     let site = await this._fetchSite(siteId);
     if (!site) {
@@ -212,19 +352,22 @@ export class TroubleshootingAgent {
 
     const initial = this._buildPlan(siteId, site);
 
-    if (!e2e) {
+    if (!e2e || requireApproval) {
       // HITL → return plan, do not execute
       const planText = initial.steps.map(s => `- ${s.action} ${JSON.stringify(s.args)} | ${s.reason}`).join('\n');
       supervisorNote(`Troubleshooting (HITL): Proposed plan for ${siteId}:\n${planText || '(no actions needed)'}`);
       this._log(`policy HITL → approval required for ${siteId}, ${initial.steps.length} step(s)`);
+      noteSiteIncident(siteId, { type: 'plan.proposed', agent: this.name, data: { steps: initial.steps } });
       return { ok: false, error: 'approval_required', plan: initial.steps, alarms: initial.alarms, site };
     }
 
     // E2E execution
+    advanceSiteIncident(siteId, 'mitigating', { agent: this.name, note: `E2E plan (${initial.steps.length} step(s))` });
     const actionsTaken = [];
     // First pass (initial plan)
     for (const step of initial.steps) {
-      await this._applyStep(step, site);
+      if (this._cancelled(run)) return aborted(`before ${step.action}`, actionsTaken);
+      await this._applyStep(step, site, run);
       actionsTaken.push(step);
       await this._sleep(BETWEEN_ACTION_MS);
     }
@@ -239,6 +382,8 @@ export class TroubleshootingAgent {
     // Alarm sweeps (heal radios until they become Available or we hit the cap)
     let pass = 0;
     while (pass < MAX_SWEEPS) {
+      if (this._cancelled(run)) return aborted(`before sweep ${pass + 1}`, actionsTaken);
+      if (this._budgetSpent(run)) break;   // report what the commands sent so far achieved
       pass += 1;
       site = await this._waitAndGet(siteId, 1, RECHECK_MS) || site;
 
@@ -252,7 +397,8 @@ export class TroubleshootingAgent {
       // If power just came back but radios are still Unavailable, heal each antenna deterministically
       for (const ra of radioAlarms) {
         const antenna = ra.code.includes('A1') ? 'a1' : 'a2';
-        const ok = await this._healRadio(siteId, antenna);
+        if (this._cancelled(run)) return aborted(`during sweep ${pass}`, actionsTaken);
+        const ok = await this._healRadio(siteId, antenna, run);
         actionsTaken.push({ action: 'rru.ensure', args: { siteId, antenna }, reason: 'Radio heal sweep' });
         if (!ok.ok) this._log(`radio heal sweep could not restore ${antenna} on ${siteId}`);
         await this._sleep(BETWEEN_ACTION_MS);
@@ -260,7 +406,8 @@ export class TroubleshootingAgent {
 
       // If mains still off, try once more to bring it back (in case of race)
       if (mainsOff) {
-        await power({ sites: siteId, state: 'on' }).catch(() => null);
+        if (this._cancelled(run)) return aborted(`during sweep ${pass}`, actionsTaken);
+        await this._command(power, { sites: siteId, state: 'on' }, 'Sweep retry', run);
         this._log(`retry power ON for ${siteId} during sweep`);
         actionsTaken.push({ action: 'power.on', args: { siteId }, reason: 'Sweep retry' });
         await this._sleep(BOOT_SETTLE_MS);
@@ -282,6 +429,12 @@ export class TroubleshootingAgent {
     } else {
       supervisorNote(`Troubleshooting: ${siteId} stabilized; remaining alarms=${finalAlarms.map(a => a.code).join(', ') || 'none'}.`);
     }
+    noteSiteIncident(siteId, {
+      type: 'mitigation.finished',
+      agent: this.name,
+      note: allClear ? 'all clear' : `remaining: ${finalAlarms.map(a => a.code).join(', ')}`,
+      data: { passes: pass, actions: actionsTaken.length },
+    });
 
     return {
       ok: true,
@@ -0,0 +1,74 @@
+// server/alarms/routes.js
+import { Router } from 'express';
+import {
+  getCatalog,
+  listCatalog,
+  lookupAlarm,
+  upsertEntry,
+  removeEntry,
+  replaceCatalog,
+  resetCatalog,
+} from './store.js';
+
+const router = Router();
+
+function fresh(res) {
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  return res;
+}
+
+// Whole catalog, or filtered: ?family=&severity=&noise=true|false
+router.get('/catalog', (req, res) => {
+  const { family, severity, noise } = req.query ?? {};
+  if (family || severity || noise !== undefined) {
+    return fresh(res).json({
+      ok: true,
+      entries: listCatalog({
+        family: family ? String(family) : undefined,
+        severity: severity ? String(severity) : undefined,
+        noise: noise === undefined ? undefined : String(noise) === 'true',
+      }),
+    });
+  }
+  fresh(res).json({ ok: true, catalog: getCatalog() });
+});
+
+// Replace everything — body: { entries: [...] }
+router.put('/catalog', (req, res) => {
+  try {
+    fresh(res).json({ ok: true, catalog: replaceCatalog(req.body?.entries) });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// Back to the built-in defaults
+router.post('/catalog/reset', (_req, res) => {
+  fresh(res).json({ ok: true, catalog: resetCatalog() });
+});
+
+// One entry by code or alias (e.g. /catalog/MainsFailure → Mains.Off)
+router.get('/catalog/:code', (req, res) => {
+  const entry = lookupAlarm(req.params.code);
+  if (!entry) return fresh(res).status(404).json({ ok: false, error: 'Alarm not in catalog' });
+  fresh(res).json({ ok: true, entry });
+});
+
+// Create/replace — body: { aliases?, severity, family?, noise?, description?, remediation? }
+router.put('/catalog/:code', (req, res) => {
+  try {
+    fresh(res).json({ ok: true, entry: upsertEntry(String(req.params.code), req.body ?? {}) });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
+router.delete('/catalog/:code', (req, res) => {
+  const entry = removeEntry(req.params.code);
+  if (!entry) return fresh(res).status(404).json({ ok: false, error: 'Alarm not in catalog' });
+  fresh(res).json({ ok: true, removed: entry });
+});
+
+export default router;
@@ -0,0 +1,290 @@
+// server/alarms/store.js
+// Alarm catalog (persisted) — the one place that says what an alarm code means.
+//
+// Entry: { code, aliases[], severity, family, noise, description, remediation[] }
+//   - code/aliases are matched case-insensitively, ignoring '.', '_', '-' and spaces
+//     (so tower-sim's "MainsFailure" and the agents' "Mains.Off" are the same alarm)
+//   - remediation: [{ action, args?, reason }] — Agent B turns these into plan steps
+// Agent A (noise/critical filters, families), Agent B (detection + plan) and Agent C (noise causes,
+// site alarms) all read from here. Edits via /api/alarms/catalog replace the built-in defaults.
+
+import { load, put } from '../persistence/store.js';
+
+const CATALOG_NS = 'alarms.catalog';
+
+const SEVERITIES = ['critical', 'major', 'minor', 'warning', 'info'];
+const FAMILIES = ['power', 'radio', 'transport', 'environment', 'other'];
+const SEVERITY_RANK = Object.freeze({ critical: 1, major: 0.7, minor: 0.4, warning: 0.3, info: 0.1 });
+const LOW_BATTERY_PCT = 40;    // Battery.Low.GridDown below this with mains off
+
+const DEFAULT_CATALOG = Object.freeze([
+  {
+    code: 'Mains.Off',
+    aliases: ['MainsFailure', 'Mains.Failure', 'GridDown'],
+    severity: 'critical',
+    family: 'power',
+    noise: false,
+    description: 'Grid power off',
+    remediation: [{ action: 'power.on', reason: 'Restore grid power' }],
+  },
+  {
+    code: 'Site.Down',
+    aliases: ['SiteDown'],
+    severity: 'critical',
+    family: 'transport',
+    noise: false,
+    description: 'Site not reachable/booting',
+    remediation: [],
+  },
+  {
+    code: 'Heartbeat.Failure',
+    aliases: ['HeartbeatFailure'],
+    severity: 'critical',
+    family: 'transport',
+    noise: false,
+    description: 'Site heartbeat lost',
+    remediation: [],
+  },
+  {
+    code: 'Service.Unavailable',
+    aliases: ['ServiceUnavailable'],
+    severity: 'critical',
+    family: 'radio',
+    noise: false,
+    description: 'Cell service unavailable',
+    remediation: [],
+  },
+  {
+    code: 'Antenna.A1.Unavailable',
+    aliases: [],
+    severity: 'major',
+    family: 'radio',
+    noise: false,
+    description: 'A1 RRU/service down',
+    remediation: [{ action: 'rru.ensure', args: { antenna: 'a1' }, reason: 'Heal A1 to Available' }],
+  },
+  {
+    code: 'Antenna.A2.Unavailable',
+    aliases: [],
+    severity: 'major',
+    family: 'radio',
+    noise: false,
+    description: 'A2 RRU/service down',
+    remediation: [{ action: 'rru.ensure', args: { antenna: 'a2' }, reason: 'Heal A2 to Available' }],
+  },
+  {
+    code: 'Battery.Low.GridDown',
+    aliases: ['BatteryLow', 'Battery.Low'],
+    severity: 'major',
+    family: 'power',
+    noise: false,
+    description: `Battery below ${LOW_BATTERY_PCT}% with grid down`,
+    remediation: [{ action: 'rru.off', args: { antenna: 'a2' }, reason: 'Extend autonomy; keep A1 only' }],
+  },
+  { code: 'unknown', aliases: [], severity: 'info', family: 'other', noise: true, description: 'Unclassified', remediation: [] },
+  { code: 'heartbeat', aliases: [], severity: 'info', family: 'transport', noise: true, description: 'Periodic heartbeat', remediation: [] },
+  { code: 'noop', aliases: [], severity: 'info', family: 'other', noise: true, description: 'No-op', remediation: [] },
+]);
+
+// Uncatalogued alarms still get a family by name
+const FAMILY_RULES = [
+  ['power', /mains|power|battery|generator|rectifier/i],
+  ['radio', /antenna|rru|radio|service|cell|vswr/i],
+  ['transport', /link|heartbeat|backhaul|transmission|sync|los/i],
+  ['environment', /temp|door|fan|smoke|humid|intrusion/i],
+];
+
+const REMEDIATION_ACTIONS = ['power.on', 'rru.ensure', 'rru.on', 'rru.off'];
+
+let entries = new Map();   // code -> entry
+let index = new Map();     // normalized code/alias -> code
+let source = 'default';
+
+const keyOf = (s) => String(s ?? '').toLowerCase().replace(/[\s._-]+/g, '');
+
+// ---------- validation / indexing ----------
+function validateEntry(raw = {}, codeHint) {
+  const code = String(raw.code ?? codeHint ?? '').trim();
+  if (!code) throw new Error('code is required');
+  const severity = String(raw.severity ?? 'minor').toLowerCase();
+  if (!SEVERITIES.includes(severity)) throw new Error(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  const family = String(raw.family ?? familyByName(code)).toLowerCase();
+  if (!FAMILIES.includes(family)) throw new Error(`family must be one of: ${FAMILIES.join(', ')}`);
+  if (raw.aliases !== undefined && !Array.isArray(raw.aliases)) throw new Error('aliases must be an array');
+  if (raw.remediation !== undefined && !Array.isArray(raw.remediation)) throw new Error('remediation must be an array');
+
+  const remediation = (raw.remediation || []).map((r, i) => {
+    const action = String(r?.action || '').trim();
+    if (!REMEDIATION_ACTIONS.includes(action)) {
+      throw new Error(`remediation[${i}].action must be one of: ${REMEDIATION_ACTIONS.join(', ')}`);
+    }
+    const args = r.args && typeof r.args === 'object' ? { ...r.args } : undefined;
+    if (args?.antenna !== undefined && !['a1', 'a2'].includes(args.antenna)) {
+      throw new Error(`remediation[${i}].args.antenna must be "a1" or "a2"`);
+    }
+    return { action, ...(args ? { args } : {}), reason: String(r.reason || action) };
+  });
+
+  return {
+    code,
+    aliases: [...new Set((raw.aliases || []).map(a => String(a).trim()).filter(Boolean))],
+    severity,
+    family,
+    noise: !!raw.noise,
+    description: String(raw.description || ''),
+    remediation,
+  };
+}
+
+// Build the lookup index; rejects a code/alias claimed by two entries
+function buildIndex(list) {
+  const next = new Map();
+  const byCode = new Map();
+  for (const e of list) {
+    for (const name of [e.code, ...e.aliases]) {
+      const k = keyOf(name);
+      const owner = next.get(k);
+      if (owner && owner !== e.code) throw new Error(`"${name}" is already used by ${owner}`);
+      next.set(k, e.code);
+    }
+    byCode.set(e.code, e);
+  }
+  return { index: next, entries: byCode };
+}
+
+function install(list, src) {
+  const built = buildIndex(list);
+  entries = built.entries;
+  index = built.index;
+  source = src;
+}
+
+function persist() {
+  put(CATALOG_NS, { entries: [...entries.values()], updatedAt: new Date().toISOString() });
+}
+
+(function rehydrate() {
+  const saved = load(CATALOG_NS).value;
+  try {
+    if (Array.isArray(saved?.entries)) {
+      install(saved.entries.map(e => validateEntry(e)), 'api');
+      return;
+    }
+  } catch (e) {
+    console.warn(`[alarms] ignoring persisted catalog: ${e.message}`);
+  }
+  install(DEFAULT_CATALOG.map(e => validateEntry(e)), 'default');
+})();
+
+// ---------- lookups (used by the agents) ----------
+/** Catalog entry for an alarm code or alias, or null. */
+function lookupAlarm(alarm) {
+  const code = index.get(keyOf(alarm));
+  return code ? entries.get(code) : null;
+}
+
+/** Canonical code (e.g. "MainsFailure" → "Mains.Off"); unknown alarms pass through unchanged. */
+function canonicalCode(alarm) {
+  return lookupAlarm(alarm)?.code ?? String(alarm ?? '');
+}
+
+function familyByName(alarm) {
+  const s = String(alarm || '');
+  for (const [family, rx] of FAMILY_RULES) if (rx.test(s)) return family;
+  return 'other';
+}
+
+function familyOf(alarm) {
+  return lookupAlarm(alarm)?.family ?? familyByName(alarm);
+}
+
+function severityOf(alarm) {
+  return lookupAlarm(alarm)?.severity ?? null;
+}
+
+/** 0…1 weight of an alarm's severity (uncatalogued alarms count as minor). */
+function severityRank(alarm) {
+  return SEVERITY_RANK[severityOf(alarm) || 'minor'];
+}
+
+function isCritical(alarm) {
+  return severityOf(alarm) === 'critical';
+}
+
+function isNoise(alarm) {
+  return !!lookupAlarm(alarm)?.noise;
+}
+
+function remediationFor(alarm) {
+  return (lookupAlarm(alarm)?.remediation || []).map(r => ({ ...r, ...(r.args ? { args: { ...r.args } } : {}) }));
+}
+
+/** Alarms implied by a tower-sim site snapshot, as catalog entries: [{ code, detail, severity, family }]. */
+function detectSiteAlarms(site) {
+  if (!site) return [];
+  const found = [];
+  const add = (code, detail) => {
+    const e = lookupAlarm(code);
+    if (e?.noise) return;
+    found.push({ code: e?.code ?? code, detail: detail || e?.description || code, severity: e?.severity ?? 'minor', family: e?.family ?? familyByName(code) });
+  };
+  if (site.mains === 'off') add('Mains.Off');
+  if (site.siteAlive === false) add('Site.Down');
+  if (site.antenna1?.service === 'Unavailable') add('Antenna.A1.Unavailable');
+  if (site.antenna2?.service === 'Unavailable') add('Antenna.A2.Unavailable');
+  const batt = Number(site.batteryPercent ?? 100);
+  if (site.mains === 'off' && batt < LOW_BATTERY_PCT) add('Battery.Low.GridDown', `Battery ${batt}% with grid down`);
+  return found;
+}
+
+// ---------- management (used by /api/alarms/catalog) ----------
+function listCatalog({ family, severity, noise } = {}) {
+  let list = [...entries.values()];
+  if (family) list = list.filter(e => e.family === family);
+  if (severity) list = list.filter(e => e.severity === severity);
+  if (noise !== undefined) list = list.filter(e => e.noise === noise);
+  return list;
+}
+
+function getCatalog() {
+  return { source, severities: SEVERITIES, families: FAMILIES, actions: REMEDIATION_ACTIONS, entries: listCatalog() };
+}
+
+/** Create or replace one entry (by code). Throws on invalid input or alias clashes. */
+function upsertEntry(code, fields = {}) {
+  const existing = lookupAlarm(code);
+  const entry = validateEntry({ ...fields, code: existing?.code ?? code });
+  const list = [...entries.values()].filter(e => e.code !== entry.code);
+  install([...list, entry], 'api');
+  persist();
+  return entry;
+}
+
+/** Remove an entry by code or alias. Returns the removed entry, or null if unknown. */
+function removeEntry(code) {
+  const existing = lookupAlarm(code);
+  if (!existing) return null;
+  install([...entries.values()].filter(e => e.code !== existing.code), 'api');
+  persist();
+  return existing;
+}
+
+/** Replace the whole catalog. Throws on invalid input. */
+function replaceCatalog(list) {
+  if (!Array.isArray(list)) throw new Error('entries must be an array');
+  install(list.map(e => validateEntry(e)), 'api');
+  persist();
+  return getCatalog();
+}
+
+function resetCatalog() {
+  install(DEFAULT_CATALOG.map(e => validateEntry(e)), 'default');
+  put(CATALOG_NS, null);
+  return getCatalog();
+}
+
+export {
+  SEVERITIES, FAMILIES,
+  lookupAlarm, canonicalCode, familyOf, severityOf, severityRank, isCritical, isNoise, remediationFor, detectSiteAlarms,
+  listCatalog, getCatalog, upsertEntry, removeEntry, replaceCatalog, resetCatalog,
+};
@@ -9,13 +9,37 @@
 //   this.bus.emit('alarm.raised',  { ... })
 //   this.bus.emit('alarm.cleared', { ... })
 //   this.bus.emit('service.changed', { ... })
-//   this.bus.emit('event', { type:'alarm.raised'|'alarm.cleared'|'service.changed', ... })
+//   this.bus.emit('alarm.flapping', { ... })
+//   this.bus.emit('event', { type:'alarm.raised'|'alarm.cleared'|'alarm.flapping'|'service.changed', ... })
+//
+// Alarm noise control:
+//   - Flapping: a site/alarm toggling `BUS_FLAP_THRESHOLD` times within `BUS_FLAP_WINDOW_SEC` emits
+//     alarm.flapping { state:'started' }, then its raises/clears are suppressed until it has been quiet
+//     for `BUS_FLAP_QUIET_SEC`; alarm.flapping { state:'ended' } is followed by one event reconciling
+//     the alarm's real state.
+//   - Hold-down: a clear is only emitted once the alarm stayed absent for `BUS_CLEAR_HOLDDOWN_SEC`;
+//     a re-raise inside the hold-down cancels both (downstream never saw it clear).
 
 import { incidentBus } from './incidentBus.js';
+import { FlapDetector } from './flapDetector.js';
 
 /** Whether to emit the current alarms as "raised" on the very first snapshot. */
 const BOOTSTRAP_EMIT_CURRENT = true;
 
+const secondsEnv = (name, fallbackMs) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallbackMs;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n * 1000 : fallbackMs;
+};
+const FLAP_WINDOW_MS = secondsEnv('BUS_FLAP_WINDOW_SEC', 5 * 60_000);
+const FLAP_THRESHOLD = Number(process.env.BUS_FLAP_THRESHOLD) || 4;
+const FLAP_QUIET_MS = secondsEnv('BUS_FLAP_QUIET_SEC', FLAP_WINDOW_MS);
+const CLEAR_HOLD_DOWN_MS = secondsEnv('BUS_CLEAR_HOLDDOWN_SEC', 15_000);
+const SETTLE_CHECK_MS = 5_000;
+
+const alarmKey = (siteId, alarm) => `${siteId}|${alarm}`;
+
 /** Return an object of Sets with the current alarms per site. */
 function extractAlarmsBySite(state) {
   const out = {};
@@ -57,12 +81,142 @@ export class DeltaEmitter {
 
     /** @type {Record<string, {antenna1?: string, antenna2?: string}>} */
     this.lastServiceBySite = null;
+
+    this.flaps = new FlapDetector({
+      windowMs: options.flapWindowMs ?? FLAP_WINDOW_MS,
+      threshold: options.flapThreshold ?? FLAP_THRESHOLD,
+      quietMs: options.flapQuietMs ?? FLAP_QUIET_MS,
+    });
+    this.holdDownMs = options.holdDownMs ?? CLEAR_HOLD_DOWN_MS;
+    this.emitted = new Set();            // alarm keys downstream currently sees as raised
+    this.pendingClears = new Map();      // alarm key -> hold-down timer
+    this.settleTimer = null;
+    this.counters = {
+      transitions: 0,                    // raw raise/clear diffs seen
+      raised: 0,
+      cleared: 0,
+      suppressedFlapping: 0,             // transitions swallowed while flapping
+      suppressedHoldDown: 0,             // clear + re-raise pairs swallowed by the hold-down
+      flapStarted: 0,
+      flapEnded: 0,
+    };
   }
 
   /** Clear any remembered state (e.g., when reconnecting the stream). */
   reset() {
     this.lastAlarmsBySite = null;
     this.lastServiceBySite = null;
+    for (const timer of this.pendingClears.values()) clearTimeout(timer);
+    this.pendingClears.clear();
+    this.emitted.clear();
+  }
+
+  /** Flap/hold-down counters and the alarms currently flapping or held. */
+  stats() {
+    return {
+      holdDownMs: this.holdDownMs,
+      flap: { windowMs: this.flaps.windowMs, threshold: this.flaps.threshold, quietMs: this.flaps.quietMs },
+      ...this.counters,
+      suppressed: this.counters.suppressedFlapping + this.counters.suppressedHoldDown,
+      flapping: this.flaps.flapping(),
+      heldClears: [...this.pendingClears.keys()],
+    };
+  }
+
+  #isPresent(siteId, alarm) {
+    return !!this.lastAlarmsBySite?.[siteId]?.has(alarm);
+  }
+
+  #raise(siteId, alarm, ts, extra = {}) {
+    this.emitted.add(alarmKey(siteId, alarm));
+    this.counters.raised += 1;
+    this.#emitBoth('alarm.raised', { siteId, alarm, ts, source: 'delta', ...extra });
+  }
+
+  #clear(siteId, alarm, ts, extra = {}) {
+    this.emitted.delete(alarmKey(siteId, alarm));
+    this.counters.cleared += 1;
+    this.#emitBoth('alarm.cleared', { siteId, alarm, ts, source: 'delta', ...extra });
+  }
+
+  #cancelClear(key) {
+    const timer = this.pendingClears.get(key);
+    if (!timer) return false;
+    clearTimeout(timer);
+    this.pendingClears.delete(key);
+    return true;
+  }
+
+  #holdClear(key, siteId, alarm) {
+    const heldSince = Date.now();
+    const timer = setTimeout(() => {
+      this.pendingClears.delete(key);
+      if (!this.#isPresent(siteId, alarm) && this.emitted.has(key)) {
+        this.#clear(siteId, alarm, new Date().toISOString(), { heldMs: Date.now() - heldSince });
+      }
+    }, this.holdDownMs);
+    timer.unref?.();
+    this.pendingClears.set(key, timer);
+  }
+
+  /** One raw raise/clear from a snapshot diff → flap accounting, hold-down, maybe an event. */
+  #transition(kind, siteId, alarm, ts) {
+    const key = alarmKey(siteId, alarm);
+    this.counters.transitions += 1;
+
+    const flap = this.flaps.record(key);
+    if (flap.started) {
+      this.counters.flapStarted += 1;
+      this.#cancelClear(key); // reconciled when the flapping ends
+      this.#emitBoth('alarm.flapping', {
+        siteId, alarm, state: 'started', transitions: flap.transitions, windowMs: this.flaps.windowMs, ts, source: 'delta',
+      });
+      this.#ensureSettleTimer();
+    }
+    if (flap.flapping) {
+      this.counters.suppressedFlapping += 1;
+      return;
+    }
+
+    if (kind === 'raised') {
+      if (this.#cancelClear(key)) {
+        this.counters.suppressedHoldDown += 1; // the clear never went out
+        return;
+      }
+      if (!this.emitted.has(key)) this.#raise(siteId, alarm, ts);
+      return;
+    }
+
+    if (!this.emitted.has(key)) return;
+    if (this.holdDownMs <= 0) this.#clear(siteId, alarm, ts);
+    else if (!this.pendingClears.has(key)) this.#holdClear(key, siteId, alarm);
+  }
+
+  // Flapping alarms that went quiet: announce the end and emit their real state once
+  #settle() {
+    const ts = new Date().toISOString();
+    for (const { key, since, transitions } of this.flaps.settle()) {
+      const i = key.indexOf('|');
+      const siteId = key.slice(0, i);
+      const alarm = key.slice(i + 1);
+      this.counters.flapEnded += 1;
+      this.#emitBoth('alarm.flapping', {
+        siteId, alarm, state: 'ended', transitions, since: new Date(since).toISOString(), ts, source: 'delta',
+      });
+      const present = this.#isPresent(siteId, alarm);
+      if (present && !this.emitted.has(key)) this.#raise(siteId, alarm, ts, { afterFlap: true });
+      else if (!present && this.emitted.has(key)) this.#clear(siteId, alarm, ts, { afterFlap: true });
+    }
+    if (!this.flaps.size && this.settleTimer) {
+      clearInterval(this.settleTimer);
+      this.settleTimer = null;
+    }
+  }
+
+  #ensureSettleTimer() {
+    if (this.settleTimer) return;
+    this.settleTimer = setInterval(() => this.#settle(), SETTLE_CHECK_MS);
+    this.settleTimer.unref?.();
   }
 
   /** Unified emit helper: fires legacy typed event AND unified envelope. */
@@ -91,10 +245,7 @@ export class DeltaEmitter {
     if (!this.lastAlarmsBySite || !this.lastServiceBySite) {
       if (this.bootstrapEmit) {
         for (const [siteId, alarmsSet] of Object.entries(curAlarms)) {
-          for (const alarm of alarmsSet) {
-            const payload = { siteId, alarm, ts, source: 'delta', bootstrap: true };
-            this.#emitBoth('alarm.raised', payload);
-          }
+          for (const alarm of alarmsSet) this.#raise(siteId, alarm, ts, { bootstrap: true });
         }
       }
       this.lastAlarmsBySite = cloneMapOfSets(curAlarms);
@@ -114,18 +265,12 @@ export class DeltaEmitter {
 
       // Raised: in next but not in prev.
       for (const alarm of nextSet) {
-        if (!prevSet.has(alarm)) {
-          const payload = { siteId, alarm, ts, source: 'delta' };
-          this.#emitBoth('alarm.raised', payload);
-        }
+        if (!prevSet.has(alarm)) this.#transition('raised', siteId, alarm, ts);
       }
 
       // Cleared: in prev but not in next.
       for (const alarm of prevSet) {
-        if (!nextSet.has(alarm)) {
-          const payload = { siteId, alarm, ts, source: 'delta' };
-          this.#emitBoth('alarm.cleared', payload);
-        }
+        if (!nextSet.has(alarm)) this.#transition('cleared', siteId, alarm, ts);
       }
     }
 
@@ -153,6 +298,7 @@ export class DeltaEmitter {
     // Store current compact views for next diff
     this.lastAlarmsBySite = cloneMapOfSets(curAlarms);
     this.lastServiceBySite = { ...curService };
+    this.#settle();
   }
 }
 
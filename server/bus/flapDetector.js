@@ -0,0 +1,77 @@
+// server/bus/flapDetector.js
+// Per site/alarm flap detection for the delta emitter.
+// - Every raw raise/clear seen in snapshot diffs is a transition for its key ("siteId|alarm").
+// - `threshold` transitions within `windowMs` mark the key as flapping.
+// - A flapping key settles once it has had no transition for `quietMs`.
+
+export class FlapDetector {
+  constructor({ windowMs = 5 * 60_000, threshold = 4, quietMs = null } = {}) {
+    this.windowMs = Math.max(1000, Number(windowMs) || 5 * 60_000);
+    this.threshold = Math.max(2, Number(threshold) || 4);
+    this.quietMs = Math.max(1000, Number(quietMs) || this.windowMs);
+    this.keys = new Map();   // key -> { times: number[], last, flappingSince, flapTransitions }
+  }
+
+  _entry(key) {
+    if (!this.keys.has(key)) this.keys.set(key, { times: [], last: 0, flappingSince: null, flapTransitions: 0 });
+    return this.keys.get(key);
+  }
+
+  /**
+   * Count one transition.
+   * @returns {{ flapping: boolean, started: boolean, transitions: number }}
+   */
+  record(key, now = Date.now()) {
+    const e = this._entry(key);
+    const cutoff = now - this.windowMs;
+    e.times = e.times.filter(t => t >= cutoff);
+    e.times.push(now);
+    e.last = now;
+    if (e.flappingSince) {
+      e.flapTransitions += 1;
+      return { flapping: true, started: false, transitions: e.times.length };
+    }
+    if (e.times.length >= this.threshold) {
+      e.flappingSince = now;
+      e.flapTransitions = e.times.length;
+      return { flapping: true, started: true, transitions: e.times.length };
+    }
+    return { flapping: false, started: false, transitions: e.times.length };
+  }
+
+  isFlapping(key) {
+    return !!this.keys.get(key)?.flappingSince;
+  }
+
+  /** Keys that stopped flapping (quiet for quietMs); they are reset. Also drops idle keys. */
+  settle(now = Date.now()) {
+    const settled = [];
+    for (const [key, e] of this.keys) {
+      if (e.flappingSince && now - e.last >= this.quietMs) {
+        settled.push({ key, since: e.flappingSince, transitions: e.flapTransitions });
+        this.keys.delete(key);
+      } else if (!e.flappingSince && now - e.last >= this.windowMs) {
+        this.keys.delete(key);
+      }
+    }
+    return settled;
+  }
+
+  flapping() {
+    const out = [];
+    for (const [key, e] of this.keys) {
+      if (!e.flappingSince) continue;
+      const i = key.indexOf('|');
+      const siteId = key.slice(0, i);
+      const alarm = key.slice(i + 1);
+      out.push({ siteId, alarm, since: new Date(e.flappingSince).toISOString(), transitions: e.flapTransitions });
+    }
+    return out;
+  }
+
+  get size() {
+    let n = 0;
+    for (const e of this.keys.values()) if (e.flappingSince) n += 1;
+    return n;
+  }
+}
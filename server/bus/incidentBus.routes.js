@@ -1,12 +1,29 @@
 // server/bus/incidentBus.routes.js
 import { Router } from 'express';
 import { getStatus, getRecentEvents, subscribe } from './incidentBus.js';
+import { deltaEmitter } from './deltaEmitter.js';
+import { getIngestStatus, reloadIngestMapping } from '../ingest/udpListener.js';
 
 const router = Router();
 
 // Quick snapshot
 router.get('/', (_req, res) => {
-  res.json({ ok: true, bus: getStatus(), recent: getRecentEvents().slice(-5) });
+  res.json({ ok: true, bus: getStatus(), delta: deltaEmitter.stats(), ingest: getIngestStatus(), recent: getRecentEvents().slice(-5) });
+});
+
+// Flap detection / clear hold-down: suppressed transition counters and alarms currently flapping
+router.get('/flapping', (_req, res) => {
+  res.json({ ok: true, ...deltaEmitter.stats() });
+});
+
+// SNMP trap / syslog ingestion: counters, unknown trap OIDs, recent parse failures
+router.get('/ingest', (_req, res) => {
+  res.json({ ok: true, ingest: getIngestStatus({ detail: true }) });
+});
+
+// Re-read config/alarmIngest.json (trap OIDs, syslog rules)
+router.post('/ingest/reload', (_req, res) => {
+  res.json({ ok: true, mapping: reloadIngestMapping() });
 });
 
 // SSE stream for live events
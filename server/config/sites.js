@@ -0,0 +1,78 @@
+// server/config/sites.js
+// Static site metadata (config/sites.json, or SITES_CONFIG):
+//   { defaults: { importance }, groups: { [name]: [siteId, …] }, sites: { [siteId]: { importance, name?, … } } }
+// importance: 1 (default) … 5 (most important) — used by the supervisor's priority scheduler.
+// Site IDs (keys and group members) may be plain ("S1") or namespaced ("north:S1"); lookups compare
+// them in bus form (see qualifyExternalId in tower/drivers/index.js). `region` is read from the key as
+// written, since it is what decides the namespace of a plain ID.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { qualifyExternalId } from '../tower/drivers/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILE = process.env.SITES_CONFIG || path.join(__dirname, 'sites.json');
+const MAX_IMPORTANCE = 5;
+
+let config = { defaults: { importance: 1 }, groups: {}, sites: {} };
+
+export function reloadSiteConfig() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    config = {
+      defaults: { importance: 1, ...(raw?.defaults || {}) },
+      groups: raw?.groups && typeof raw.groups === 'object' ? raw.groups : {},
+      sites: raw?.sites && typeof raw.sites === 'object' ? raw.sites : {},
+    };
+  } catch (e) {
+    if (e?.code !== 'ENOENT') console.warn(`[sites-config] could not read ${CONFIG_FILE}: ${e.message}`);
+  }
+  return config;
+}
+
+reloadSiteConfig();
+
+function siteEntry(siteId) {
+  const id = String(siteId);
+  if (config.sites[id]) return config.sites[id];
+  const q = qualifyExternalId(id);
+  const key = Object.keys(config.sites).find(k => qualifyExternalId(k) === q);
+  return key ? config.sites[key] : {};
+}
+
+/** Merged metadata for a site (defaults + per-site entry). */
+export function getSiteConfig(siteId) {
+  return { ...config.defaults, ...siteEntry(siteId) };
+}
+
+/** Configured region for a site key exactly as written (used to route plain IDs to a driver). */
+export function siteRegion(siteId) {
+  return config.sites[String(siteId)]?.region ?? config.defaults.region;
+}
+
+/** Site ids (bus form) in a configured group ([] when the group is unknown). */
+export function getGroupSites(name) {
+  const list = config.groups[name];
+  return Array.isArray(list) ? list.map(id => qualifyExternalId(id)) : [];
+}
+
+export function hasGroup(name) {
+  return Array.isArray(config.groups[name]);
+}
+
+/** Groups a site belongs to. */
+export function groupsForSite(siteId) {
+  const id = qualifyExternalId(siteId);
+  return Object.keys(config.groups).filter(g => getGroupSites(g).includes(id));
+}
+
+/** Site importance clamped to 1…MAX_IMPORTANCE. */
+export function getSiteImportance(siteId) {
+  const n = Number(getSiteConfig(siteId).importance);
+  return Number.isFinite(n) ? Math.min(MAX_IMPORTANCE, Math.max(1, n)) : 1;
+}
+
+export { MAX_IMPORTANCE };
@@ -0,0 +1,73 @@
+// server/incidents/routes.js
+import { Router } from 'express';
+import {
+  openIncident,
+  getIncident,
+  listIncidents,
+  transition,
+  addAlarm,
+  clearAttention,
+  subscribeStream,
+} from './store.js';
+
+const router = Router();
+
+function fresh(res) {
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  return res;
+}
+
+// List incidents: ?siteId=&state=&active=true|false&attention=true|false
+router.get('/', (req, res) => {
+  const { siteId, state } = req.query ?? {};
+  const active = req.query?.active === undefined ? undefined : String(req.query.active) === 'true';
+  const attention = req.query?.attention === undefined ? undefined : String(req.query.attention) === 'true';
+  const list = listIncidents({ siteId: siteId ? String(siteId) : undefined, state: state ? String(state) : undefined, active, attention });
+  fresh(res).json({ ok: true, incidents: list });
+});
+
+// Create (or attach to the site's active incident) — body: { siteId, alarms?: string[], note? }
+router.post('/', (req, res) => {
+  const { siteId, alarms = [], note = '' } = req.body ?? {};
+  if (!siteId) return fresh(res).status(400).json({ ok: false, error: 'Missing "siteId"' });
+  if (!Array.isArray(alarms)) return fresh(res).status(400).json({ ok: false, error: '"alarms" must be an array' });
+
+  const inc = openIncident({ siteId, alarm: alarms[0] || null, agent: 'operator', note: String(note || '') });
+  for (const a of alarms.slice(1)) addAlarm(inc.id, String(a), { agent: 'operator' });
+  fresh(res).status(201).json({ ok: true, incident: inc });
+});
+
+// SSE stream of incident changes (must precede "/:id")
+router.get('/stream', (_req, res) => {
+  subscribeStream(res);
+});
+
+router.get('/:id', (req, res) => {
+  const inc = getIncident(req.params.id);
+  if (!inc) return fresh(res).status(404).json({ ok: false, error: 'Incident not found' });
+  fresh(res).json({ ok: true, incident: inc });
+});
+
+// Operator transition — body: { state, note? }
+router.post('/:id/transition', (req, res) => {
+  const { state, note = '' } = req.body ?? {};
+  if (!state) return fresh(res).status(400).json({ ok: false, error: 'Missing "state"' });
+  if (!getIncident(req.params.id)) return fresh(res).status(404).json({ ok: false, error: 'Incident not found' });
+  try {
+    const inc = transition(req.params.id, String(state), { agent: 'operator', note: String(note || '') });
+    fresh(res).json({ ok: true, incident: inc });
+  } catch (e) {
+    fresh(res).status(409).json({ ok: false, error: e.message });
+  }
+});
+
+// Operator acknowledges an attention flag — body: { note? }
+router.post('/:id/acknowledge', (req, res) => {
+  const inc = clearAttention(req.params.id, { agent: 'operator', note: String(req.body?.note || '') });
+  if (!inc) return fresh(res).status(404).json({ ok: false, error: 'Incident not found' });
+  fresh(res).json({ ok: true, incident: inc });
+});
+
+export default router;
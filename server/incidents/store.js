@@ -0,0 +1,291 @@
+// server/incidents/store.js
+// Incident registry — one record per outage, shared by the Supervisor and Agents A/B/C.
+//
+// Lifecycle:
+//   open → investigating → awaiting_approval → mitigating → restored | stabilized | dispatched → closed
+// Only transitions listed in TRANSITIONS are accepted; every change lands on the incident timeline.
+// A stabilized or dispatched incident whose alarms clear on their own moves to restored, then closed.
+// `attention` (orthogonal to state) marks incidents automation gave up on and a human must look at.
+
+import { EventEmitter } from 'events';
+import { load, upsert, remove } from '../persistence/store.js';
+import { interceptEffect } from '../supervisor/shadow.js';
+
+const STATES = Object.freeze([
+  'open',
+  'investigating',
+  'awaiting_approval',
+  'mitigating',
+  'restored',
+  'stabilized',
+  'dispatched',
+  'closed',
+]);
+
+const TRANSITIONS = Object.freeze({
+  open:              ['investigating', 'mitigating', 'dispatched', 'closed'],
+  investigating:     ['awaiting_approval', 'mitigating', 'restored', 'stabilized', 'dispatched', 'closed'],
+  awaiting_approval: ['investigating', 'mitigating', 'dispatched', 'closed'],
+  mitigating:        ['restored', 'stabilized', 'dispatched', 'closed'],
+  restored:          ['investigating', 'closed'],
+  stabilized:        ['investigating', 'awaiting_approval', 'mitigating', 'restored', 'dispatched', 'closed'],
+  dispatched:        ['mitigating', 'restored', 'closed'],
+  closed:            [],
+});
+
+const MAX_INCIDENTS = 500;        // bounded retention (closed incidents are evicted first)
+const MAX_TIMELINE = 200;         // per incident
+
+const incidents = new Map();      // id -> incident
+const activeBySite = new Map();   // siteId -> id (any state except 'closed')
+const subscribers = new Set();    // SSE clients
+const events = new EventEmitter();
+let nextId = 1;
+
+const INCIDENTS_NS = 'incidents';
+
+// Rehydrate persisted incidents (and the active-by-site index) at boot
+(function rehydrate() {
+  for (const inc of load(INCIDENTS_NS).keyed.values()) {
+    if (!inc?.id) continue;
+    incidents.set(inc.id, inc);
+    if (inc.state !== 'closed') activeBySite.set(inc.siteId, inc.id);
+    const n = Number(String(inc.id).replace(/^INC-/, ''));
+    if (Number.isFinite(n) && n >= nextId) nextId = n + 1;
+  }
+})();
+
+const nowIso = () => new Date().toISOString();
+
+// ---------- internals ----------
+function pushTimeline(inc, entry) {
+  inc.timeline.push({ ts: nowIso(), ...entry });
+  if (inc.timeline.length > MAX_TIMELINE) inc.timeline.shift();
+  inc.updatedAt = nowIso();
+}
+
+function evict() {
+  if (incidents.size <= MAX_INCIDENTS) return;
+  for (const [id, inc] of incidents) {
+    if (incidents.size <= MAX_INCIDENTS) break;
+    if (inc.state === 'closed') {
+      incidents.delete(id);
+      remove(INCIDENTS_NS, id);
+    }
+  }
+}
+
+function emitChange(inc, change) {
+  upsert(INCIDENTS_NS, inc.id, inc);
+  const payload = { change, incident: inc };
+  events.emit('change', payload);
+  const line = `event: incident\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const res of subscribers) {
+    try { res.write(line); } catch {}
+  }
+}
+
+// ---------- public API ----------
+/**
+ * Create an incident for a site, or return the site's active one (adding the alarm).
+ * A 'restored' incident is closed first: a new alarm after restoration is a new outage.
+ */
+function openIncident({ siteId, alarm = null, agent = 'supervisor', note = '' } = {}) {
+  const sid = String(siteId || '').trim();
+  if (!sid) throw new Error('siteId is required');
+
+  const existing = getActiveIncident(sid);
+  if (existing && existing.state === 'restored') {
+    transition(existing.id, 'closed', { agent, note: 'superseded by new alarm' });
+  } else if (existing) {
+    if (alarm) addAlarm(existing.id, alarm, { agent });
+    return existing;
+  }
+
+  const id = `INC-${String(nextId++).padStart(6, '0')}`;
+  const inc = {
+    id,
+    siteId: sid,
+    state: 'open',
+    owner: agent,
+    alarms: alarm ? [alarm] : [],
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+    closedAt: null,
+    attention: null,
+    parentId: null,    // topology root incident this one is collapsed under
+    childIds: [],      // incidents collapsed under this one
+    timeline: [],
+  };
+  pushTimeline(inc, { type: 'incident.opened', agent, to: 'open', note: note || undefined, alarm: alarm || undefined });
+
+  incidents.set(id, inc);
+  activeBySite.set(sid, id);
+  evict();
+  emitChange(inc, 'opened');
+  return inc;
+}
+
+function getIncident(id) {
+  return incidents.get(String(id)) || null;
+}
+
+function getActiveIncident(siteId) {
+  const id = activeBySite.get(String(siteId || ''));
+  return id ? incidents.get(id) || null : null;
+}
+
+function listIncidents({ siteId, state, active, attention } = {}) {
+  let list = [...incidents.values()];
+  if (siteId) list = list.filter(i => i.siteId === siteId);
+  if (state) list = list.filter(i => i.state === state);
+  if (attention !== undefined) list = list.filter(i => !!i.attention === !!attention);
+  if (active !== undefined) list = list.filter(i => (i.state !== 'closed') === !!active);
+  return list.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Move an incident to a new state. Throws on unknown id or an illegal transition.
+ * `owner` defaults to the acting agent (e.g. awaiting_approval is owned by 'operator').
+ */
+function transition(id, to, { agent = 'supervisor', owner = agent, note = '', data } = {}) {
+  const inc = getIncident(id);
+  if (!inc) throw new Error(`incident not found: ${id}`);
+  if (!STATES.includes(to)) throw new Error(`state must be one of: ${STATES.join(', ')}`);
+  if (inc.state === to) return inc;
+  if (!TRANSITIONS[inc.state].includes(to)) {
+    throw new Error(`illegal transition ${inc.state} → ${to}`);
+  }
+
+  const from = inc.state;
+  inc.state = to;
+  inc.owner = owner;
+  pushTimeline(inc, { type: 'state.changed', agent, from, to, note: note || undefined, data });
+
+  if ((to === 'restored' || to === 'closed') && inc.attention) {
+    inc.attention = null;
+    pushTimeline(inc, { type: 'attention.cleared', agent, note: `incident ${to}` });
+  }
+  if (to === 'closed') {
+    inc.closedAt = nowIso();
+    if (activeBySite.get(inc.siteId) === inc.id) activeBySite.delete(inc.siteId);
+  }
+  emitChange(inc, 'state');
+  return inc;
+}
+
+/** Append a free-form timeline event (no state change). */
+function appendEvent(id, { type = 'note', agent = 'supervisor', note = '', data } = {}) {
+  const inc = getIncident(id);
+  if (!inc) return null;
+  pushTimeline(inc, { type, agent, note: note || undefined, data });
+  emitChange(inc, 'event');
+  return inc;
+}
+
+function addAlarm(id, alarm, { agent = 'supervisor' } = {}) {
+  const inc = getIncident(id);
+  if (!inc || !alarm) return inc;
+  if (!inc.alarms.includes(alarm)) {
+    inc.alarms.push(alarm);
+    pushTimeline(inc, { type: 'alarm.added', agent, alarm });
+    emitChange(inc, 'alarm');
+  }
+  return inc;
+}
+
+/** Flag an incident for human attention (hands ownership to the operator). */
+function flagAttention(id, { reason = '', agent = 'supervisor', data } = {}) {
+  const inc = getIncident(id);
+  if (!inc || inc.state === 'closed') return null;
+  inc.attention = { reason, agent, since: inc.attention?.since || nowIso(), lastAt: nowIso() };
+  inc.owner = 'operator';
+  pushTimeline(inc, { type: 'attention.required', agent, note: reason || undefined, data });
+  emitChange(inc, 'attention');
+  return inc;
+}
+
+/** Operator acknowledged the attention flag. */
+function clearAttention(id, { agent = 'operator', note = '' } = {}) {
+  const inc = getIncident(id);
+  if (!inc) return null;
+  if (!inc.attention) return inc;
+  inc.attention = null;
+  pushTimeline(inc, { type: 'attention.cleared', agent, note: note || undefined });
+  emitChange(inc, 'attention');
+  return inc;
+}
+
+/** Collapse a child incident under a (topology) root incident. Idempotent; returns the child. */
+function linkIncident(childId, parentId, { agent = 'supervisor', note = '', data } = {}) {
+  const child = getIncident(childId);
+  const parent = getIncident(parentId);
+  if (!child || !parent || child.id === parent.id) return null;
+  if (child.parentId === parent.id) return child;
+  child.parentId = parent.id;
+  parent.childIds = [...new Set([...(parent.childIds || []), child.id])];
+  pushTimeline(child, { type: 'incident.linked', agent, note: note || undefined, data: { parentId: parent.id, parentSiteId: parent.siteId, ...data } });
+  pushTimeline(parent, { type: 'child.linked', agent, note: note || undefined, data: { childId: child.id, childSiteId: child.siteId, ...data } });
+  emitChange(child, 'linked');
+  emitChange(parent, 'linked');
+  return child;
+}
+
+// ---------- site-scoped helpers for agents (never throw) ----------
+/** Record a timeline event on the site's active incident, if any. */
+function noteSiteIncident(siteId, entry = {}) {
+  if (interceptEffect('incident.note', { siteId, ...entry })) return null; // shadow run: record only
+  const inc = getActiveIncident(siteId);
+  return inc ? appendEvent(inc.id, entry) : null;
+}
+
+/** Flag the site's active incident for human attention, if any. */
+function flagSiteIncident(siteId, reason, { agent = 'supervisor', data } = {}) {
+  if (interceptEffect('incident.attention', { siteId, reason, agent })) return null;
+  const inc = getActiveIncident(siteId);
+  return inc ? flagAttention(inc.id, { reason, agent, data }) : null;
+}
+
+/** Advance the site's active incident; illegal transitions are recorded as events instead. */
+function advanceSiteIncident(siteId, to, opts = {}) {
+  if (interceptEffect('incident.advance', { siteId, to, agent: opts.agent, note: opts.note })) return null;
+  const inc = getActiveIncident(siteId);
+  if (!inc) return null;
+  try {
+    return transition(inc.id, to, opts);
+  } catch (e) {
+    return appendEvent(inc.id, { type: 'transition.rejected', agent: opts.agent, note: e.message });
+  }
+}
+
+// ---------- SSE ----------
+function subscribeStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  subscribers.add(res);
+  res.write(`event: incidents\ndata: ${JSON.stringify(listIncidents({ active: true }))}\n\n`);
+
+  const ping = setInterval(() => { try { res.write(': ping\n\n'); } catch {} }, 30000);
+  res.on('close', () => {
+    clearInterval(ping);
+    subscribers.delete(res);
+    try { res.end(); } catch {}
+  });
+}
+
+/** In-process listener for incident changes; returns an unsubscribe fn. */
+function onChange(fn) {
+  events.on('change', fn);
+  return () => events.off('change', fn);
+}
+
+export {
+  STATES, TRANSITIONS,
+  openIncident, getIncident, getActiveIncident, listIncidents,
+  transition, appendEvent, addAlarm, flagAttention, clearAttention, linkIncident,
+  noteSiteIncident, advanceSiteIncident, flagSiteIncident,
+  subscribeStream, onChange,
+};
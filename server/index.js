@@ -28,9 +28,27 @@ import { initTowerBridge } from './tower/bridge.js';
 // Incident bus (SSE) routes
 import busRoutes from './bus/incidentBus.routes.js';
 
+// SNMP trap / syslog alarm ingestion (UDP)
+import { initAlarmIngest } from './ingest/udpListener.js';
+
+// Incident registry (lifecycle + SSE)
+import incidentRoutes from './incidents/routes.js';
+
+// Maintenance windows / CRQs (alarm suppression)
+import maintenanceRoutes from './maintenance/routes.js';
+
+// Site topology (shared power/transport parents)
+import topologyRoutes from './topology/routes.js';
+
+// Alarm catalog (codes, severities, families, noise, remediation hints)
+import alarmRoutes from './alarms/routes.js';
+
 // Pipeline wiring
 import { initPipeline } from './supervisor/pipeline.js';
 
+// Durable state (journal status for /api/health)
+import { getPersistenceStatus } from './persistence/store.js';
+
 // ✅ use the real exports from supervisor/store.js
 import {
   summary as supervisorSummary,
@@ -62,11 +80,16 @@ app.use('/api/agents/troubleshooting', troubleshootingRoutes);
 app.use('/api/agents/rca', rcaAgentRoutes);   // <- agent-scoped RCA routes
 app.use('/api/tower', towerRoutes);
 app.use('/api/bus', busRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/topology', topologyRoutes);
+app.use('/api/alarms', alarmRoutes);
 app.use('/api/logs', logsRoutes);
 app.use('/api/rca', rcaRoutes);               // <- top-level RCA routes
 
 // --- tower bridge + pipeline init ---
 initTowerBridge();
+initAlarmIngest();
 // pass a getter that returns the latest supervisor summary
 initPipeline({ getSupervisor: supervisorSummary });
 
@@ -117,6 +140,7 @@ app.get('/api/health', (_req, res) => {
     service: 'Launch-CTRL server',
     ts: new Date().toISOString(),
     supervisor: supervisorSummary(),
+    persistence: getPersistenceStatus(),
   });
 });
 
@@ -275,7 +299,7 @@ function formatPolicyQuery(aspect) {
     case 'last_updated':
       return `Policy last updated at ${p.updatedAt ?? 'unknown'}.`;
     case 'values':
-      return `Active policy → Alarm: ${p.alarmPrioritization}, WoW: ${p.waysOfWorking}, KPI: ${p.kpiAlignment} (v${p.version ?? 0}, updated ${p.updatedAt ?? 'unknown'}).`;
+      return `Active policy → Alarm: ${p.alarmPrioritization}, WoW: ${p.waysOfWorking}, KPI: ${p.kpiAlignment}, approvals escalate after ${p.approvalTtlMin || '∞'}m → ${p.approvalEscalation} (v${p.version ?? 0}, updated ${p.updatedAt ?? 'unknown'}).`;
     default:
       return `Policy version v${p.version ?? 0} (updated ${p.updatedAt ?? 'unknown'}).`;
   }
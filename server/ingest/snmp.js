@@ -0,0 +1,184 @@
+// server/ingest/snmp.js
+// Minimal BER codec for SNMPv2c notifications (SNMPv2-Trap-PDU / InformRequest-PDU):
+//   Message ::= SEQUENCE { version INTEGER (1 = v2c), community OCTET STRING, pdu }
+//   pdu     ::= [7] (trap) | [6] (inform) { request-id, error-status, error-index, varbinds }
+// Only what trap ingestion needs: decodeTrap() for the listener, encodeTrap() for the sender script.
+
+const SYS_UPTIME_OID = '1.3.6.1.2.1.1.3.0';
+const SNMP_TRAP_OID = '1.3.6.1.6.3.1.1.4.1.0';
+
+const TAG = Object.freeze({
+  INTEGER: 0x02, OCTET_STRING: 0x04, NULL: 0x05, OID: 0x06, SEQUENCE: 0x30,
+  IP_ADDRESS: 0x40, COUNTER32: 0x41, GAUGE32: 0x42, TIME_TICKS: 0x43, OPAQUE: 0x44, COUNTER64: 0x46,
+  NO_SUCH_OBJECT: 0x80, NO_SUCH_INSTANCE: 0x81, END_OF_MIB_VIEW: 0x82,
+  V1_TRAP: 0xa4, INFORM: 0xa6, V2_TRAP: 0xa7,
+});
+
+// ---------- decoding ----------
+function readTlv(buf, off, end = buf.length) {
+  if (off + 2 > end) throw new Error('truncated TLV');
+  const tag = buf[off];
+  let len = buf[off + 1];
+  let p = off + 2;
+  if (len & 0x80) {
+    const n = len & 0x7f;
+    if (n < 1 || n > 4 || p + n > end) throw new Error('bad length');
+    len = 0;
+    for (let i = 0; i < n; i++) len = len * 256 + buf[p++];
+  }
+  if (p + len > end) throw new Error('truncated value');
+  return { tag, start: p, end: p + len };
+}
+
+function expect(tlv, tag, what) {
+  if (tlv.tag !== tag) throw new Error(`expected ${what}, got tag 0x${tlv.tag.toString(16)}`);
+  return tlv;
+}
+
+function readInt(buf, { start, end }) {
+  if (end <= start || end - start > 6) throw new Error('bad INTEGER');
+  let v = buf[start] & 0x80 ? -1 : 0;
+  for (let i = start; i < end; i++) v = v * 256 + buf[i];
+  return v;
+}
+
+function readUnsigned(buf, { start, end }) {
+  let v = 0;
+  for (let i = start; i < end; i++) v = v * 256 + buf[i];
+  return v;
+}
+
+function readOid(buf, { start, end }) {
+  if (end <= start) throw new Error('empty OID');
+  const parts = [];
+  let v = 0;
+  for (let i = start; i < end; i++) {
+    v = v * 128 + (buf[i] & 0x7f);
+    if (!(buf[i] & 0x80)) {
+      if (!parts.length) parts.push(v < 80 ? Math.floor(v / 40) : 2, v < 80 ? v % 40 : v - 80);
+      else parts.push(v);
+      v = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+function readValue(buf, tlv) {
+  switch (tlv.tag) {
+    case TAG.INTEGER: return { type: 'integer', value: readInt(buf, tlv) };
+    case TAG.OCTET_STRING: return { type: 'string', value: buf.toString('utf8', tlv.start, tlv.end) };
+    case TAG.NULL: return { type: 'null', value: null };
+    case TAG.OID: return { type: 'oid', value: readOid(buf, tlv) };
+    case TAG.IP_ADDRESS: return { type: 'ip', value: [...buf.subarray(tlv.start, tlv.end)].join('.') };
+    case TAG.COUNTER32: return { type: 'counter32', value: readUnsigned(buf, tlv) };
+    case TAG.GAUGE32: return { type: 'gauge32', value: readUnsigned(buf, tlv) };
+    case TAG.TIME_TICKS: return { type: 'timeticks', value: readUnsigned(buf, tlv) };
+    case TAG.COUNTER64: return { type: 'counter64', value: readUnsigned(buf, tlv) };
+    case TAG.OPAQUE: return { type: 'opaque', value: buf.subarray(tlv.start, tlv.end).toString('hex') };
+    case TAG.NO_SUCH_OBJECT:
+    case TAG.NO_SUCH_INSTANCE:
+    case TAG.END_OF_MIB_VIEW: return { type: 'exception', value: null };
+    default: throw new Error(`unsupported value tag 0x${tlv.tag.toString(16)}`);
+  }
+}
+
+/**
+ * Decode one UDP datagram as an SNMPv2c trap/inform. Throws on anything else.
+ * @returns {{ version: '2c', community: string, pdu: 'trap'|'inform', requestId: number,
+ *             uptime: number|null, trapOid: string, varbinds: { oid: string, type: string, value: any }[] }}
+ */
+export function decodeTrap(buf) {
+  const msg = expect(readTlv(buf, 0), TAG.SEQUENCE, 'message SEQUENCE');
+  const ver = expect(readTlv(buf, msg.start, msg.end), TAG.INTEGER, 'version');
+  const version = readInt(buf, ver);
+  if (version !== 1) throw new Error(version === 0 ? 'SNMPv1 is not supported' : `unsupported SNMP version ${version}`);
+  const comm = expect(readTlv(buf, ver.end, msg.end), TAG.OCTET_STRING, 'community');
+  const pdu = readTlv(buf, comm.end, msg.end);
+  if (pdu.tag === TAG.V1_TRAP) throw new Error('SNMPv1 Trap-PDU is not supported');
+  if (pdu.tag !== TAG.V2_TRAP && pdu.tag !== TAG.INFORM) throw new Error(`not a notification PDU (tag 0x${pdu.tag.toString(16)})`);
+
+  const reqId = expect(readTlv(buf, pdu.start, pdu.end), TAG.INTEGER, 'request-id');
+  const errStatus = expect(readTlv(buf, reqId.end, pdu.end), TAG.INTEGER, 'error-status');
+  const errIndex = expect(readTlv(buf, errStatus.end, pdu.end), TAG.INTEGER, 'error-index');
+  const list = expect(readTlv(buf, errIndex.end, pdu.end), TAG.SEQUENCE, 'varbind list');
+
+  const varbinds = [];
+  for (let p = list.start; p < list.end;) {
+    const vb = expect(readTlv(buf, p, list.end), TAG.SEQUENCE, 'varbind');
+    const oid = expect(readTlv(buf, vb.start, vb.end), TAG.OID, 'varbind OID');
+    const val = readTlv(buf, oid.end, vb.end);
+    varbinds.push({ oid: readOid(buf, oid), ...readValue(buf, val) });
+    p = vb.end;
+  }
+
+  const trapOid = varbinds.find(v => v.oid === SNMP_TRAP_OID);
+  if (!trapOid || trapOid.type !== 'oid') throw new Error('snmpTrapOID.0 varbind missing');
+  const uptime = varbinds.find(v => v.oid === SYS_UPTIME_OID);
+
+  return {
+    version: '2c',
+    community: buf.toString('utf8', comm.start, comm.end),
+    pdu: pdu.tag === TAG.INFORM ? 'inform' : 'trap',
+    requestId: readInt(buf, reqId),
+    uptime: uptime ? uptime.value : null,
+    trapOid: trapOid.value,
+    varbinds: varbinds.filter(v => v.oid !== SNMP_TRAP_OID && v.oid !== SYS_UPTIME_OID),
+  };
+}
+
+// ---------- encoding (sender script) ----------
+function encodeLength(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  for (let v = n; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+const tlv = (tag, body) => Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+
+function encodeInt(n, tag = TAG.INTEGER) {
+  const bytes = [];
+  let v = n;
+  do {
+    bytes.unshift(v & 0xff);
+    v = Math.floor(v / 256);
+  } while (v !== 0 && v !== -1);
+  if (tag === TAG.INTEGER && n >= 0 && bytes[0] & 0x80) bytes.unshift(0);
+  if (n < 0 && !(bytes[0] & 0x80)) bytes.unshift(0xff);
+  return tlv(tag, Buffer.from(bytes));
+}
+
+function encodeOid(oid) {
+  const parts = String(oid).split('.').map(Number);
+  if (parts.length < 2 || parts.some(n => !Number.isInteger(n) || n < 0)) throw new Error(`bad OID ${oid}`);
+  const out = [parts[0] * 40 + parts[1]];
+  for (const n of parts.slice(2)) {
+    const chunk = [n & 0x7f];
+    for (let v = Math.floor(n / 128); v > 0; v = Math.floor(v / 128)) chunk.unshift((v & 0x7f) | 0x80);
+    out.push(...chunk);
+  }
+  return tlv(TAG.OID, Buffer.from(out));
+}
+
+function encodeValue({ type, value }) {
+  switch (type) {
+    case 'integer': return encodeInt(Number(value));
+    case 'string': return tlv(TAG.OCTET_STRING, Buffer.from(String(value), 'utf8'));
+    case 'oid': return encodeOid(value);
+    case 'timeticks': return encodeInt(Number(value), TAG.TIME_TICKS);
+    case 'null': return tlv(TAG.NULL, Buffer.alloc(0));
+    default: throw new Error(`cannot encode varbind type ${type}`);
+  }
+}
+
+/** Build an SNMPv2c trap datagram. */
+export function encodeTrap({ community = 'public', requestId = 1, uptime = 0, trapOid, varbinds = [] }) {
+  const all = [
+    { oid: SYS_UPTIME_OID, type: 'timeticks', value: uptime },
+    { oid: SNMP_TRAP_OID, type: 'oid', value: trapOid },
+    ...varbinds,
+  ];
+  const vbList = tlv(TAG.SEQUENCE, Buffer.concat(all.map(v => tlv(TAG.SEQUENCE, Buffer.concat([encodeOid(v.oid), encodeValue(v)])))));
+  const pdu = tlv(TAG.V2_TRAP, Buffer.concat([encodeInt(requestId), encodeInt(0), encodeInt(0), vbList]));
+  return tlv(TAG.SEQUENCE, Buffer.concat([encodeInt(1), tlv(TAG.OCTET_STRING, Buffer.from(community)), pdu]));
+}
@@ -0,0 +1,90 @@
+// server/ingest/syslog.js
+// RFC 5424 syslog line parser (and formatter for the sender script):
+//   <PRI>VERSION SP TIMESTAMP SP HOSTNAME SP APP-NAME SP PROCID SP MSGID SP STRUCTURED-DATA [SP MSG]
+// NILVALUE ('-') fields come back as null; structured data as { [sdId]: { [param]: value } }.
+
+const SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+const nil = (s) => (s === '-' ? null : s);
+
+// STRUCTURED-DATA starting at `i`: '-' or one or more [id param="value" …] elements
+function readStructuredData(line, i) {
+  if (line[i] === '-') return { sd: {}, next: i + 1 };
+  const sd = {};
+  let p = i;
+  while (line[p] === '[') {
+    p += 1;
+    const idEnd = line.slice(p).search(/[ \]]/);
+    if (idEnd < 0) throw new Error('unterminated SD-ELEMENT');
+    const id = line.slice(p, p + idEnd);
+    if (!id) throw new Error('empty SD-ID');
+    p += idEnd;
+    const params = {};
+    while (line[p] === ' ') {
+      p += 1;
+      const eq = line.indexOf('="', p);
+      if (eq < 0) throw new Error(`bad SD-PARAM in [${id}]`);
+      const name = line.slice(p, eq);
+      p = eq + 2;
+      let value = '';
+      while (p < line.length && line[p] !== '"') {
+        if (line[p] === '\\' && ['"', '\\', ']'].includes(line[p + 1])) p += 1;
+        value += line[p++];
+      }
+      if (line[p] !== '"') throw new Error(`unterminated PARAM-VALUE in [${id}]`);
+      params[name] = value;
+      p += 1;
+    }
+    if (line[p] !== ']') throw new Error(`unterminated SD-ELEMENT [${id}]`);
+    p += 1;
+    sd[id] = params;
+  }
+  if (p === i) throw new Error('bad STRUCTURED-DATA');
+  return { sd, next: p };
+}
+
+/**
+ * Parse one RFC 5424 line. Throws on anything that does not follow the header format.
+ * @returns {{ facility: number, severity: string, version: number, timestamp: string|null, hostname: string|null,
+ *             appName: string|null, procId: string|null, msgId: string|null, sd: object, msg: string }}
+ */
+export function parseSyslog(input) {
+  const line = String(input).replace(/[\r\n]+$/, '');
+  const head = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) /.exec(line);
+  if (!head) throw new Error('not an RFC 5424 syslog line');
+  const pri = Number(head[1]);
+  if (pri > 191) throw new Error(`bad PRI ${pri}`);
+  const version = Number(head[2]);
+  if (version !== 1) throw new Error(`unsupported syslog version ${version}`);
+
+  const timestamp = nil(head[3]);
+  if (timestamp !== null && !Number.isFinite(Date.parse(timestamp))) throw new Error(`bad TIMESTAMP ${timestamp}`);
+
+  const { sd, next } = readStructuredData(line, head[0].length);
+  if (next < line.length && line[next] !== ' ') throw new Error('missing SP after STRUCTURED-DATA');
+  const msg = line.slice(next + 1).replace(/^\uFEFF/, '');
+
+  return {
+    facility: pri >> 3,
+    severity: SEVERITIES[pri & 7],
+    version,
+    timestamp,
+    hostname: nil(head[4]),
+    appName: nil(head[5]),
+    procId: nil(head[6]),
+    msgId: nil(head[7]),
+    sd,
+    msg,
+  };
+}
+
+const sdEscape = (v) => String(v).replace(/["\\\]]/g, (c) => `\\${c}`);
+
+/** Build an RFC 5424 line (facility 16 = local0). */
+export function formatSyslog({ facility = 16, severity = 'err', hostname = '-', appName = 'ran', msgId = '-', sd = {}, msg = '' }) {
+  const pri = facility * 8 + Math.max(0, SEVERITIES.indexOf(severity));
+  const sdText = Object.entries(sd)
+    .map(([id, params]) => `[${id}${Object.entries(params).map(([k, v]) => ` ${k}="${sdEscape(v)}"`).join('')}]`)
+    .join('') || '-';
+  return `<${pri}>1 ${new Date().toISOString()} ${hostname || '-'} ${appName || '-'} ${process.pid} ${msgId || '-'} ${sdText}${msg ? ` ${msg}` : ''}`;
+}
@@ -0,0 +1,284 @@
+// server/ingest/udpListener.js
+// UDP alarm ingestion from RAN equipment: SNMPv2c traps and RFC 5424 syslog on the same sockets
+// (a datagram starting with a BER SEQUENCE is a trap, anything else is syslog).
+// - Traps map by snmpTrapOID.0 → { alarm, state }; the site comes from the first configured site varbind.
+// - Syslog lines map through ordered regex rules (case-insensitive) → { alarm, state }; the site comes
+//   from a (?<site>…) group, an SD param named "site", or the HOSTNAME field.
+// - Matches are published on incidentBus as alarm.raised / alarm.cleared (source 'snmp' | 'syslog'),
+//   with catalog-canonical alarm codes and bus-form site IDs (a plain "S1" from the sender is qualified
+//   through tower/drivers/index.js like every other external ID). Parse failures and unknown OIDs are
+//   counted for /api/bus.
+// - Only trusted senders publish: a datagram is accepted when its source address is in `allowedSources`
+//   (exact IPv4 or a.b.c.d/len), or — traps only — when it carries the configured `community`. With
+//   neither configured nothing is published. A configured community is always checked on traps.
+// Config: config/alarmIngest.json (ALARM_INGEST_CONFIG); ports: ALARM_INGEST_PORTS="1162,5514" ('off' disables);
+// bind address: ALARM_INGEST_HOST (default 127.0.0.1 — set it to reach equipment on other hosts).
+
+import dgram from 'dgram';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { incidentBus } from '../bus/incidentBus.js';
+import { canonicalCode } from '../alarms/store.js';
+import { qualifyExternalId } from '../tower/drivers/index.js';
+import { decodeTrap } from './snmp.js';
+import { parseSyslog } from './syslog.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILE = process.env.ALARM_INGEST_CONFIG || path.join(__dirname, '..', 'config', 'alarmIngest.json');
+const PORTS_ENV = process.env.ALARM_INGEST_PORTS ?? '1162,5514';
+const HOST = process.env.ALARM_INGEST_HOST || '127.0.0.1';
+const MAX_RECENT_FAILURES = 50;
+const MAX_UNKNOWN_OIDS = 500;
+
+const STATES = ['raised', 'cleared'];
+
+let mapping = { community: null, allowedSources: [], siteOids: [], traps: new Map(), rules: [] };
+const sockets = [];
+
+const stats = {
+  startedAt: null,
+  listening: [],           // [{ port, address }]
+  received: { snmp: 0, syslog: 0 },
+  emitted: { raised: 0, cleared: 0 },
+  parseFailures: 0,
+  badCommunity: 0,
+  untrusted: 0,            // source not allowed and no community to vouch for it
+  unmatched: { snmp: 0, syslog: 0 },
+  noSite: 0,
+};
+const unknownOids = new Map();   // trapOid -> { count, lastAt, lastFrom }
+const recentFailures = [];       // [{ at, from, kind, error, sample }]
+
+const nowIso = () => new Date().toISOString();
+
+// ---------- mapping ----------
+const ipv4ToInt = (ip) => {
+  const parts = String(ip).split('.').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isInteger(n) || n < 0 || n > 255)) return null;
+  return parts.reduce((acc, n) => acc * 256 + n, 0);
+};
+
+// "10.1.2.3" or "10.1.0.0/16" → (address) => boolean
+function compileSource(spec) {
+  const [ip, lenRaw] = String(spec).trim().split('/');
+  const base = ipv4ToInt(ip);
+  const len = lenRaw === undefined ? 32 : Number(lenRaw);
+  if (base === null || !Number.isInteger(len) || len < 0 || len > 32) throw new Error(`bad source "${spec}"`);
+  const block = 2 ** (32 - len);
+  return (address) => {
+    const n = ipv4ToInt(address);
+    return n !== null && Math.floor(n / block) === Math.floor(base / block);
+  };
+}
+
+function compile(raw = {}) {
+  const traps = new Map();
+  for (const [oid, m] of Object.entries(raw?.snmp?.traps || {})) {
+    if (!m?.alarm || !STATES.includes(m.state)) {
+      console.warn(`[alarm-ingest] ignoring trap mapping ${oid}: needs alarm and state raised|cleared`);
+      continue;
+    }
+    traps.set(oid.replace(/^\./, ''), { alarm: String(m.alarm), state: m.state });
+  }
+  const rules = [];
+  for (const [i, r] of (raw?.syslog?.rules || []).entries()) {
+    try {
+      if (!r?.alarm || !STATES.includes(r.state)) throw new Error('needs alarm and state raised|cleared');
+      rules.push({ rx: new RegExp(r.match, 'i'), alarm: String(r.alarm), state: r.state });
+    } catch (e) {
+      console.warn(`[alarm-ingest] ignoring syslog rule #${i}: ${e.message}`);
+    }
+  }
+  const allowedSources = [];
+  for (const spec of raw?.allowedSources || []) {
+    try {
+      allowedSources.push(compileSource(spec));
+    } catch (e) {
+      console.warn(`[alarm-ingest] ignoring allowedSources entry: ${e.message}`);
+    }
+  }
+  return {
+    community: raw?.community || null,
+    allowedSources,
+    siteOids: (raw?.snmp?.siteOids || []).map(o => String(o).replace(/^\./, '')),
+    traps,
+    rules,
+  };
+}
+
+export function reloadIngestMapping() {
+  try {
+    mapping = compile(JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')));
+  } catch (e) {
+    if (e?.code !== 'ENOENT') console.warn(`[alarm-ingest] could not read ${CONFIG_FILE}: ${e.message}`);
+    mapping = compile({});
+  }
+  if (!mapping.community && !mapping.allowedSources.length) {
+    console.warn('[alarm-ingest] no community or allowedSources configured — received traps / syslog will not be published');
+  }
+  return { traps: mapping.traps.size, syslogRules: mapping.rules.length, siteOids: mapping.siteOids, allowedSources: mapping.allowedSources.length };
+}
+
+reloadIngestMapping();
+
+// ---------- handling ----------
+function fail(kind, from, error, sample) {
+  stats.parseFailures += 1;
+  recentFailures.push({ at: nowIso(), from, kind, error, sample });
+  if (recentFailures.length > MAX_RECENT_FAILURES) recentFailures.shift();
+}
+
+function publishAlarm({ state, siteId, alarm, ts, source, origin }) {
+  const type = state === 'cleared' ? 'alarm.cleared' : 'alarm.raised';
+  const payload = { siteId: qualifyExternalId(siteId), alarm: canonicalCode(alarm), ts: ts || nowIso(), source, origin };
+  stats.emitted[state] += 1;
+  incidentBus.emit(type, payload);
+  incidentBus.emit('event', { type, ...payload });
+}
+
+const sourceAllowed = (address) => mapping.allowedSources.some(match => match(address));
+
+function handleTrap(buf, from, trusted) {
+  stats.received.snmp += 1;
+  let trap;
+  try {
+    trap = decodeTrap(buf);
+  } catch (e) {
+    return fail('snmp', from, e.message, buf.subarray(0, 48).toString('hex'));
+  }
+  if (mapping.community && trap.community !== mapping.community) {
+    stats.badCommunity += 1;
+    return;
+  }
+  if (!trusted && !mapping.community) {
+    stats.untrusted += 1;
+    return;
+  }
+
+  const m = mapping.traps.get(trap.trapOid);
+  if (!m) {
+    stats.unmatched.snmp += 1;
+    const u = unknownOids.get(trap.trapOid) || { count: 0 };
+    unknownOids.set(trap.trapOid, { count: u.count + 1, lastAt: nowIso(), lastFrom: from });
+    if (unknownOids.size > MAX_UNKNOWN_OIDS) unknownOids.delete(unknownOids.keys().next().value);
+    return;
+  }
+
+  let siteId = null;
+  for (const oid of mapping.siteOids) {
+    const vb = trap.varbinds.find(v => v.oid === oid && v.type === 'string' && v.value);
+    if (vb) { siteId = vb.value.trim(); break; }
+  }
+  if (!siteId) {
+    stats.noSite += 1;
+    return fail('snmp', from, `no site varbind in trap ${trap.trapOid}`, null);
+  }
+
+  publishAlarm({ ...m, siteId, source: 'snmp', origin: { trapOid: trap.trapOid, from, pdu: trap.pdu } });
+}
+
+function handleSyslogLine(line, from) {
+  stats.received.syslog += 1;
+  let rec;
+  try {
+    rec = parseSyslog(line);
+  } catch (e) {
+    return fail('syslog', from, e.message, line.slice(0, 120));
+  }
+
+  for (const r of mapping.rules) {
+    const hit = r.rx.exec(rec.msg);
+    if (!hit) continue;
+    const groups = hit.groups || {};
+    const alarm = r.alarm.replace(/\{(\w+)\}/g, (_, k) => String(groups[k] ?? '').toUpperCase());
+    const sdSite = Object.values(rec.sd).map(p => p.site).find(Boolean);
+    const siteId = groups.site || sdSite || rec.hostname;
+    if (!siteId) {
+      stats.noSite += 1;
+      return fail('syslog', from, 'no site (group, SD param or HOSTNAME)', line.slice(0, 120));
+    }
+    return publishAlarm({
+      state: r.state,
+      siteId,
+      alarm,
+      ts: rec.timestamp ? new Date(rec.timestamp).toISOString() : null,
+      source: 'syslog',
+      origin: { appName: rec.appName, msgId: rec.msgId, severity: rec.severity, from },
+    });
+  }
+  stats.unmatched.syslog += 1;
+}
+
+function handleDatagram(buf, rinfo) {
+  const from = `${rinfo.address}:${rinfo.port}`;
+  const trusted = sourceAllowed(rinfo.address);
+  if (buf[0] === 0x30) return handleTrap(buf, from, trusted);
+  if (!trusted) {
+    // syslog carries no credential, so only allow-listed senders may publish
+    stats.untrusted += 1;
+    return;
+  }
+  for (const line of buf.toString('utf8').split(/\r?\n/)) {
+    if (line.trim()) handleSyslogLine(line, from);
+  }
+}
+
+// ---------- lifecycle ----------
+function parsePorts(v) {
+  if (!v || String(v).toLowerCase() === 'off') return [];
+  return String(v).split(',').map(s => Number(s.trim())).filter(n => Number.isInteger(n) && n > 0 && n < 65536);
+}
+
+export function initAlarmIngest() {
+  if (sockets.length) return getIngestStatus();
+  stats.startedAt = nowIso();
+  for (const port of parsePorts(PORTS_ENV)) {
+    const sock = dgram.createSocket('udp4');
+    sock.on('message', (buf, rinfo) => {
+      try { handleDatagram(buf, rinfo); } catch (e) { fail('udp', `${rinfo.address}:${rinfo.port}`, e.message, null); }
+    });
+    sock.on('error', (e) => {
+      console.error(`[alarm-ingest] UDP :${port} error: ${e.message}`);
+      try { sock.close(); } catch {}
+      stats.listening = stats.listening.filter(l => l.port !== port);
+    });
+    sock.bind(port, HOST, () => {
+      stats.listening.push({ port, address: HOST });
+      console.log(`[alarm-ingest] listening for SNMP traps / syslog on udp ${HOST}:${port}`);
+    });
+    sockets.push(sock);
+  }
+  return getIngestStatus();
+}
+
+export function stopAlarmIngest() {
+  for (const s of sockets.splice(0)) {
+    try { s.close(); } catch {}
+  }
+  stats.listening = [];
+}
+
+/** Counters; `detail` adds unknown trap OIDs and the most recent parse failures. */
+export function getIngestStatus({ detail = false } = {}) {
+  const out = {
+    ...stats,
+    received: { ...stats.received },
+    emitted: { ...stats.emitted },
+    unmatched: { ...stats.unmatched },
+    unknownOidCount: unknownOids.size,
+    mapping: {
+      traps: mapping.traps.size,
+      syslogRules: mapping.rules.length,
+      community: Boolean(mapping.community),
+      allowedSources: mapping.allowedSources.length,
+    },
+  };
+  if (detail) {
+    out.unknownOids = [...unknownOids.entries()].map(([oid, u]) => ({ oid, ...u })).sort((a, b) => b.count - a.count);
+    out.recentFailures = recentFailures.slice().reverse();
+  }
+  return out;
+}
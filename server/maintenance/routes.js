@@ -0,0 +1,64 @@
+// server/maintenance/routes.js
+import { Router } from 'express';
+import {
+  createWindow,
+  updateWindow,
+  cancelWindow,
+  getWindow,
+  listWindows,
+} from './store.js';
+
+const router = Router();
+
+function fresh(res) {
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  return res;
+}
+
+// List windows: ?siteId=&status=scheduled|active|closed|cancelled
+router.get('/', (req, res) => {
+  const { siteId, status } = req.query ?? {};
+  fresh(res).json({
+    ok: true,
+    windows: listWindows({ siteId: siteId ? String(siteId) : undefined, status: status ? String(status) : undefined }),
+  });
+});
+
+// Create — body: { siteId | group, start?, end, crqId?, owner?, note? }
+router.post('/', (req, res) => {
+  try {
+    const by = req.body?.owner ? String(req.body.owner) : 'operator';
+    fresh(res).status(201).json({ ok: true, window: createWindow(req.body ?? {}, by) });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const w = getWindow(req.params.id);
+  if (!w) return fresh(res).status(404).json({ ok: false, error: 'Window not found' });
+  fresh(res).json({ ok: true, window: w });
+});
+
+// Update — body: { start?, end?, crqId?, owner?, note? }
+router.patch('/:id', (req, res) => {
+  let w;
+  try {
+    w = updateWindow(req.params.id, req.body ?? {});
+  } catch (e) {
+    return fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+  if (!w) return fresh(res).status(404).json({ ok: false, error: 'Window not found' });
+  fresh(res).json({ ok: true, window: w });
+});
+
+// Cancel (ends the window now; its suppression summary is posted)
+router.delete('/:id', (req, res) => {
+  const w = cancelWindow(req.params.id, req.body?.by ? String(req.body.by) : 'operator');
+  if (!w) return fresh(res).status(404).json({ ok: false, error: 'Window not found' });
+  fresh(res).json({ ok: true, window: w });
+});
+
+export default router;
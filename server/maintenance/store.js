@@ -0,0 +1,224 @@
+// server/maintenance/store.js
+// Maintenance windows (planned work / CRQs) — alarms inside an active window are recorded, not acted on.
+//
+// A window targets one site (siteId) or a site group from config/sites.json (group). siteId may be
+// plain or namespaced ("north:S1"); it is stored in bus form (qualifyExternalId, tower/drivers/index.js).
+// Status is derived from the clock: scheduled → active → closed (or cancelled by an operator).
+// When a window ends, a summary of the alarms it suppressed is built and handed to onWindowClosed listeners.
+
+import { EventEmitter } from 'events';
+import { load, upsert, remove } from '../persistence/store.js';
+import { getGroupSites, hasGroup, groupsForSite } from '../config/sites.js';
+import { qualifyExternalId } from '../tower/drivers/index.js';
+
+const MAINTENANCE_NS = 'maintenance';
+const MAX_WINDOWS = 500;              // closed/cancelled windows are evicted first
+const MAX_SUPPRESSED = 500;           // per window
+const CLOSE_CHECK_MS = 15_000;
+
+const windows = new Map();            // id -> window
+const events = new EventEmitter();
+let nextId = 1;
+
+(function rehydrate() {
+  for (const w of load(MAINTENANCE_NS).keyed.values()) {
+    if (!w?.id) continue;
+    windows.set(w.id, w);
+    const n = Number(String(w.id).replace(/^MW-/, ''));
+    if (Number.isFinite(n) && n >= nextId) nextId = n + 1;
+  }
+})();
+
+const nowIso = () => new Date().toISOString();
+
+// ---------- internals ----------
+function statusOf(w, now = Date.now()) {
+  if (w.cancelledAt) return 'cancelled';
+  if (now < Date.parse(w.start)) return 'scheduled';
+  if (now < Date.parse(w.end)) return 'active';
+  return 'closed';
+}
+
+function view(w) {
+  return { ...w, status: statusOf(w), sites: sitesOf(w) };
+}
+
+function sitesOf(w) {
+  return w.siteId ? [qualifyExternalId(w.siteId)] : getGroupSites(w.group);
+}
+
+function persist(w) {
+  upsert(MAINTENANCE_NS, w.id, w);
+}
+
+function evict() {
+  if (windows.size <= MAX_WINDOWS) return;
+  for (const [id, w] of windows) {
+    if (windows.size <= MAX_WINDOWS) break;
+    if (w.summary) {
+      windows.delete(id);
+      remove(MAINTENANCE_NS, id);
+    }
+  }
+}
+
+function parseTime(value, label) {
+  const t = Date.parse(value);
+  if (!Number.isFinite(t)) throw new Error(`${label} must be an ISO date/time`);
+  return new Date(t).toISOString();
+}
+
+function validate(fields) {
+  const siteId = fields.siteId ? qualifyExternalId(fields.siteId) : null;
+  const group = fields.group ? String(fields.group).trim() : null;
+  if (!siteId === !group) throw new Error('exactly one of "siteId" or "group" is required');
+  if (group && !hasGroup(group)) throw new Error(`unknown site group: ${group}`);
+  const start = parseTime(fields.start ?? nowIso(), 'start');
+  const end = parseTime(fields.end, 'end');
+  if (Date.parse(end) <= Date.parse(start)) throw new Error('end must be after start');
+  return { siteId, group, start, end };
+}
+
+function buildSummary(w) {
+  const byAlarm = {};
+  const bySite = {};
+  for (const s of w.suppressed) {
+    const key = s.alarm || s.type;
+    byAlarm[key] = (byAlarm[key] || 0) + 1;
+    bySite[s.siteId] = (bySite[s.siteId] || 0) + 1;
+  }
+  return {
+    total: w.suppressedCount,
+    byAlarm,
+    bySite,
+    closedAt: nowIso(),
+  };
+}
+
+function closeIfDue(w) {
+  if (w.summary) return;
+  const status = statusOf(w);
+  if (status !== 'closed' && status !== 'cancelled') return;
+  w.summary = buildSummary(w);
+  persist(w);
+  events.emit('closed', view(w));
+}
+
+function checkClosed() {
+  for (const w of windows.values()) closeIfDue(w);
+}
+
+const closeTimer = setInterval(checkClosed, CLOSE_CHECK_MS);
+closeTimer.unref?.();
+
+// ---------- public API ----------
+/** Create a window — { siteId | group, start?, end, crqId?, owner?, note? }. Throws on invalid input. */
+function createWindow(fields = {}, by = 'operator') {
+  const target = validate(fields);
+  const w = {
+    id: `MW-${String(nextId++).padStart(6, '0')}`,
+    ...target,
+    crqId: fields.crqId ? String(fields.crqId) : null,
+    owner: String(fields.owner || by),
+    note: String(fields.note || ''),
+    createdAt: nowIso(),
+    createdBy: by,
+    cancelledAt: null,
+    suppressedCount: 0,
+    suppressed: [],
+    summary: null,
+  };
+  windows.set(w.id, w);
+  persist(w);
+  evict();
+  events.emit('change', view(w));
+  return view(w);
+}
+
+/** Patch start/end/crqId/owner/note (target is fixed). Returns null if unknown; throws on invalid input. */
+function updateWindow(id, patch = {}) {
+  const w = windows.get(String(id));
+  if (!w) return null;
+  if (w.summary) throw new Error(`window ${w.id} is already ${statusOf(w)}`);
+  const next = validate({ siteId: w.siteId, group: w.group, start: patch.start ?? w.start, end: patch.end ?? w.end });
+  w.start = next.start;
+  w.end = next.end;
+  if (patch.crqId !== undefined) w.crqId = patch.crqId ? String(patch.crqId) : null;
+  if (patch.owner !== undefined) w.owner = String(patch.owner);
+  if (patch.note !== undefined) w.note = String(patch.note);
+  persist(w);
+  events.emit('change', view(w));
+  closeIfDue(w); // ending a window early closes it right away
+  return view(w);
+}
+
+/** Cancel (end now). Returns null if unknown. */
+function cancelWindow(id, by = 'operator') {
+  const w = windows.get(String(id));
+  if (!w) return null;
+  if (!w.cancelledAt && !w.summary) {
+    w.cancelledAt = nowIso();
+    w.cancelledBy = by;
+    persist(w);
+    events.emit('change', view(w));
+    closeIfDue(w);
+  }
+  return view(w);
+}
+
+function getWindow(id) {
+  const w = windows.get(String(id));
+  return w ? view(w) : null;
+}
+
+function listWindows({ siteId, status } = {}) {
+  let list = [...windows.values()].map(view);
+  if (siteId) {
+    const id = qualifyExternalId(siteId);
+    list = list.filter(w => w.sites.includes(id));
+  }
+  if (status) list = list.filter(w => w.status === status);
+  return list.sort((a, b) => b.start.localeCompare(a.start));
+}
+
+/** Active window covering this site (site-level first, then its groups), or null. */
+function activeWindowFor(siteId, at = Date.now()) {
+  if (!siteId) return null;
+  const sid = qualifyExternalId(siteId);
+  const groups = groupsForSite(sid);
+  let match = null;
+  for (const w of windows.values()) {
+    if (statusOf(w, at) !== 'active') continue;
+    if (w.siteId && qualifyExternalId(w.siteId) === sid) return view(w);
+    if (!match && w.group && groups.includes(w.group)) match = w;
+  }
+  return match ? view(match) : null;
+}
+
+/** Record an alarm/event that was not acted on because of window `id`. */
+function recordSuppressed(id, evt) {
+  const w = windows.get(String(id));
+  if (!w) return null;
+  w.suppressedCount += 1;
+  w.suppressed.push({
+    ts: nowIso(),
+    siteId: evt?.siteId,
+    type: evt?.type,
+    alarm: evt?.alarm ?? null,
+    antenna: evt?.antenna ?? null,
+  });
+  if (w.suppressed.length > MAX_SUPPRESSED) w.suppressed.shift();
+  persist(w);
+  return w.suppressedCount;
+}
+
+/** Listen for windows ending (natural end or cancel); receives the window with its summary. */
+function onWindowClosed(fn) {
+  events.on('closed', fn);
+  return () => events.off('closed', fn);
+}
+
+export {
+  createWindow, updateWindow, cancelWindow, getWindow, listWindows,
+  activeWindowFor, recordSuppressed, onWindowClosed,
+};
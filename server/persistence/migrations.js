@@ -0,0 +1,12 @@
+// server/persistence/migrations.js
+// Journal schema migrations. Each step rewrites the record list from `from` to `to`;
+// persistence/store.js chains them at boot until the journal reaches SCHEMA_VERSION.
+
+export const MIGRATIONS = [
+  {
+    // v0 = journals written before the meta header existed; records are already v1-shaped
+    from: 0,
+    to: 1,
+    up: (records) => records.filter(r => r && typeof r === 'object' && r.ns && r.op),
+  },
+];
@@ -0,0 +1,197 @@
+// server/persistence/store.js
+// Durable state for operational modules (supervisor, approvals, casebook, policy, system history, incidents).
+//
+// Modules write through on every change and rehydrate from `load(ns)` at boot.
+// Default backend is an append-only JSONL journal; `PERSIST_DRIVER=memory` keeps it in-process.
+//
+// Journal records (one JSON object per line):
+//   { kind: 'meta', schema }                   ← header, first line
+//   { ns, op: 'put',    value }                ← namespace snapshot (last one wins)
+//   { ns, op: 'append', item }                 ← list item (bounded at compaction)
+//   { ns, op: 'upsert', key, value }           ← keyed item (last one per key wins)
+//   { ns, op: 'remove', key }                  ← drop a keyed item
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MIGRATIONS } from './migrations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SCHEMA_VERSION = 1;
+
+const DATA_DIR = process.env.PERSIST_DIR || path.join(__dirname, '..', 'data');
+const JOURNAL_FILE = path.join(DATA_DIR, 'launchctrl.jsonl');
+const COMPACT_EVERY = 5000;            // journal lines before rewriting
+const DEFAULT_MAX_ITEMS = 5000;        // per-namespace cap for 'append' lists
+
+// ---------- drivers ----------
+// A driver exposes: readAll() -> record[], write(record), rewrite(records[]), describe()
+function createJsonlDriver(file = JOURNAL_FILE) {
+  return {
+    readAll() {
+      let raw = '';
+      try { raw = fs.readFileSync(file, 'utf8'); } catch { return []; }
+      const out = [];
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try { out.push(JSON.parse(line)); }
+        catch { console.warn('[persistence] skipping corrupt journal line'); }
+      }
+      return out;
+    },
+    write(record) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(record) + '\n', 'utf8');
+    },
+    rewrite(records) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, records.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf8');
+      fs.renameSync(tmp, file);
+    },
+    describe() { return { driver: 'jsonl', file }; },
+  };
+}
+
+function createMemoryDriver() {
+  let records = [];
+  return {
+    readAll() { return records.slice(); },
+    write(record) { records.push(record); },
+    rewrite(next) { records = next.slice(); },
+    describe() { return { driver: 'memory' }; },
+  };
+}
+
+const DRIVERS = new Map([
+  ['jsonl', createJsonlDriver],
+  ['memory', createMemoryDriver],
+]);
+
+/** Register an extra backend (e.g. sqlite) before first use. */
+export function registerDriver(name, factory) {
+  DRIVERS.set(String(name).toLowerCase(), factory);
+}
+
+// ---------- state ----------
+let driver = null;
+let lines = 0;
+const spaces = new Map();   // ns -> { value, items: [], keyed: Map, maxItems }
+
+function space(ns) {
+  if (!spaces.has(ns)) spaces.set(ns, { value: undefined, items: [], keyed: new Map(), maxItems: DEFAULT_MAX_ITEMS });
+  return spaces.get(ns);
+}
+
+function applyRecord(r) {
+  if (!r || r.kind === 'meta' || !r.ns) return;
+  const s = space(r.ns);
+  if (r.op === 'put') s.value = r.value;
+  else if (r.op === 'append') s.items.push(r.item);
+  else if (r.op === 'upsert') s.keyed.set(String(r.key), r.value);
+  else if (r.op === 'remove') s.keyed.delete(String(r.key));
+}
+
+function migrate(records) {
+  const header = records.find(r => r?.kind === 'meta');
+  let version = Number(header?.schema ?? 0);
+  let body = records.filter(r => r?.kind !== 'meta');
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS.find(m => m.from === version);
+    if (!step) throw new Error(`[persistence] no migration from schema v${version}`);
+    body = step.up(body);
+    console.log(`[persistence] migrated journal schema v${step.from} → v${step.to}`);
+    version = step.to;
+  }
+  return { body, migrated: Number(header?.schema ?? 0) !== SCHEMA_VERSION && records.length > 0 };
+}
+
+function snapshotRecords() {
+  const out = [{ kind: 'meta', schema: SCHEMA_VERSION, ts: new Date().toISOString() }];
+  for (const [ns, s] of spaces) {
+    if (s.value !== undefined) out.push({ ns, op: 'put', value: s.value });
+    for (const item of s.items.slice(-s.maxItems)) out.push({ ns, op: 'append', item });
+    for (const [key, value] of s.keyed) out.push({ ns, op: 'upsert', key, value });
+  }
+  return out;
+}
+
+function compact() {
+  for (const s of spaces.values()) {
+    if (s.items.length > s.maxItems) s.items.splice(0, s.items.length - s.maxItems);
+  }
+  const records = snapshotRecords();
+  driver.rewrite(records);
+  lines = records.length;
+}
+
+function open() {
+  if (driver) return;
+  const name = String(process.env.PERSIST_DRIVER || 'jsonl').toLowerCase();
+  const factory = DRIVERS.get(name) || createJsonlDriver;
+  driver = factory();
+
+  const { body, migrated } = migrate(driver.readAll());
+  body.forEach(applyRecord);
+  lines = body.length + 1;
+
+  if (migrated || body.length === 0) compact(); // stamp header / persist migrated shape
+  console.log(`[persistence] ready ${JSON.stringify(driver.describe())} (${spaces.size} namespace(s), schema v${SCHEMA_VERSION})`);
+}
+
+function write(record) {
+  open();
+  applyRecord(record);
+  try {
+    driver.write({ ...record, ts: new Date().toISOString() });
+    lines += 1;
+    if (lines > COMPACT_EVERY) compact();
+  } catch (e) {
+    console.error('[persistence] write failed:', e?.message || e);
+  }
+}
+
+// ---------- public API ----------
+/** Rehydrate a namespace: { value, items, keyed: Map } (empty when never written). */
+export function load(ns, { maxItems } = {}) {
+  open();
+  const s = space(ns);
+  if (maxItems) s.maxItems = maxItems;
+  return { value: s.value, items: s.items.slice(), keyed: new Map(s.keyed) };
+}
+
+/** Replace a namespace snapshot. */
+export function put(ns, value) {
+  write({ ns, op: 'put', value });
+}
+
+/** Append an item to a namespace list (bounded to maxItems at compaction). */
+export function append(ns, item) {
+  write({ ns, op: 'append', item });
+}
+
+/** Insert/replace a keyed item in a namespace. */
+export function upsert(ns, key, value) {
+  write({ ns, op: 'upsert', key: String(key), value });
+}
+
+export function remove(ns, key) {
+  write({ ns, op: 'remove', key: String(key) });
+}
+
+export function getPersistenceStatus() {
+  open();
+  return {
+    ...driver.describe(),
+    schema: SCHEMA_VERSION,
+    journalLines: lines,
+    namespaces: [...spaces.entries()].map(([ns, s]) => ({
+      ns,
+      hasValue: s.value !== undefined,
+      items: s.items.length,
+      keyed: s.keyed.size,
+    })),
+  };
+}
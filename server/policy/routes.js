@@ -10,7 +10,8 @@ router.get('/', (_req, res) => {
   res.json(getPolicy());
 });
 
-// POST partial update { alarmPrioritization?, waysOfWorking?, kpiAlignment? }
+// POST partial update { alarmPrioritization?, waysOfWorking?, kpiAlignment?,
+//                       approvalTtlMin?, approvalReminderMin?, approvalEscalation? }
 router.post('/', (req, res) => {
   try {
     const patch = req.body ?? {};
@@ -1,10 +1,15 @@
 // server/policy/store.js
-// In-memory Policy Store + SSE broadcasting (case-insensitive inputs supported)
+// Policy Store (persisted) + SSE broadcasting (case-insensitive inputs supported)
+
+import { load, put } from '../persistence/store.js';
 
 const DEFAULT_POLICY = Object.freeze({
   alarmPrioritization: 'Critical First',
   waysOfWorking: 'Human intervention at critical steps',
   kpiAlignment: '>95%',
+  approvalTtlMin: 30,          // pending HITL approvals escalate after this long (0 = never)
+  approvalReminderMin: 10,     // reminder note interval while pending (0 = off)
+  approvalEscalation: 'dispatch',
   updatedAt: new Date().toISOString(),
   version: 1,
 });
@@ -22,6 +27,8 @@ function onChange(fn) {
 const ALARM_OPTIONS = ['Critical First', 'Adaptive Correlation'];
 const WOW_OPTIONS = ['E2E automation', 'Human intervention at critical steps'];
 const KPI_OPTIONS = ['>95%', '75%'];
+const ESCALATION_OPTIONS = ['dispatch', 'auto-approve', 'auto-reject'];
+const MAX_APPROVAL_MINUTES = 24 * 60;
 
 // Build case-insensitive lookup maps → canonical strings
 const toCanonMap = (arr) =>
@@ -29,6 +36,24 @@ const toCanonMap = (arr) =>
 const ALARM_CANON = toCanonMap(ALARM_OPTIONS);
 const WOW_CANON = toCanonMap(WOW_OPTIONS);
 const KPI_CANON = toCanonMap(KPI_OPTIONS);
+const ESCALATION_CANON = toCanonMap(ESCALATION_OPTIONS);
+
+// Rehydrate the last saved policy; values that no longer validate fall back to defaults
+(function rehydrate() {
+  const saved = load('policy').value;
+  if (!saved || typeof saved !== 'object') return;
+  const valid = {};
+  for (const key of ['alarmPrioritization', 'waysOfWorking', 'kpiAlignment', 'approvalTtlMin', 'approvalReminderMin', 'approvalEscalation']) {
+    try { Object.assign(valid, validatePatch({ [key]: saved[key] })); } catch {}
+  }
+  policy = {
+    ...policy,
+    ...valid,
+    version: Number(saved.version) || policy.version,
+    updatedAt: saved.updatedAt || policy.updatedAt,
+    source: saved.source,
+  };
+})();
 
 function toCanonical(value, map, label) {
   if (value === undefined) return undefined;
@@ -40,6 +65,15 @@ function toCanonical(value, map, label) {
   return canon;
 }
 
+function toMinutes(value, label) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_APPROVAL_MINUTES) {
+    throw new Error(`${label} must be a number of minutes between 0 and ${MAX_APPROVAL_MINUTES}`);
+  }
+  return n;
+}
+
 function validatePatch(patch = {}) {
   const out = {};
   if (patch.alarmPrioritization !== undefined) {
@@ -51,6 +85,15 @@ function validatePatch(patch = {}) {
   if (patch.kpiAlignment !== undefined) {
     out.kpiAlignment = toCanonical(patch.kpiAlignment, KPI_CANON, 'kpiAlignment');
   }
+  if (patch.approvalTtlMin !== undefined) {
+    out.approvalTtlMin = toMinutes(patch.approvalTtlMin, 'approvalTtlMin');
+  }
+  if (patch.approvalReminderMin !== undefined) {
+    out.approvalReminderMin = toMinutes(patch.approvalReminderMin, 'approvalReminderMin');
+  }
+  if (patch.approvalEscalation !== undefined) {
+    out.approvalEscalation = toCanonical(patch.approvalEscalation, ESCALATION_CANON, 'approvalEscalation');
+  }
   return out;
 }
 
@@ -67,6 +110,7 @@ function setPolicy(patch = {}, source = 'api') {
     updatedAt: new Date().toISOString(),
     source,
   };
+  put('policy', policy);
 
   broadcast();
 
@@ -104,7 +148,7 @@ function broadcast() {
 
 export {
   DEFAULT_POLICY,
-  ALARM_OPTIONS, WOW_OPTIONS, KPI_OPTIONS,
+  ALARM_OPTIONS, WOW_OPTIONS, KPI_OPTIONS, ESCALATION_OPTIONS,
   getPolicy, setPolicy,
   addSubscriber, subscribeStream,
   onChange,
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// server/scripts/sendAlarm.js
+// Local SNMP trap / syslog sender for testing alarm ingestion (ingest/udpListener.js).
+//   npm run send:alarm -- trap <siteId> <trapOid> [--port 1162] [--community public]
+//   npm run send:alarm -- syslog <siteId> "<message>" [--port 5514] [--severity err]
+//   npm run send:alarm -- raw "<text>" [--port 5514]      (send anything, e.g. to see parse failures)
+//   npm run send:alarm -- list                             (trap OIDs / syslog rules from the config)
+
+import dgram from 'dgram';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { encodeTrap } from '../ingest/snmp.js';
+import { formatSyslog } from '../ingest/syslog.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_FILE = process.env.ALARM_INGEST_CONFIG || path.join(__dirname, '..', 'config', 'alarmIngest.json');
+
+function parseArgs(argv) {
+  const pos = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) flags[argv[i].slice(2)] = argv[++i];
+    else pos.push(argv[i]);
+  }
+  return { pos, flags };
+}
+
+function send(buf, host, port) {
+  return new Promise((resolve, reject) => {
+    const sock = dgram.createSocket('udp4');
+    sock.send(buf, port, host, (err) => {
+      sock.close();
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+async function main() {
+  const { pos, flags } = parseArgs(process.argv.slice(2));
+  const [kind, a, b] = pos;
+  const host = flags.host || '127.0.0.1';
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+
+  if (kind === 'list') {
+    for (const [oid, m] of Object.entries(config.snmp?.traps || {})) console.log(`trap   ${oid.padEnd(26)} ${m.alarm} ${m.state}`);
+    for (const r of config.syslog?.rules || []) console.log(`syslog /${r.match}/i → ${r.alarm} ${r.state}`);
+    return;
+  }
+
+  if (kind === 'trap') {
+    if (!a || !b) throw new Error('usage: trap <siteId> <trapOid>');
+    const siteOid = flags['site-oid'] || config.snmp?.siteOids?.[0];
+    const buf = encodeTrap({
+      community: flags.community || config.community || 'public',
+      requestId: Math.floor(Math.random() * 1e6),
+      uptime: Math.round(process.uptime() * 100),
+      trapOid: b,
+      varbinds: siteOid ? [{ oid: siteOid, type: 'string', value: a }] : [],
+    });
+    const port = Number(flags.port || 1162);
+    await send(buf, host, port);
+    console.log(`sent trap ${b} for ${a} to ${host}:${port} (${buf.length} bytes)`);
+    return;
+  }
+
+  if (kind === 'syslog') {
+    if (!a || !b) throw new Error('usage: syslog <siteId> "<message>"');
+    const line = formatSyslog({ hostname: a, severity: flags.severity || 'err', appName: flags.app || 'ran', msg: b });
+    const port = Number(flags.port || 5514);
+    await send(Buffer.from(line), host, port);
+    console.log(`sent to ${host}:${port}: ${line}`);
+    return;
+  }
+
+  if (kind === 'raw') {
+    if (!a) throw new Error('usage: raw "<text>"');
+    const port = Number(flags.port || 5514);
+    await send(Buffer.from(a), host, port);
+    console.log(`sent ${a.length} bytes to ${host}:${port}`);
+    return;
+  }
+
+  throw new Error('usage: sendAlarm.js trap|syslog|raw|list …');
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+// server/supervisor/breaker.js
+// Per-site circuit breaker for automated mitigation.
+// - closed:    automation allowed; attempts/outcomes are counted over a rolling window.
+// - open:      too many attempts (or failed outcomes) in the window → automation blocked.
+// - half_open: cool-down elapsed → one trial run; success closes, failure re-opens.
+// claimDispatch() hands out one field dispatch per open period; later events only get noted.
+
+export const BREAKER_STATES = Object.freeze(['closed', 'open', 'half_open']);
+
+export class CircuitBreaker {
+  constructor({ windowMs = 30 * 60_000, maxAttempts = 3, maxFailures = 2, coolDownMs = 15 * 60_000, onChange = null } = {}) {
+    this.windowMs = Math.max(1000, Number(windowMs) || 30 * 60_000);
+    this.maxAttempts = Math.max(1, Number(maxAttempts) || 3);
+    this.maxFailures = Math.max(1, Number(maxFailures) || 2);
+    this.coolDownMs = Math.max(1000, Number(coolDownMs) || 15 * 60_000);
+    this.onChange = onChange;
+    this.sites = new Map(); // key -> { state, attempts: ts[], failures: ts[], openedAt, reason, trial, opens, dispatchedAt }
+  }
+
+  _entry(key) {
+    if (!this.sites.has(key)) {
+      this.sites.set(key, { state: 'closed', attempts: [], failures: [], openedAt: null, reason: null, trial: false, opens: 0, dispatchedAt: null });
+    }
+    return this.sites.get(key);
+  }
+
+  _prune(e, now) {
+    const cutoff = now - this.windowMs;
+    e.attempts = e.attempts.filter(t => t >= cutoff);
+    e.failures = e.failures.filter(t => t >= cutoff);
+  }
+
+  _set(key, e, state, reason = null) {
+    const from = e.state;
+    e.state = state;
+    e.reason = reason;
+    if (state === 'open') { e.openedAt = Date.now(); e.opens += 1; e.dispatchedAt = null; }
+    if (state === 'closed') { e.openedAt = null; e.attempts = []; e.failures = []; }
+    e.trial = false;
+    try { this.onChange?.({ key, from, to: state, reason }); } catch {}
+  }
+
+  /**
+   * May automation run for this key now? Moves open → half_open once the cool-down passed.
+   * @returns {{ allowed: boolean, state: string, reason: string|null, retryAt: string|null }}
+   */
+  check(key) {
+    const now = Date.now();
+    const e = this._entry(key);
+    if (e.state === 'open' && now - e.openedAt >= this.coolDownMs) this._set(key, e, 'half_open', 'cool-down elapsed');
+
+    if (e.state === 'open') {
+      return { allowed: false, state: e.state, reason: e.reason, retryAt: new Date(e.openedAt + this.coolDownMs).toISOString() };
+    }
+    if (e.state === 'half_open' && e.trial) {
+      return { allowed: false, state: e.state, reason: 'half-open trial in progress', retryAt: null };
+    }
+    return { allowed: true, state: e.state, reason: null, retryAt: null };
+  }
+
+  /**
+   * First call in the current open period → true (caller dispatches), then false until the breaker
+   * re-opens. Half-open counts as part of the period that opened it.
+   */
+  claimDispatch(key) {
+    const e = this._entry(key);
+    if (e.state === 'closed' || e.dispatchedAt) return false;
+    e.dispatchedAt = Date.now();
+    return true;
+  }
+
+  /** Count an automated attempt; opens the breaker when the window limit is reached. */
+  recordAttempt(key) {
+    const now = Date.now();
+    const e = this._entry(key);
+    this._prune(e, now);
+    e.attempts.push(now);
+    if (e.state === 'half_open') { e.trial = true; return; }
+    if (e.state === 'closed' && e.attempts.length >= this.maxAttempts) {
+      this._set(key, e, 'open', `${e.attempts.length} attempts in ${Math.round(this.windowMs / 60_000)}m`);
+    }
+  }
+
+  /** Record the outcome of the last attempt (ok = site fully restored). */
+  recordOutcome(key, ok) {
+    const now = Date.now();
+    const e = this._entry(key);
+    this._prune(e, now);
+    if (!ok) e.failures.push(now);
+
+    if (e.state === 'half_open') {
+      if (ok) this._set(key, e, 'closed', 'half-open trial succeeded');
+      else this._set(key, e, 'open', 'half-open trial failed');
+      return;
+    }
+    if (e.state === 'closed' && e.failures.length >= this.maxFailures) {
+      this._set(key, e, 'open', `${e.failures.length} failed mitigations in ${Math.round(this.windowMs / 60_000)}m`);
+    }
+  }
+
+  /** Operator override: forget history and close. Returns false if the key is unknown. */
+  reset(key) {
+    const e = this.sites.get(key);
+    if (!e) return false;
+    this._set(key, e, 'closed', 'reset by operator');
+    return true;
+  }
+
+  snapshot() {
+    const now = Date.now();
+    const sites = {};
+    for (const [key, e] of this.sites) {
+      this._prune(e, now);
+      if (e.state === 'closed' && !e.attempts.length && !e.failures.length) continue;
+      sites[key] = {
+        state: e.state,
+        reason: e.reason,
+        attempts: e.attempts.length,
+        failures: e.failures.length,
+        opens: e.opens,
+        openedAt: e.openedAt ? new Date(e.openedAt).toISOString() : null,
+        dispatchedAt: e.dispatchedAt ? new Date(e.dispatchedAt).toISOString() : null,
+        retryAt: e.state === 'open' ? new Date(e.openedAt + this.coolDownMs).toISOString() : null,
+      };
+    }
+    return {
+      windowMs: this.windowMs,
+      maxAttempts: this.maxAttempts,
+      maxFailures: this.maxFailures,
+      coolDownMs: this.coolDownMs,
+      sites,
+    };
+  }
+}
@@ -0,0 +1,94 @@
+// server/supervisor/pauseBuffer.js
+// Holds actionable bus events while the Supervisor is paused so resume() can replay them.
+// - Deduplicated per site/alarm (service changes per site/antenna); repeats bump a counter.
+// - An alarm.cleared while paused cancels the buffered raise for the same alarm.
+// - Bounded: on overflow either the oldest entry is evicted or the new one is refused.
+
+const OVERFLOW_POLICIES = new Set(['drop-oldest', 'drop-newest']);
+
+function keyOf(evt) {
+  const siteId = String(evt?.siteId || '');
+  if (evt?.type === 'service.changed') return `${siteId}|service|${evt?.antenna || ''}`;
+  return `${siteId}|alarm|${evt?.alarm || evt?.type || ''}`;
+}
+
+export class PauseBuffer {
+  constructor({ cap = 500, overflow = 'drop-oldest' } = {}) {
+    this.cap = Math.max(1, Number(cap) || 500);
+    this.overflow = OVERFLOW_POLICIES.has(overflow) ? overflow : 'drop-oldest';
+    this.entries = new Map(); // key -> { key, evt, count, firstTs, lastTs }
+    this.stats = { buffered: 0, deduped: 0, cancelled: 0, dropped: 0 };
+  }
+
+  get size() { return this.entries.size; }
+
+  /**
+   * Buffer (or cancel) an event. Returns 'buffered' | 'deduped' | 'cancelled' | 'dropped' | 'ignored'.
+   */
+  add(evt) {
+    const now = new Date().toISOString();
+
+    if (evt?.type === 'alarm.cleared') {
+      const key = keyOf(evt);
+      if (!this.entries.has(key)) return 'ignored';
+      this.entries.delete(key);
+      this.stats.cancelled += 1;
+      return 'cancelled';
+    }
+
+    const key = keyOf(evt);
+    const existing = this.entries.get(key);
+    if (existing) {
+      existing.evt = evt;            // keep the latest payload (e.g. newest service "to")
+      existing.count += 1;
+      existing.lastTs = now;
+      this.stats.deduped += 1;
+      return 'deduped';
+    }
+
+    if (this.entries.size >= this.cap) {
+      this.stats.dropped += 1;
+      if (this.overflow === 'drop-newest') return 'dropped';
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+    }
+
+    this.entries.set(key, { key, evt, count: 1, firstTs: now, lastTs: now });
+    this.stats.buffered += 1;
+    return 'buffered';
+  }
+
+  /** Remove and return all entries in arrival order. */
+  drain() {
+    const out = [...this.entries.values()];
+    this.entries.clear();
+    return out;
+  }
+
+  clear() {
+    const n = this.entries.size;
+    this.entries.clear();
+    return n;
+  }
+
+  snapshot({ withEntries = false } = {}) {
+    const out = {
+      size: this.entries.size,
+      cap: this.cap,
+      overflow: this.overflow,
+      stats: { ...this.stats },
+    };
+    if (withEntries) {
+      out.entries = [...this.entries.values()].map(e => ({
+        siteId: e.evt?.siteId,
+        type: e.evt?.type,
+        alarm: e.evt?.alarm ?? null,
+        antenna: e.evt?.antenna ?? null,
+        count: e.count,
+        firstTs: e.firstTs,
+        lastTs: e.lastTs,
+      }));
+    }
+    return out;
+  }
+}
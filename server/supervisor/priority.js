@@ -0,0 +1,43 @@
+// server/supervisor/priority.js
+// Priority score for queued site jobs (higher runs first). Each factor is 0…1:
+//   severity   — worst event folded into the job (catalog severity for alarms, service loss, other)
+//   battery    — depletion risk: only while mains is off, grows as battery drains
+//   age        — time since the job's first event, saturating at AGE_CAP_MS
+//   importance — configured site importance (config/sites.json)
+
+import { severityRank } from '../alarms/store.js';
+import { getSiteImportance, MAX_IMPORTANCE } from '../config/sites.js';
+
+export const WEIGHTS = Object.freeze({ severity: 40, battery: 30, age: 20, importance: 10 });
+const AGE_CAP_MS = 30 * 60_000;
+
+function eventSeverity(evt) {
+  if (evt?.type === 'alarm.raised') return severityRank(evt.alarm);
+  if (evt?.type === 'service.changed') return String(evt.to).toLowerCase() === 'unavailable' ? 0.7 : 0.2;
+  return 0.1;
+}
+
+function batteryRisk(site) {
+  if (!site || String(site.mains).toLowerCase() !== 'off') return 0;
+  const pct = Number(site.batteryPercent);
+  if (!Number.isFinite(pct)) return 0.5;
+  return Math.min(1, Math.max(0, (100 - pct) / 100));
+}
+
+/**
+ * Score a job. `site` is the latest cached tower state for job.key (may be null).
+ * @returns {{ score: number, factors: { severity, battery, age, importance } }}
+ */
+export function scoreJob(job, { site = null, now = Date.now() } = {}) {
+  const firstTs = Date.parse(job.firstEventAt || job.enqueuedAt) || now;
+  const factors = {
+    severity: Math.max(0, ...job.events.map(eventSeverity)),
+    battery: batteryRisk(site),
+    age: Math.min(1, Math.max(0, (now - firstTs) / AGE_CAP_MS)),
+    importance: (getSiteImportance(job.key) - 1) / (MAX_IMPORTANCE - 1),
+  };
+  let score = 0;
+  for (const [k, w] of Object.entries(WEIGHTS)) score += w * factors[k];
+  for (const k of Object.keys(factors)) factors[k] = Number(factors[k].toFixed(3));
+  return { score: Number(score.toFixed(2)), factors };
+}
@@ -9,9 +9,21 @@ import {
   note,
   subscribeLogs,
   subscribeStream,
+  getPauseBuffer,
+  getQueue,
+  getWatchdog,
   // approvals API from store
   listApprovals,
   resolveApproval,
+  setApprovalTtl,
+  listBreakers,
+  resetBreaker,
+  getStorm,
+  endStorm,
+  dispatchStorm,
+  setMode,
+  listShadowDecisions,
+  compareShadow,
 } from './store.js';
 import { setAutoEnabled, getAutoStatus } from './pipeline.js';
 
@@ -70,11 +82,28 @@ router.post('/pause', (_req, res) => {
   fresh(res).json({ ok: true, message: msg, supervisor: summary() });
 });
 
-router.post('/resume', (_req, res) => {
-  const msg = resume();
+// Body (optional): { revalidate: boolean } — drop buffered alarms that already cleared
+router.post('/resume', (req, res) => {
+  const revalidate = req.body?.revalidate;
+  const msg = resume(revalidate === undefined ? undefined : { revalidate: Boolean(revalidate) });
   fresh(res).json({ ok: true, message: msg, supervisor: summary() });
 });
 
+// Work queue in dispatch order, with priority score + factors per waiting site
+router.get('/queue', (_req, res) => {
+  fresh(res).json({ ok: true, queue: getQueue() });
+});
+
+// Agent deadlines, failures, restarts and in-flight calls
+router.get('/watchdog', (_req, res) => {
+  fresh(res).json({ ok: true, watchdog: getWatchdog() });
+});
+
+// Events buffered while paused (replayed on resume)
+router.get('/buffer', (_req, res) => {
+  fresh(res).json({ ok: true, buffer: getPauseBuffer(), supervisor: summary() });
+});
+
 // Notes from UI
 router.post('/note', (req, res) => {
   const message = String(req.body?.message ?? '').trim();
@@ -96,42 +125,114 @@ router.get('/logs', (_req, res) => {
 
 // ---- HITL Approvals ----
 
-// List pending approvals
-router.get('/approvals', (_req, res) => {
-  const list = listApprovals();
+// List pending approvals (?all=1 also returns recently resolved ones, newest first)
+router.get('/approvals', (req, res) => {
+  const includeResolved = ['1', 'true'].includes(String(req.query?.all || '').toLowerCase());
+  const list = listApprovals({ includeResolved });
   fresh(res).json({ ok: true, approvals: list, supervisor: summary() });
 });
 
-// Resolve an approval via generic decision payload { decision: "approved" | "rejected" }
-router.post('/approvals/:id', (req, res) => {
+// Shared resolver: body may carry { steps?: number[], edits?: { [index]: args } } for approvals
+function resolveFromRequest(req, res, decision) {
   const id = String(req.params.id || '');
-  const decision = String(req.body?.decision || '').toLowerCase();
   if (!id) return fresh(res).status(400).json({ ok: false, error: 'Missing approval id' });
-  if (!['approved', 'rejected'].includes(decision)) {
-    return fresh(res).status(400).json({ ok: false, error: 'decision must be "approved" or "rejected"' });
+
+  let item;
+  try {
+    const { steps, edits, by } = req.body ?? {};
+    item = resolveApproval(id, decision, { steps, edits, by: by ? String(by) : 'operator' });
+  } catch (e) {
+    return fresh(res).status(400).json({ ok: false, error: e.message });
   }
-  const item = resolveApproval(id, decision);
   if (!item) return fresh(res).status(404).json({ ok: false, error: 'Approval not found' });
   fresh(res).json({ ok: true, approval: item, supervisor: summary() });
+}
+
+// Resolve an approval via generic decision payload { decision: "approved" | "rejected", steps?, edits? }
+router.post('/approvals/:id', (req, res) => {
+  const decision = String(req.body?.decision || '').toLowerCase();
+  if (!['approved', 'rejected'].includes(decision)) {
+    return fresh(res).status(400).json({ ok: false, error: 'decision must be "approved" or "rejected"' });
+  }
+  resolveFromRequest(req, res, decision);
 });
 
 // Convenience endpoints used by your console:
-// POST /approvals/:id/approve
+// POST /approvals/:id/approve  (optional body: { steps?, edits? })
 router.post('/approvals/:id/approve', (req, res) => {
-  const id = String(req.params.id || '');
-  if (!id) return fresh(res).status(400).json({ ok: false, error: 'Missing approval id' });
-  const item = resolveApproval(id, 'approved');
-  if (!item) return fresh(res).status(404).json({ ok: false, error: 'Approval not found' });
-  fresh(res).json({ ok: true, approval: item, supervisor: summary() });
+  resolveFromRequest(req, res, 'approved');
 });
 
 // POST /approvals/:id/reject
 router.post('/approvals/:id/reject', (req, res) => {
-  const id = String(req.params.id || '');
-  if (!id) return fresh(res).status(400).json({ ok: false, error: 'Missing approval id' });
-  const item = resolveApproval(id, 'rejected');
+  resolveFromRequest(req, res, 'rejected');
+});
+
+// POST /approvals/:id/ttl  { ttlMin }  → new deadline from now (0 = never escalate)
+router.post('/approvals/:id/ttl', (req, res) => {
+  let item;
+  try {
+    item = setApprovalTtl(String(req.params.id || ''), req.body?.ttlMin);
+  } catch (e) {
+    return fresh(res).status(400).json({ ok: false, error: e.message });
+  }
   if (!item) return fresh(res).status(404).json({ ok: false, error: 'Approval not found' });
   fresh(res).json({ ok: true, approval: item, supervisor: summary() });
 });
 
+// POST /mode { mode: "live" | "shadow", by? }
+router.post('/mode', (req, res) => {
+  try {
+    const by = req.body?.by ? String(req.body.by) : 'operator';
+    fresh(res).json({ ok: true, supervisor: setMode(req.body?.mode, by) });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// Shadow decisions (what automation would have done): ?siteId=&limit=
+router.get('/shadow', (req, res) => {
+  const siteId = req.query.siteId ? String(req.query.siteId) : undefined;
+  fresh(res).json({ ok: true, decisions: listShadowDecisions({ siteId, limit: req.query.limit }) });
+});
+
+// Shadow vs operator: verdict per decision + agreement rate
+router.get('/shadow/compare', (req, res) => {
+  const siteId = req.query.siteId ? String(req.query.siteId) : undefined;
+  fresh(res).json({ ok: true, ...compareShadow({ siteId, limit: req.query.limit }) });
+});
+
+// Per-site circuit breakers for automated mitigation
+router.get('/breakers', (_req, res) => {
+  fresh(res).json({ ok: true, breakers: listBreakers() });
+});
+
+// POST /breakers/:siteId/reset  (optional body: { by })
+router.post('/breakers/:siteId/reset', (req, res) => {
+  const siteId = String(req.params.siteId || '');
+  const by = req.body?.by ? String(req.body.by) : 'operator';
+  if (!resetBreaker(siteId, by)) return fresh(res).status(404).json({ ok: false, error: 'No breaker for site' });
+  fresh(res).json({ ok: true, breakers: listBreakers(), supervisor: summary() });
+});
+
+// Mass-outage storm mode: detector state + consolidated dispatch summary
+router.get('/storm', (_req, res) => {
+  fresh(res).json({ ok: true, storm: getStorm() });
+});
+
+// Send the consolidated dispatch now instead of waiting for the storm to settle
+router.post('/storm/dispatch', async (_req, res) => {
+  const sum = await dispatchStorm();
+  if (!sum) return fresh(res).status(404).json({ ok: false, error: 'No storm recorded' });
+  fresh(res).json({ ok: true, summary: sum });
+});
+
+// POST /storm/end  (optional body: { by }) — resumes per-site handling
+router.post('/storm/end', async (req, res) => {
+  const by = req.body?.by ? String(req.body.by) : 'operator';
+  const sum = await endStorm(by);
+  if (!sum) return fresh(res).status(404).json({ ok: false, error: 'No active storm' });
+  fresh(res).json({ ok: true, summary: sum, supervisor: summary() });
+});
+
 export default router;
@@ -0,0 +1,109 @@
+// server/supervisor/shadow.js
+// Shadow (dry-run) support for the A→B→C pipeline.
+// - runShadow(): runs a function in an async context where tower control calls
+//   (power/rru/scenario/action) and incident side effects are captured, not executed.
+// - Shadow decisions are kept (and persisted) so they can be compared with what operators did.
+// - Live control calls made outside a shadow context are remembered too (the "actual" side).
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { load, upsert, remove } from '../persistence/store.js';
+
+const als = new AsyncLocalStorage();
+
+const SHADOW_NS = 'supervisor.shadow';
+const MAX_DECISIONS = 500;
+const MAX_LIVE_CALLS = 1000;
+const MAX_CALLS_PER_RUN = 200;
+
+const decisions = new Map();   // id -> decision (insertion order = age)
+const liveCalls = [];          // [{ ts, op, args }]
+let nextId = 1;
+
+(function rehydrate() {
+  for (const d of load(SHADOW_NS).keyed.values()) {
+    if (!d?.id) continue;
+    decisions.set(d.id, d);
+    const n = Number(String(d.id).replace(/^SHD-/, ''));
+    if (Number.isFinite(n) && n >= nextId) nextId = n + 1;
+  }
+})();
+
+const nowIso = () => new Date().toISOString();
+
+// ---------- context ----------
+/** Active shadow context (inside runShadow), or undefined. */
+export function currentShadow() {
+  return als.getStore();
+}
+
+/**
+ * Run `fn` with tower control calls intercepted.
+ * @returns {Promise<{ result: any, error: string|null, calls: object[], effects: object[] }>}
+ */
+export async function runShadow(meta, fn) {
+  const ctx = { ...meta, calls: [], effects: [] };
+  let result = null;
+  let error = null;
+  try {
+    result = await als.run(ctx, fn);
+  } catch (e) {
+    error = String(e?.message || e);
+  }
+  return { result, error, calls: ctx.calls, effects: ctx.effects };
+}
+
+/** Called by tower/client for control calls. Returns true when the call was captured (do not execute). */
+export function interceptCall(op, args) {
+  const ctx = als.getStore();
+  if (!ctx) {
+    liveCalls.push({ ts: nowIso(), op, args });
+    if (liveCalls.length > MAX_LIVE_CALLS) liveCalls.shift();
+    return false;
+  }
+  if (ctx.calls.length < MAX_CALLS_PER_RUN) ctx.calls.push({ ts: nowIso(), op, args });
+  return true;
+}
+
+/** Called by incident helpers. Returns true when the effect was captured (do not apply). */
+export function interceptEffect(kind, data) {
+  const ctx = als.getStore();
+  if (!ctx) return false;
+  if (ctx.effects.length < MAX_CALLS_PER_RUN) ctx.effects.push({ ts: nowIso(), kind, ...data });
+  return true;
+}
+
+// ---------- decisions ----------
+function persist(d) {
+  upsert(SHADOW_NS, d.id, d);
+}
+
+export function recordDecision(fields) {
+  const d = { id: `SHD-${String(nextId++).padStart(6, '0')}`, ts: nowIso(), ...fields };
+  decisions.set(d.id, d);
+  persist(d);
+  while (decisions.size > MAX_DECISIONS) {
+    const oldest = decisions.keys().next().value;
+    decisions.delete(oldest);
+    remove(SHADOW_NS, oldest);
+  }
+  return d;
+}
+
+export function getDecision(id) {
+  return decisions.get(String(id)) || null;
+}
+
+export function listDecisions({ siteId, limit = 100 } = {}) {
+  let out = [...decisions.values()];
+  if (siteId) out = out.filter(d => d.siteId === siteId);
+  return out.slice(-Math.max(1, Number(limit) || 100)).reverse();
+}
+
+/** Live (non-shadow) control calls for a site since `sinceIso`. */
+export function liveCallsFor(siteId, sinceIso) {
+  const since = Date.parse(sinceIso || 0) || 0;
+  return liveCalls.filter((c) => {
+    const targets = [].concat(c.args?.site ?? c.args?.sites ?? []).map(String);
+    return (targets.includes(siteId) || targets.includes('all')) && Date.parse(c.ts) >= since;
+  });
+}
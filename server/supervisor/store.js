@@ -5,12 +5,26 @@ import { EventEmitter } from 'events';
 import { getPolicy, onChange as onPolicyChange } from '../policy/store.js';
 import { incidentBus } from '../bus/incidentBus.js';
 import { getTowerSnapshot } from '../tower/bridge.js'; // ← cold-start sweep source
+import {
+  openIncident, advanceSiteIncident, noteSiteIncident, getActiveIncident, addAlarm as addIncidentAlarm, linkIncident,
+  flagSiteIncident,
+} from '../incidents/store.js';
+import { load, put } from '../persistence/store.js';
+import { WorkQueue } from './workQueue.js';
+import { PauseBuffer } from './pauseBuffer.js';
+import { CircuitBreaker } from './breaker.js';
+import { runShadow, recordDecision, listDecisions, liveCallsFor } from './shadow.js';
+import { scoreJob, WEIGHTS as PRIORITY_WEIGHTS } from './priority.js';
+import { AgentWatchdog } from './watchdog.js';
+import { StormDetector } from './storm.js';
+import { rru as towerRru } from '../tower/client.js';
+import { activeWindowFor, recordSuppressed, onWindowClosed, listWindows } from '../maintenance/store.js';
 // avoid circulars: lazy-import agents only when needed
 import { getAutoStatus as _getAutoStatus } from './pipeline.js';
 
 const logSubscribers = new Set();     // SSE clients for logs
 const bus = new EventEmitter();       // event bus for snapshot stream
-const onIncident = (cb) => incidentBus.on('bus.event', cb); // ✅ only normalized events
+const onIncident = (cb) => incidentBus.on('event', cb); // ✅ unified normalized channel
 
 // ---- Alarm/Service visibility tap (one-time, logs only — no routing) ----
 let _alarmTapWired = false;
@@ -20,6 +34,7 @@ let _alarmTapWired = false;
 
   incidentBus.on('alarm.raised',  e => console.log(`[ALARM↑] ${e.siteId} "${e.alarm}" ${e.ts}`));
   incidentBus.on('alarm.cleared', e => console.log(`[ALARM↓] ${e.siteId} "${e.alarm}" ${e.ts}`));
+  incidentBus.on('alarm.flapping', e => console.log(`[FLAP ${e.state}] ${e.siteId} "${e.alarm}" (${e.transitions} transitions) ${e.ts}`));
   incidentBus.on('service.changed', e =>
     console.log(`[SERVICE] ${e.siteId} ${e.antenna}: ${e.from || '—'} → ${e.to || '—'} ${e.ts}`)
   );
@@ -27,15 +42,127 @@ let _alarmTapWired = false;
 
 const supervisor = {
   status: 'idle',              // 'idle' | 'running' | 'paused' | 'stopped'
+  mode: process.env.SUPERVISOR_MODE === 'shadow' ? 'shadow' : 'live', // 'shadow' = dry-run automation
   startedAt: null,             // Date | null
   runtimeSec: 0,               // accumulates when stopped
   tasksRouted: 0,              // incremented when we trigger agents
   lastNote: null,
   logs: [],                    // string[]
-  approvals: [],               // [{id, siteId, actions, reason, createdAt}]
+  approvals: [],               // pending: [{id, siteId, actions, reason, createdAt, status}]
+  resolvedApprovals: [],       // bounded history of approved/rejected items
   nextApprovalId: 1,
 };
 
+// Latest tower state per site (battery/mains feed the priority score; refreshed on enqueue)
+let siteCache = {};
+function refreshSiteCache() {
+  return getTowerSnapshot()
+    .then((snap) => { if (snap?.ok && snap.sites) siteCache = snap.sites; })
+    .catch(() => {});
+}
+
+// Per-site serialized mitigation queue (one job per site, global cap on parallel jobs),
+// highest priority score dispatched first
+const workQueue = new WorkQueue({
+  maxConcurrent: Number(process.env.SUPERVISOR_MAX_CONCURRENCY) || 4,
+  onChange: () => broadcast(),
+  score: (job) => scoreJob(job, { site: siteCache[job.key] || null }),
+  needsFollowUp: (job) => recordLateEvents(job),
+});
+
+// Actionable events seen while paused; replayed through the pipeline on resume
+const pauseBuffer = new PauseBuffer({
+  cap: Number(process.env.SUPERVISOR_PAUSE_BUFFER_CAP) || 500,
+  overflow: process.env.SUPERVISOR_PAUSE_OVERFLOW || 'drop-oldest',
+});
+// Re-check buffered alarms against live tower state before replaying (default on)
+const REPLAY_REVALIDATE = String(process.env.SUPERVISOR_REPLAY_REVALIDATE ?? 'true').toLowerCase() !== 'false';
+
+const MINUTE_MS = 60_000;
+const MODES = ['live', 'shadow'];
+
+// Flapping-site breaker: repeated automated mitigations on one site stop automation there
+const envMinutes = (name) => (Number(process.env[name]) || 0) * MINUTE_MS || undefined;
+const breaker = new CircuitBreaker({
+  windowMs: envMinutes('SUPERVISOR_BREAKER_WINDOW_MIN'),
+  maxAttempts: Number(process.env.SUPERVISOR_BREAKER_MAX_ATTEMPTS) || undefined,
+  maxFailures: Number(process.env.SUPERVISOR_BREAKER_MAX_FAILURES) || undefined,
+  coolDownMs: envMinutes('SUPERVISOR_BREAKER_COOLDOWN_MIN'),
+  onChange: ({ key, from, to, reason }) => {
+    _log(`breaker.${to} → ${key} (${from} → ${to}: ${reason})`);
+    noteSiteIncident(key, { type: `breaker.${to}`, agent: 'supervisor', note: reason });
+    broadcast();
+  },
+});
+// Deadlines + failure tracking for agent calls; unhealthy agents are restarted.
+// Per-op deadlines override via SUPERVISOR_DEADLINE_<OP>_MS (e.g. SUPERVISOR_DEADLINE_MITIGATE_MS).
+const deadlineOverrides = {};
+for (const op of ['correlate', 'plan', 'mitigate', 'executePlan', 'record']) {
+  const ms = Number(process.env[`SUPERVISOR_DEADLINE_${op.toUpperCase()}_MS`]);
+  if (ms > 0) deadlineOverrides[op] = ms;
+}
+const watchdog = new AgentWatchdog({
+  deadlines: deadlineOverrides,
+  maxFailures: Number(process.env.SUPERVISOR_WATCHDOG_MAX_FAILURES) || undefined,
+  onEvent: ({ type, agent, op, siteId, error }) => {
+    _log(`watchdog.${type} → ${agent}${op ? ` ${op}` : ''}${siteId ? ` @ ${siteId}` : ''}${error ? `: ${error}` : ''}`);
+    if ((type === 'timeout' || type === 'error') && siteId) {
+      flagSiteIncident(siteId, type === 'timeout' ? error : `${agent} ${op} failed — ${error}`, { agent: 'watchdog' });
+    }
+    broadcast();
+  },
+  onUnhealthy: (agent, reason) => restartAgent(agent, reason),
+});
+const WATCHDOG_PROBE_MS = Number(process.env.SUPERVISOR_WATCHDOG_PROBE_MS) || 30_000;
+
+// What automation does while a site's breaker is open: 'hitl' (ask operator) or 'dispatch'
+const BREAKER_ON_OPEN = String(process.env.SUPERVISOR_BREAKER_ON_OPEN || 'hitl').toLowerCase() === 'dispatch' ? 'dispatch' : 'hitl';
+
+// Mass outage: a fleet-wide burst of raises switches to storm mode (one incident, no per-site automation)
+const storm = new StormDetector({
+  windowMs: (Number(process.env.SUPERVISOR_STORM_WINDOW_SEC) || 0) * 1000 || undefined,
+  threshold: Number(process.env.SUPERVISOR_STORM_THRESHOLD) || undefined,
+  exitBelow: Number(process.env.SUPERVISOR_STORM_EXIT_BELOW) || undefined,
+  quietMs: envMinutes('SUPERVISOR_STORM_QUIET_MIN'),
+  batteryCriticalPct: Number(process.env.SUPERVISOR_STORM_BATTERY_PCT) || undefined,
+  onChange: ({ to, reason, storm: s }) => {
+    _log(`storm.${to} → ${s.id} (${reason})`);
+    broadcast();
+  },
+});
+const STORM_INCIDENT_SITE = 'MASS-OUTAGE';
+const STORM_TICK_MS = 15_000;
+const STORM_DISPATCH_AFTER_MS = (Number(process.env.SUPERVISOR_STORM_DISPATCH_AFTER_SEC) || 120) * 1000;
+const STORM_SHED_BATCH = Number(process.env.SUPERVISOR_STORM_SHED_BATCH) || 5;   // RRU commands per tick
+const STORM_LOAD_SHED = String(process.env.SUPERVISOR_STORM_LOAD_SHED ?? 'true').toLowerCase() !== 'false';
+
+// ---------- persistence (approvals + counters survive restarts) ----------
+function persistState() {
+  put('supervisor', {
+    runtimeSec: supervisor.runtimeSec,
+    tasksRouted: supervisor.tasksRouted,
+    nextApprovalId: supervisor.nextApprovalId,
+    mode: supervisor.mode,
+    approvals: supervisor.approvals,
+    resolvedApprovals: supervisor.resolvedApprovals,
+  });
+}
+
+(function rehydrate() {
+  const saved = load('supervisor').value;
+  if (!saved || typeof saved !== 'object') return;
+  supervisor.runtimeSec = Number(saved.runtimeSec) || 0;
+  supervisor.tasksRouted = Number(saved.tasksRouted) || 0;
+  supervisor.nextApprovalId = Number(saved.nextApprovalId) || 1;
+  if (MODES.includes(saved.mode)) supervisor.mode = saved.mode;
+  supervisor.approvals = Array.isArray(saved.approvals) ? saved.approvals : [];
+  supervisor.approvals.forEach(stampExpiry); // approvals saved before TTLs existed get the policy default
+  supervisor.resolvedApprovals = (Array.isArray(saved.resolvedApprovals) ? saved.resolvedApprovals : [])
+    // an execution cut short by a restart must not look like it is still running
+    .map(a => (a.status === 'executing' ? { ...a, status: 'interrupted' } : a));
+  console.log(`[supervisor] rehydrated ${supervisor.approvals.length} pending approval(s), tasksRouted=${supervisor.tasksRouted}`);
+})();
+
 // ---------- small utils ----------
 const safeNowIso = () => new Date().toISOString();
 const isE2E = () => String(getPolicy()?.waysOfWorking || '').toLowerCase() === 'e2e automation';
@@ -77,6 +204,7 @@ function summary() {
 
   return {
     status: supervisor.status,
+    mode: supervisor.mode,
     startedAt: supervisor.startedAt,
     runtimeSec: supervisor.runtimeSec + live,
     tasksRouted: supervisor.tasksRouted,
@@ -84,6 +212,13 @@ function summary() {
     autoEnabled,               // EFFECTIVE (policy OR stored toggle)
     storedAutoEnabled,         // raw toggle from pipeline
     approvalsPending: supervisor.approvals.length,
+    approvalsExecuting: supervisor.resolvedApprovals.filter(a => a.status === 'executing').length,
+    queue: workQueue.snapshot(),
+    pauseBuffer: pauseBuffer.snapshot(),
+    breakers: { onOpen: BREAKER_ON_OPEN, ...breaker.snapshot() },
+    watchdog: watchdog.snapshot(),
+    maintenanceActive: listWindows({ status: 'active' }).map(w => ({ id: w.id, crqId: w.crqId, sites: w.sites, end: w.end })),
+    storm: storm.snapshot(),
     policy: pol,
   };
 }
@@ -104,13 +239,18 @@ function subscribeStream(res) {
   const handler = (snap) => {
     try { res.write(`event: supervisor\ndata: ${JSON.stringify(snap)}\n\n`); } catch {}
   };
+  const approvalHandler = (evt) => {
+    try { res.write(`event: approval\ndata: ${JSON.stringify(evt)}\n\n`); } catch {}
+  };
   bus.on('supervisor', handler);
+  bus.on('approval', approvalHandler);
 
   const ping = setInterval(() => { try { res.write(': ping\n\n'); } catch {} }, 30000);
 
   res.on('close', () => {
     clearInterval(ping);
     bus.off('supervisor', handler);
+    bus.off('approval', approvalHandler);
     try { res.end(); } catch {}
   });
 }
@@ -133,6 +273,51 @@ async function ensureAgentsRunning() {
   try { const b = await lazyAgentB(); if (b.status !== 'running') b.start(); } catch (e) { _log(`Agent B start err: ${String(e?.message || e)}`); }
   try { const c = await lazyAgentC(); if (c.status !== 'running') c.start(); } catch (e) { _log(`Agent C start err: ${String(e?.message || e)}`); }
 }
+const AGENT_LOADERS = { 'Agent A': lazyAgentA, 'Agent B': lazyAgentB, 'Agent C': lazyAgentC };
+
+// Restart through the agent's own lifecycle; only brought back up while the supervisor runs
+async function restartAgent(label, reason) {
+  const agent = await AGENT_LOADERS[label]?.();
+  if (!agent) return;
+  agent.stop?.();
+  if (supervisor.status === 'running') agent.start?.();
+  _log(`watchdog.restart → ${label} (${reason}) now ${agent.status}`);
+  broadcast();
+}
+
+// Periodic liveness probe: agents that stopped (crashed/were stopped) while we run are revived
+let watchdogTimer = null;
+async function probeAgents() {
+  if (supervisor.status !== 'running') return;
+  for (const [label, load] of Object.entries(AGENT_LOADERS)) {
+    try {
+      const agent = await load();
+      if (agent.status !== 'running') {
+        _log(`watchdog.revive → ${label} was ${agent.status}`);
+        agent.start();
+        watchdog.markRestarted(label);
+      }
+    } catch (e) {
+      _log(`watchdog.probe error (${label}): ${String(e?.message || e)}`);
+    }
+  }
+}
+
+function startWatchdog() {
+  if (watchdogTimer) return;
+  watchdogTimer = setInterval(probeAgents, WATCHDOG_PROBE_MS);
+  watchdogTimer.unref?.();
+}
+
+function stopWatchdog() {
+  if (watchdogTimer) clearInterval(watchdogTimer);
+  watchdogTimer = null;
+}
+
+function getWatchdog() {
+  return watchdog.snapshot();
+}
+
 async function ensureAgentsStopped() {
   try { const a = await lazyAgentA(); a.stop?.(); } catch {}
   try { const b = await lazyAgentB(); b.stop?.(); } catch {}
@@ -140,7 +325,7 @@ async function ensureAgentsStopped() {
 }
 
 // ---------- lifecycle ----------
-async function coldStartSweep() {
+async function coldStartSweep({ onlySites = null, origin = 'cold-start' } = {}) {
   try {
     const snap = await getTowerSnapshot();
     if (!snap?.ok) return;
@@ -148,6 +333,7 @@ async function coldStartSweep() {
     const sites = snap.sites || {};
     let count = 0;
     for (const [siteId, site] of Object.entries(sites)) {
+      if (onlySites && !onlySites.includes(siteId)) continue;
       const alarms = Array.isArray(site?.alarms) ? site.alarms : [];
       for (const alarm of alarms) {
         // Synthesize an alarm.raised so the pipeline treats existing faults as actionable
@@ -156,14 +342,14 @@ async function coldStartSweep() {
           siteId,
           alarm,
           timestamp: safeNowIso(),
-          _origin: 'cold-start',
+          _origin: origin,
         });
         count++;
       }
     }
-    if (count > 0) _log(`cold-start sweep → synthesized ${count} alarm.raised events`);
+    if (count > 0) _log(`${origin} sweep → synthesized ${count} alarm.raised events`);
   } catch (e) {
-    _log(`cold-start sweep error: ${String(e?.message || e)}`);
+    _log(`${origin} sweep error: ${String(e?.message || e)}`);
   }
 }
 
@@ -176,6 +362,9 @@ async function start() {
   supervisor.status = 'running';
   supervisor.startedAt = new Date();
   _log('started');
+  startApprovalTimer();
+  startWatchdog();
+  startStormTimer();
   await ensureAgentsRunning();     // ← Supervisor controls agents
   await coldStartSweep();          // ← process pre-existing alarms
   broadcast();
@@ -189,7 +378,15 @@ function stop() {
   }
   supervisor.startedAt = null;
   supervisor.status = 'stopped';
+  const dropped = workQueue.clearPending();
+  if (dropped) _log(`queue.cleared → dropped ${dropped} queued job(s)`);
+  stopApprovalTimer();
+  stopWatchdog();
+  stopStormTimer();
+  const unbuffered = pauseBuffer.clear();
+  if (unbuffered) _log(`pause-buffer.cleared → discarded ${unbuffered} buffered event(s)`);
   ensureAgentsStopped();           // ← Supervisor stops agents
+  persistState();
   _log('stopped');
   broadcast();
   return 'OK: stopped';
@@ -201,19 +398,85 @@ function pause() {
   supervisor.runtimeSec += Math.max(0, delta);
   supervisor.startedAt = null;
   supervisor.status = 'paused';
+  persistState();
   _log('paused');
   broadcast();
   return 'OK: paused';
 }
 
-function resume() {
+function resume({ revalidate = REPLAY_REVALIDATE } = {}) {
   if (supervisor.status !== 'paused') return 'Not paused';
   supervisor.startedAt = new Date();
   supervisor.status = 'running';
-  _log('resumed');
+  const entries = pauseBuffer.drain();
+  _log(`resumed (replaying ${entries.length} buffered event(s), revalidate=${revalidate})`);
   ensureAgentsRunning();           // keep agents in sync
+  replayBuffered(entries, { revalidate });
+  sweepApprovals();                // deadlines that passed while paused escalate now
+  broadcast();
+  return `OK: resumed (${entries.length} buffered event(s) to replay)`;
+}
+
+// Is a buffered event still true of the site right now?
+function stillActive(evt, site) {
+  if (!site) return false;
+  if (evt.type === 'alarm.raised') return Array.isArray(site.alarms) && site.alarms.includes(evt.alarm);
+  if (evt.type === 'service.changed') return site?.[evt.antenna]?.service === evt.to;
+  return true;
+}
+
+async function replayBuffered(entries, { revalidate }) {
+  if (!entries.length) return;
+
+  let sites = null;
+  if (revalidate) {
+    const snap = await getTowerSnapshot().catch(() => null);
+    if (snap?.ok) sites = snap.sites || {};
+    else _log('replay: tower snapshot unavailable → replaying without re-validation');
+  }
+
+  let replayed = 0;
+  let dropped = 0;
+  for (let i = 0; i < entries.length; i++) {
+    const { evt, count } = entries[i];
+    if (supervisor.status !== 'running') {
+      // paused/stopped again mid-replay: put the rest back instead of losing it
+      for (const rest of entries.slice(i)) pauseBuffer.add(rest.evt);
+      _log(`replay: interrupted (status=${supervisor.status}), ${entries.length - i} event(s) re-buffered`);
+      break;
+    }
+    if (sites && !stillActive(evt, sites[evt.siteId])) {
+      dropped++;
+      _log(`replay.dropped → ${evt.siteId} ${evt.alarm || evt.antenna || evt.type} (no longer active)`);
+      continue;
+    }
+    _log(`replay → ${evt.siteId} ${evt.alarm || evt.antenna || evt.type} (seen ${count}x while paused)`);
+    await handleEvent(evt, { replay: true });
+    replayed++;
+  }
+  _log(`replay.done → replayed=${replayed} dropped=${dropped}`);
   broadcast();
-  return 'OK: resumed';
+}
+
+function getQueue() {
+  return { weights: PRIORITY_WEIGHTS, ...workQueue.snapshot() };
+}
+
+function getPauseBuffer() {
+  return pauseBuffer.snapshot({ withEntries: true });
+}
+
+function setMode(mode, by = 'operator') {
+  const next = String(mode || '').toLowerCase();
+  if (!MODES.includes(next)) throw new Error(`mode must be one of: ${MODES.join(', ')}`);
+  if (next === supervisor.mode) return summary();
+  const from = supervisor.mode;
+  supervisor.mode = next;
+  persistState();
+  supervisor.lastNote = `Mode ${from} → ${next}`;
+  _log(`mode.changed → ${from} → ${next} by ${by}${next === 'shadow' ? ' (tower commands are recorded, not sent)' : ''}`);
+  broadcast();
+  return summary();
 }
 
 function note(message) {
@@ -224,35 +487,522 @@ function note(message) {
 }
 
 // ---------- approvals (HITL) ----------
-function addApprovalRequest({ siteId, actions = [], reason = '' }) {
+const MAX_RESOLVED_APPROVALS = 200;
+const EDITABLE_ANTENNAS = new Set(['a1', 'a2']);
+
+function emitApproval(item, extra = {}) {
+  bus.emit('approval', { id: item.id, siteId: item.siteId, status: item.status, ...extra, ts: safeNowIso() });
+}
+
+function archiveApproval(item) {
+  supervisor.resolvedApprovals.push(item);
+  if (supervisor.resolvedApprovals.length > MAX_RESOLVED_APPROVALS) supervisor.resolvedApprovals.shift();
+}
+
+// TTL is fixed per approval at creation (policy default unless overridden)
+function stampExpiry(item, ttlMin) {
+  if (item.expiresAt !== undefined && ttlMin === undefined) return item;
+  const ttl = Number(ttlMin ?? getPolicy()?.approvalTtlMin) || 0;
+  const from = ttlMin === undefined ? Date.parse(item.createdAt) || Date.now() : Date.now();
+  item.ttlMin = ttl;
+  item.expiresAt = ttl > 0 ? new Date(from + ttl * MINUTE_MS).toISOString() : null;
+  item.reminders = item.reminders || 0;
+  return item;
+}
+
+function addApprovalRequest({ siteId, actions = [], reason = '', ttlMin }) {
   const id = String(supervisor.nextApprovalId++);
-  const item = { id, siteId, actions, reason, createdAt: safeNowIso() };
+  const incidentId = getActiveIncident(siteId)?.id || null;
+  const item = { id, siteId, incidentId, actions, reason, createdAt: safeNowIso(), status: 'pending' };
+  stampExpiry(item, ttlMin);
   supervisor.approvals.push(item);
+  advanceSiteIncident(siteId, 'awaiting_approval', {
+    agent: 'supervisor',
+    owner: 'operator',
+    note: `approval #${id} requested (${actions.length} step(s))`,
+    data: { approvalId: id },
+  });
+  persistState();
   supervisor.lastNote = `Approval requested #${id} for ${siteId}`;
-  _log(`approval.requested → #${id} site=${siteId} reason="${reason}" steps=${actions.length}`);
+  _log(`approval.requested → #${id} site=${siteId} reason="${reason}" steps=${actions.length} expires=${item.expiresAt || 'never'}`);
   broadcast();
   return item;
 }
-function listApprovals() {
-  return supervisor.approvals.slice();
+function listApprovals({ includeResolved = false } = {}) {
+  const pending = supervisor.approvals.slice();
+  return includeResolved ? [...pending, ...supervisor.resolvedApprovals.slice().reverse()] : pending;
+}
+
+/**
+ * Build the plan the operator actually approved.
+ * - steps: indexes into item.actions (default: all)
+ * - edits: { [index]: argsPatch } merged into that step's args
+ * Throws on invalid input (routes map this to 400).
+ */
+function selectApprovedSteps(item, { steps, edits } = {}) {
+  const all = Array.isArray(item.actions) ? item.actions : [];
+  let indexes = all.map((_, i) => i);
+  if (steps !== undefined) {
+    if (!Array.isArray(steps)) throw new Error('steps must be an array of step indexes');
+    indexes = [...new Set(steps.map(Number))];
+    const bad = indexes.find(i => !Number.isInteger(i) || i < 0 || i >= all.length);
+    if (bad !== undefined) throw new Error(`step index out of range: ${bad}`);
+    indexes.sort((a, b) => a - b);
+  }
+
+  const patchByIndex = edits && typeof edits === 'object' ? edits : {};
+  return indexes.map((i) => {
+    const step = all[i];
+    const patch = patchByIndex[i] ?? patchByIndex[String(i)];
+    if (!patch) return { ...step, index: i };
+    if (typeof patch !== 'object') throw new Error(`edits[${i}] must be an object`);
+
+    const args = { ...step.args, ...patch };
+    if (args.siteId !== item.siteId) throw new Error(`edits[${i}] cannot change siteId`);
+    if (args.antenna !== undefined && !EDITABLE_ANTENNAS.has(String(args.antenna))) {
+      throw new Error(`edits[${i}].antenna must be one of: ${[...EDITABLE_ANTENNAS].join(', ')}`);
+    }
+    return { ...step, args, index: i, edited: true };
+  });
+}
+
+async function executeApproval(item) {
+  const { siteId } = item;
+  try {
+    const agentB = await lazyAgentB();
+    if (agentB.status !== 'running') agentB.start();
+
+    incrementTasksRouted(1);
+    breaker.recordAttempt(siteId);
+    _log(`approval.executing → #${item.id} site=${siteId} steps=${item.approvedSteps.length}`);
+    emitApproval(item, { steps: item.approvedSteps.length });
+    broadcast();
+
+    const result = await watchdog.guard('Agent B', 'executePlan', (signal) => agentB.executePlan(siteId, item.approvedSteps, {
+      signal,
+      approvedBy: item.resolvedBy || null,
+      onProgress: ({ index, step, status, error, reason }) => {
+        item.progress.push({ index, action: step?.action, status, error, reason, ts: safeNowIso() });
+        _log(`approval.step → #${item.id} [${index + 1}/${item.approvedSteps.length}] ${step?.action} ${status}${error ? ` (${error})` : ''}`);
+        emitApproval(item, { step: { index, action: step?.action, args: step?.args, status, error, reason } });
+      },
+    }), { siteId });
+
+    item.status = result?.ok ? 'executed' : 'failed';
+    breaker.recordOutcome(siteId, !!(result?.ok && result.allClear));
+    item.result = {
+      ok: !!result?.ok,
+      error: result?.error,
+      allClear: !!result?.allClear,
+      applied: (result?.actionsTaken || []).length,
+      skipped: (result?.skipped || []).length,
+      remainingAlarms: (result?.remainingAlarms || []).map(a => a.code),
+    };
+    _log(`approval.${item.status} → #${item.id} site=${siteId} allClear=${item.result.allClear}${item.result.error ? ` err=${item.result.error}` : ''}`);
+
+    try {
+      const agentC = await lazyAgentC();
+      await watchdog.guard('Agent C', 'record', () => agentC.recordIncident({
+        siteId,
+        cause: 'correlated_alarm_cluster',
+        actions: result?.actionsTaken || [],
+        resolution: result?.ok && result.allClear ? 'restored' : 'stabilized',
+      }), { siteId });
+      _log(`Agent C: approval #${item.id} outcome recorded for ${siteId}`);
+    } catch (e) {
+      _log(`Agent C record (approval) error: ${String(e?.message || e)}`);
+    }
+  } catch (e) {
+    item.status = 'failed';
+    item.result = { ok: false, error: String(e?.message || e) };
+    _log(`approval.failed → #${item.id} site=${siteId} err=${item.result.error}`);
+  } finally {
+    item.finishedAt = safeNowIso();
+    persistState();
+    emitApproval(item, { result: item.result });
+    broadcast();
+  }
+}
+
+async function recordRejection(item) {
+  try {
+    const agentC = await lazyAgentC();
+    await agentC.recordIncident({
+      siteId: item.siteId,
+      cause: 'correlated_alarm_cluster',
+      actions: item.actions || [],
+      resolution: item.escalation ? 'rejected_on_expiry' : 'rejected_by_operator',
+    });
+    _log(`Agent C: rejection of #${item.id} recorded for ${item.siteId}`);
+  } catch (e) {
+    _log(`Agent C record (rejection) error: ${String(e?.message || e)}`);
+  }
 }
-function resolveApproval(id, decision) {
+
+/**
+ * Resolve a pending approval.
+ * - approved: runs the (optionally filtered/edited) plan via Agent B in the background.
+ * - rejected: records a "rejected by operator" case in Agent C.
+ * Returns the item, or null if no pending approval has that id.
+ */
+function resolveApproval(id, decision, { steps, edits, by = 'operator' } = {}) {
   const idx = supervisor.approvals.findIndex(a => a.id === id);
   if (idx === -1) return null;
-  const [item] = supervisor.approvals.splice(idx, 1);
+  const item = supervisor.approvals[idx];
+
+  // validate before mutating so a bad request leaves the approval pending
+  const approvedSteps = decision === 'approved' ? selectApprovedSteps(item, { steps, edits }) : [];
+
+  supervisor.approvals.splice(idx, 1);
+  item.resolvedAt = safeNowIso();
+  item.resolvedBy = by;
+  archiveApproval(item);
+
   supervisor.lastNote = `Approval ${decision} for #${id}`;
-  _log(`approval.${decision} → #${id} site=${item.siteId}`);
+  _log(`approval.${decision} → #${id} site=${item.siteId}${decision === 'approved' ? ` steps=${approvedSteps.length}/${item.actions.length}` : ''}`);
+
+  if (decision === 'approved') {
+    item.status = 'executing';
+    item.approvedSteps = approvedSteps;
+    item.progress = [];
+    executeApproval(item); // fire-and-forget; progress goes to the stream
+  } else {
+    item.status = 'rejected';
+    emitApproval(item);
+    advanceSiteIncident(item.siteId, 'investigating', {
+      agent: by,
+      note: `approval #${id} rejected by ${by}`,
+      data: { approvalId: id },
+    });
+    recordRejection(item);
+  }
+
+  persistState();
   broadcast();
   return item;
 }
+/**
+ * Change the deadline of a pending approval (ttlMin from now; 0 = never expire).
+ * Returns the item, or null if not pending. Throws on invalid ttlMin.
+ */
+function setApprovalTtl(id, ttlMin) {
+  const item = supervisor.approvals.find(a => a.id === id);
+  if (!item) return null;
+  const ttl = Number(ttlMin);
+  if (!Number.isFinite(ttl) || ttl < 0) throw new Error('ttlMin must be a non-negative number of minutes');
+  stampExpiry(item, ttl);
+  _log(`approval.ttl → #${id} ttl=${ttl}m expires=${item.expiresAt || 'never'}`);
+  emitApproval(item, { expiresAt: item.expiresAt });
+  persistState();
+  broadcast();
+  return item;
+}
+
+// ---------- approval expiry: reminders + escalation ----------
+const APPROVAL_SWEEP_MS = Number(process.env.SUPERVISOR_APPROVAL_SWEEP_MS) || 15_000;
+// Restorative steps only; a plan that sheds service (rru.off) always needs a human
+const E2E_SAFE_ACTIONS = new Set(['power.on', 'rru.ensure', 'rru.on']);
+const EXPIRY_ACTOR = 'supervisor:expiry';
+let approvalTimer = null;
+
+function startApprovalTimer() {
+  if (approvalTimer) return;
+  approvalTimer = setInterval(sweepApprovals, APPROVAL_SWEEP_MS);
+  approvalTimer.unref?.();
+}
+
+function stopApprovalTimer() {
+  if (approvalTimer) clearInterval(approvalTimer);
+  approvalTimer = null;
+}
+
+const isE2EEligible = (item) =>
+  (item.actions || []).length > 0 && item.actions.every(s => E2E_SAFE_ACTIONS.has(s?.action));
+
+// Escalation only runs while the supervisor is running; paused deadlines fire on resume.
+function sweepApprovals() {
+  if (supervisor.status !== 'running' || !supervisor.approvals.length) return;
+  const pol = getPolicy();
+  const now = Date.now();
+  const remindMs = (Number(pol?.approvalReminderMin) || 0) * MINUTE_MS;
+
+  for (const item of supervisor.approvals.slice()) {
+    if (item.expiresAt && Date.parse(item.expiresAt) <= now) {
+      escalateApproval(item, pol?.approvalEscalation || 'dispatch');
+      continue;
+    }
+    const last = Date.parse(item.lastReminderAt || item.createdAt) || now;
+    if (remindMs > 0 && now - last >= remindMs) remindApproval(item, now);
+  }
+}
+
+function remindApproval(item, now) {
+  item.reminders = (item.reminders || 0) + 1;
+  item.lastReminderAt = new Date(now).toISOString();
+  const ageMin = Math.round((now - Date.parse(item.createdAt)) / MINUTE_MS);
+  const left = item.expiresAt ? `, escalates in ${Math.max(0, Math.round((Date.parse(item.expiresAt) - now) / MINUTE_MS))}m` : '';
+  supervisor.lastNote = `Approval #${item.id} for ${item.siteId} still pending (${ageMin}m)`;
+  _log(`approval.reminder → #${item.id} site=${item.siteId} pending ${ageMin}m (reminder ${item.reminders}${left})`);
+  noteSiteIncident(item.siteId, { type: 'approval.reminder', agent: 'supervisor', note: `approval #${item.id} pending ${ageMin}m` });
+  emitApproval(item, { reminder: item.reminders });
+  persistState();
+  broadcast();
+}
+
+function escalateApproval(item, action) {
+  let escalation = action;
+  if (escalation === 'auto-approve' && !isE2EEligible(item)) {
+    const blocked = (item.actions || []).filter(s => !E2E_SAFE_ACTIONS.has(s?.action)).map(s => s?.action);
+    _log(`approval.escalation → #${item.id} not E2E-eligible (${blocked.join(', ') || 'empty plan'}) → dispatch`);
+    escalation = 'dispatch';
+  }
+  if (escalation === 'auto-approve' && supervisor.mode === 'shadow') {
+    _log(`approval.escalation → #${item.id} shadow mode never auto-executes → dispatch`);
+    escalation = 'dispatch';
+  }
+  if (escalation === 'auto-approve' && !breaker.check(item.siteId).allowed) {
+    _log(`approval.escalation → #${item.id} breaker open for ${item.siteId} → dispatch`);
+    escalation = 'dispatch';
+  }
+  item.escalation = escalation;
+  item.expiredAt = safeNowIso();
+  _log(`approval.expired → #${item.id} site=${item.siteId} ttl=${item.ttlMin}m → ${escalation}`);
+  noteSiteIncident(item.siteId, { type: 'approval.expired', agent: 'supervisor', note: `approval #${item.id} expired → ${escalation}` });
+
+  if (escalation === 'auto-approve') return resolveApproval(item.id, 'approved', { by: EXPIRY_ACTOR });
+  if (escalation === 'auto-reject') return resolveApproval(item.id, 'rejected', { by: EXPIRY_ACTOR });
+  return dispatchExpiredApproval(item);
+}
+
+// Hand the site to Agent C: record the unresolved case and compose the dispatch email
+function dispatchExpiredApproval(item) {
+  const idx = supervisor.approvals.indexOf(item);
+  if (idx === -1) return null;
+  supervisor.approvals.splice(idx, 1);
+  item.status = 'expired';
+  item.resolvedAt = safeNowIso();
+  item.resolvedBy = EXPIRY_ACTOR;
+  archiveApproval(item);
+  supervisor.lastNote = `Approval #${item.id} expired → dispatch for ${item.siteId}`;
+  emitApproval(item, { escalation: 'dispatch' });
+  persistState();
+  broadcast();
+
+  (async () => {
+    item.dispatch = await dispatchSite(item.siteId, { resolution: 'approval_expired', actions: item.actions });
+    persistState();
+    emitApproval(item, { dispatch: item.dispatch });
+  })().catch(e => _log(`approval.expired dispatch error #${item.id}: ${String(e?.message || e)}`));
+  return item;
+}
+
+// Record an unresolved case in Agent C and compose the field dispatch → { ok, subject } | { ok:false, error }
+async function dispatchSite(siteId, { resolution, actions = [], cause = 'correlated_alarm_cluster' }) {
+  try {
+    const agentC = await lazyAgentC();
+    await watchdog.guard('Agent C', 'record', () => agentC.recordIncident({ siteId, cause, actions, resolution }), { siteId });
+    const email = await watchdog.guard('Agent C', 'record', () => agentC.composeDispatchEmail(siteId), { siteId });
+    _log(`Agent C: dispatch (${resolution}) @ ${siteId} → ${email?.ok ? email.subject : email?.error}`);
+    return email?.ok ? { ok: true, subject: email.subject } : { ok: false, error: email?.error || 'unknown' };
+  } catch (e) {
+    _log(`Agent C dispatch (${resolution}) error: ${String(e?.message || e)}`);
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+// ---------- topology (shared parent root causes) ----------
+const ROOT_CAUSES = { power: 'shared_power_feed_fault', transport: 'transport_hub_fault', hub: 'shared_hub_fault' };
+const rootDispatching = new Set(); // root incident ids with a dispatch in flight (sibling jobs run concurrently)
+
+/**
+ * Collapse a child site's incident under its topology root incident and handle the root once:
+ * an alarming tower site as root is left to its own job; any other root (feeder, hub) is dispatched.
+ */
+async function collapseUnderRoot(siteId, incident, root) {
+  const rootInc = openIncident({ siteId: root.siteId, alarm: `topology:${root.kind}`, agent: 'supervisor', note: `root of ${root.children.join(', ')}` });
+  const note = `${root.kind} parent ${root.siteId} (${root.path.join(' → ')})`;
+  linkIncident(incident.id, rootInc.id, { note, data: { kind: root.kind } });
+  // siblings whose incidents opened before the parent was implicated
+  for (const child of root.children) {
+    const inc = getActiveIncident(child);
+    if (inc && inc.id !== rootInc.id && !inc.parentId) linkIncident(inc.id, rootInc.id, { note, data: { kind: root.kind } });
+  }
+  noteSiteIncident(siteId, { type: 'topology.collapsed', agent: 'supervisor', note });
+  _log(`topology: ${siteId} collapsed under ${root.siteId} (${root.kind}, ${root.children.length} alarming) → ${rootInc.id}`);
+
+  if (root.alarming && siteCache[root.siteId]) {
+    _log(`topology: root ${root.siteId} is an alarming site → handled by its own job`);
+    return;
+  }
+  if (rootInc.state === 'dispatched' || rootDispatching.has(rootInc.id)) return; // once per root
+  if (supervisor.mode === 'shadow') {
+    _log(`topology: [shadow] would dispatch root ${root.siteId}`);
+    return;
+  }
+  rootDispatching.add(rootInc.id);
+  try {
+    await dispatchSite(root.siteId, {
+      resolution: 'topology_root_cause',
+      cause: ROOT_CAUSES[root.kind] || 'shared_hub_fault',
+      actions: root.children.map(c => ({ action: 'observe', args: { siteId: c }, reason: `child of ${root.siteId}` })),
+    });
+  } finally {
+    rootDispatching.delete(rootInc.id);
+  }
+}
+
+// ---------- mass outage (storm mode) ----------
+let stormTimer = null;
+let stormIncidentId = null;
+
+function linkToStorm(siteId) {
+  const inc = getActiveIncident(siteId);
+  if (!inc || !stormIncidentId || inc.id === stormIncidentId || inc.parentId) return;
+  linkIncident(inc.id, stormIncidentId, { note: 'mass outage', data: { storm: storm.view()?.id } });
+}
+
+// Storm started: one mass-outage incident, sibling incidents linked under it, queued site jobs dropped
+function enterStorm() {
+  const s = storm.view();
+  const inc = openIncident({ siteId: STORM_INCIDENT_SITE, alarm: 'mass_outage', agent: 'supervisor', note: s.id });
+  stormIncidentId = inc.id;
+  if (inc.state === 'open') advanceSiteIncident(STORM_INCIDENT_SITE, 'investigating', { agent: 'supervisor', note: s.id });
+  flagSiteIncident(STORM_INCIDENT_SITE, `Mass outage ${s.id}: per-site automation suspended`);
+  for (const siteId of storm.downSites()) linkToStorm(siteId);
+  const dropped = workQueue.clearPending();
+  _log(`storm.entered → ${s.id} incident ${inc.id} (${s.affected} site(s); ${dropped} queued job(s) dropped)`);
+  broadcast();
+}
+
+function absorbIntoStorm(siteId, evt) {
+  if (evt.type === 'alarm.raised' && evt.alarm && stormIncidentId) addIncidentAlarm(stormIncidentId, evt.alarm, { agent: 'supervisor' });
+  linkToStorm(siteId);
+  _log(`storm.absorbed → ${siteId} ${evt.alarm || evt.antenna || evt.type} (${storm.view()?.affected} affected)`);
+}
+
+// Battery-critical sites first: switch off the secondary RRU to stretch battery life.
+// Only actuated while running with automation on; otherwise each shed becomes an approval.
+async function shedLoad() {
+  for (const { siteId, batteryPercent } of storm.shedPlan(siteCache, { limit: STORM_SHED_BATCH })) {
+    const reason = `storm load shed at ${batteryPercent}% battery`;
+    if (supervisor.mode === 'shadow') {
+      storm.markShed(siteId, { batteryPercent, shadow: true });
+      _log(`storm.shed → [shadow] would switch off a2 @ ${siteId} (battery ${batteryPercent}%)`);
+      continue;
+    }
+    if (supervisor.status !== 'running' || !autoEffective()) {
+      const item = addApprovalRequest({
+        siteId,
+        actions: [{ action: 'rru.off', args: { siteId, antenna: 'a2' }, reason }],
+        reason: 'Storm load shedding requires approval',
+      });
+      storm.markShed(siteId, { batteryPercent, ok: false, approvalId: item.id });
+      _log(`storm.shed → a2 off @ ${siteId} queued for approval #${item.id} (battery ${batteryPercent}%)`);
+      continue;
+    }
+    try {
+      await towerRru({ site: siteId, antenna: 'a2', state: 'off' }, { actor: 'supervisor', reason });
+      storm.markShed(siteId, { batteryPercent });
+      noteSiteIncident(siteId, { type: 'storm.load_shed', agent: 'supervisor', note: `a2 off at ${batteryPercent}% battery` });
+      _log(`storm.shed → a2 off @ ${siteId} (battery ${batteryPercent}%)`);
+    } catch (e) {
+      storm.markShed(siteId, { batteryPercent, ok: false, error: String(e?.message || e) });
+      _log(`storm.shed error @ ${siteId}: ${String(e?.message || e)}`);
+    }
+  }
+}
+
+/** Send the single consolidated dispatch for the current (or last) storm. */
+async function dispatchStorm() {
+  await refreshSiteCache();
+  const sum = storm.summary(siteCache);
+  if (!sum) return null;
+  if (supervisor.mode === 'shadow') {
+    storm.markDispatched({ subject: sum.subject, down: sum.down.length, shadow: true });
+    _log(`storm.dispatch → [shadow] would send: ${sum.subject}`);
+    return sum;
+  }
+  noteSiteIncident(STORM_INCIDENT_SITE, {
+    type: 'storm.dispatch',
+    agent: 'supervisor',
+    note: sum.subject,
+    data: { down: sum.down.length, batteryCritical: sum.batteryCritical, shed: sum.shed.length },
+  });
+  advanceSiteIncident(STORM_INCIDENT_SITE, 'dispatched', { agent: 'supervisor', note: 'consolidated mass-outage dispatch' });
+  storm.markDispatched({ subject: sum.subject, down: sum.down.length });
+  _log(`storm.dispatch → ${sum.subject}`);
+  broadcast();
+  return sum;
+}
+
+// Storm over: make sure the dispatch went out, close the mass incident, hand still-down sites back
+async function exitStorm(reason) {
+  if (!storm.view(storm.last)?.dispatch) await dispatchStorm();
+  const sum = storm.summary(siteCache);
+  noteSiteIncident(STORM_INCIDENT_SITE, { type: 'storm.ended', agent: 'supervisor', note: reason, data: { affected: sum.affected, down: sum.down.length } });
+  advanceSiteIncident(STORM_INCIDENT_SITE, 'closed', { agent: 'supervisor', note: `storm ${sum.id} ended (${reason})` });
+  stormIncidentId = null;
+  _log(`storm.exited → ${sum.id}: ${sum.down.length}/${sum.affected} site(s) still down → per-site handling`);
+  broadcast();
+  if (supervisor.status === 'running' && sum.down.length) await coldStartSweep({ onlySites: sum.down, origin: 'storm-end' });
+}
+
+async function stormTick() {
+  // Paused: no shedding or dispatch; the quiet period is re-checked on the first tick after resume
+  if (!storm.active || supervisor.status !== 'running') return;
+  if (storm.tick()) {
+    await exitStorm('quiet period elapsed');
+    return;
+  }
+  await refreshSiteCache();
+  if (STORM_LOAD_SHED) await shedLoad();
+  const s = storm.view();
+  if (!s.dispatch && Date.now() - Date.parse(s.since) >= STORM_DISPATCH_AFTER_MS) await dispatchStorm();
+  broadcast();
+}
+
+function startStormTimer() {
+  if (stormTimer) return;
+  stormTimer = setInterval(() => { stormTick().catch(e => _log(`storm tick error: ${String(e?.message || e)}`)); }, STORM_TICK_MS);
+  stormTimer.unref?.();
+}
+
+function stopStormTimer() {
+  if (stormTimer) clearInterval(stormTimer);
+  stormTimer = null;
+}
+
+function getStorm() {
+  return { ...storm.snapshot(), incidentId: stormIncidentId, summary: storm.summary(siteCache) };
+}
+
+/** Operator ends the storm early. Returns the final summary, or null if no storm is active. */
+async function endStorm(by = 'operator') {
+  if (!storm.end(`ended by ${by}`)) return null;
+  await exitStorm(`ended by ${by}`);
+  return storm.summary(siteCache);
+}
+
+// ---------- circuit breakers ----------
+function listBreakers() {
+  return { onOpen: BREAKER_ON_OPEN, ...breaker.snapshot() };
+}
+
+function resetBreaker(siteId, by = 'operator') {
+  const ok = breaker.reset(siteId);
+  if (ok) _log(`breaker.reset → ${siteId} by ${by}`);
+  return ok;
+}
+
 function incrementTasksRouted(n = 1) {
   supervisor.tasksRouted = (supervisor.tasksRouted || 0) + n;
+  persistState();
 }
 
 // React to policy changes (logs AND broadcast a fresh summary)
 onPolicyChange((p) => {
   _log(
-    `policy.changed → { alarmPrioritization: "${p.alarmPrioritization}", waysOfWorking: "${p.waysOfWorking}", kpiAlignment: "${p.kpiAlignment}", v:${p.version} }`
+    `policy.changed → { alarmPrioritization: "${p.alarmPrioritization}", waysOfWorking: "${p.waysOfWorking}", kpiAlignment: "${p.kpiAlignment}", approvals: ${p.approvalTtlMin}m/${p.approvalReminderMin}m → ${p.approvalEscalation}, v:${p.version} }`
   );
   broadcast();
 });
@@ -260,6 +1010,8 @@ onPolicyChange((p) => {
 // ---------- exact-duplicate guard (event-id ledger) ----------
 const processed = new Map(); // id -> ts
 const PROCESSED_TTL_MS = 60_000; // keep ids for 60s to avoid WS/HTTP mirror dupes
+const BUFFERABLE_TYPES = new Set(['alarm.raised', 'service.changed', 'alarm.cleared']); // clears cancel buffered raises
+const STORM_ABSORBED_TYPES = BUFFERABLE_TYPES;
 
 function eventId(evt) {
   const t = String(evt?.type || '');
@@ -284,17 +1036,29 @@ function remember(id) {
 // ============================================================================
 // 🧭 INCIDENT BUS → SUPERVISOR (orchestrates A→B→C flow)
 // ============================================================================
-async function handleEvent(evt) {
+async function handleEvent(evt, { replay = false } = {}) {
   const id = eventId(evt);
-  if (processed.has(id)) {
-    _log(`event.duplicate → ${id}`);
-    return; // exact same event already handled; do not run again
+  if (!replay) {
+    if (processed.has(id)) {
+      _log(`event.duplicate → ${id}`);
+      return; // exact same event already handled; do not run again
+    }
+    remember(id);
   }
-  remember(id);
 
   const siteId = (evt?.siteId && String(evt.siteId).trim()) || null;
-  _log(`bus.event → ${JSON.stringify({ type: evt?.type, siteId, alarm: evt?.alarm, ts: evt?.timestamp || evt?.ts })}`);
+  _log(`bus.event → ${JSON.stringify({ type: evt?.type, siteId, alarm: evt?.alarm, ts: evt?.timestamp || evt?.ts })}${replay ? ' (replay)' : ''}`);
 
+  if (supervisor.status === 'paused') {
+    if (siteId && BUFFERABLE_TYPES.has(String(evt?.type))) {
+      const outcome = pauseBuffer.add(evt);
+      _log(`supervisor.paused → ${outcome} (buffer ${pauseBuffer.size}/${pauseBuffer.cap})`);
+      broadcast();
+    } else {
+      _log('supervisor.paused → ignoring bus event');
+    }
+    return;
+  }
   if (supervisor.status !== 'running') {
     _log('supervisor.idle → ignoring bus event');
     return;
@@ -304,6 +1068,26 @@ async function handleEvent(evt) {
     return;
   }
 
+  // Flapping alarm: the delta emitter holds its raises/clears back; only record it on the site incident
+  if (evt.type === 'alarm.flapping') {
+    noteSiteIncident(siteId, {
+      type: `alarm.flapping.${evt.state}`,
+      agent: 'supervisor',
+      note: `${evt.alarm} ${evt.state === 'started' ? 'flapping' : 'stopped flapping'} (${evt.transitions} transitions)`,
+    });
+    _log(`alarm.flapping → ${siteId} "${evt.alarm}" ${evt.state}`);
+    return;
+  }
+
+  // Mass outage: count raises fleet-wide; during a storm site events feed the storm, not per-site jobs
+  if (evt._origin !== 'storm-end' && !activeWindowFor(siteId)) {
+    if (storm.observe(evt)) enterStorm();
+    if (storm.active && STORM_ABSORBED_TYPES.has(String(evt?.type))) {
+      absorbIntoStorm(siteId, evt);
+      return;
+    }
+  }
+
   // Actionable types; ignore pure snapshots
   const actionable = new Set(['alarm.raised', 'service.changed']);
   if (!actionable.has(String(evt?.type))) {
@@ -311,58 +1095,183 @@ async function handleEvent(evt) {
     return;
   }
 
+  // Planned work: record the alarm against the window, do not act on it
+  const mw = activeWindowFor(siteId);
+  if (mw) {
+    const n = recordSuppressed(mw.id, evt);
+    _log(`maintenance.suppressed → ${siteId} ${evt.alarm || evt.antenna || evt.type} (window ${mw.id}${mw.crqId ? `, CRQ ${mw.crqId}` : ''}, ${n} suppressed)`);
+    return;
+  }
+
+  // ---- 0) Serialize per site: one active job per site, later events coalesce into it ----
+  await refreshSiteCache();
+  const { job, coalesced } = workQueue.enqueue(siteId, evt, processSiteJob);
+  if (coalesced) {
+    _log(`queue.coalesced → ${siteId} into job #${job.id} (${job.coalesced} coalesced, ${job.startedAt ? 'running' : 'queued'})`);
+    const active = getActiveIncident(siteId);
+    if (active && evt.alarm) addIncidentAlarm(active.id, evt.alarm, { agent: 'supervisor' });
+  } else {
+    const score = job.priority?.score ?? scoreJob(job, { site: siteCache[siteId] || null }).score;
+    _log(`queue.enqueued → ${siteId} job #${job.id} score=${score} (depth=${workQueue.pending.length}, inFlight=${workQueue.running.size}/${workQueue.maxConcurrent})`);
+  }
+}
+
+// mitigateSite outcomes where nothing was sent to the tower: not an attempt, not a stabilized site
+const NOT_EXECUTED = new Set(['approval_required', 'maintenance_window', 'site_not_found', 'Agent not running']);
+
+// Raise an approval for a plan Agent B proposed, unless the site already has one pending
+function queuePlanForApproval(siteId, out, reason) {
+  const pending = supervisor.approvals.find(a => a.siteId === siteId);
+  if (pending) {
+    _log(`HITL: approval #${pending.id} already pending for ${siteId} → plan not queued`);
+    return pending;
+  }
+  const item = addApprovalRequest({ siteId, actions: out.plan || [], reason });
+  _log(`HITL: plan queued for approval @ ${siteId} (steps=${(out.plan || []).length})`);
+  return item;
+}
+
+// A timed-out agent call keeps running until it reaches its next cancellation check; hold the
+// site's queue slot until it has actually stopped so a second run cannot overlap it.
+async function holdUntilSettled(e, siteId) {
+  if (e?.code !== 'WATCHDOG_TIMEOUT' || !e.settled) return;
+  _log(`queue.hold → ${siteId} waiting for the abandoned run to stop`);
+  await e.settled;
+  _log(`queue.hold → ${siteId} abandoned run stopped`);
+}
+
+/**
+ * Events that arrived while a site job was running (job.late) belong to that job's outage: add them
+ * to its incident. They only earn a follow-up run if the site is still alarming after the job;
+ * a site the job already recovered is not re-mitigated (and costs no breaker attempt).
+ */
+async function recordLateEvents(job) {
+  const siteId = job.key;
+  const idle = supervisor.status !== 'running' || storm.active;
+  if (!idle) await refreshSiteCache();
+  const alarms = Array.isArray(siteCache[siteId]?.alarms) ? siteCache[siteId].alarms : [];
+
+  const inc = getActiveIncident(siteId);
+  for (const e of job.late) {
+    if (inc && e.type === 'alarm.raised' && e.alarm) addIncidentAlarm(inc.id, e.alarm, { agent: 'supervisor' });
+    noteSiteIncident(siteId, { type: 'queue.late', agent: 'supervisor', note: `${e.alarm || e.type} arrived during job #${job.id}`, data: { jobId: job.id } });
+  }
+  const rerun = !idle && alarms.length > 0;
+  _log(`queue.late → ${siteId} job #${job.id}: ${job.late.length} late event(s) recorded; ${rerun ? `still alarming (${alarms.join(', ')}) → follow-up` : 'no follow-up'}`);
+  return rerun;
+}
+
+// One site job = the A→B→C flow triggered by its first event; every coalesced alarm goes into the
+// correlation. Late events get a follow-up job only while the site still alarms (recordLateEvents).
+async function processSiteJob(job) {
+  const siteId = job.key;
+  const evt = job.events[0];
+  if (job.followUpOf) _log(`queue.followup → ${siteId} job #${job.id} for ${job.events.length} event(s) that arrived during job #${job.followUpOf}`);
+
   // ---- 1) Ensure Agent A is running, correlate this site/event ----
   try {
     const agentA = await lazyAgentA();
     if (agentA.status !== 'running') agentA.start();
 
-    const correlateInput = [{
+    const correlateInput = job.events.map(e => ({
       siteId,
-      type: evt.alarm || evt.type || 'unknown',
-      timestamp: evt.timestamp || evt.ts || safeNowIso(),
-    }];
-    const corr = agentA.correlate(correlateInput);
+      type: e.alarm || e.type || 'unknown',
+      timestamp: e.timestamp || e.ts || safeNowIso(),
+    }));
+    const corr = await watchdog.guard('Agent A', 'correlate', () => agentA.correlate(correlateInput), { siteId });
     const incidents = corr?.incidents || [];
-    _log(`Agent A: ${siteId} → ${incidents.length} incident(s)`);
+    const conf = incidents[0]?.confidence;
+    _log(`Agent A: ${siteId} → ${incidents.length} incident(s)${conf !== undefined ? ` confidence=${conf}` : ''}`);
 
     if (incidents.length === 0) {
       broadcast();
       return; // nothing actionable
     }
 
+    // ---- 1b) One Incident record per outage (reused while the site's incident is active) ----
+    const incident = openIncident({ siteId, alarm: evt.alarm || evt.type, agent: 'supervisor' });
+    if (incident.state === 'open') {
+      advanceSiteIncident(siteId, 'investigating', { agent: agentA.name, note: `correlated ${incidents[0]?.count ?? 1} event(s)` });
+    }
+    _log(`incident → ${incident.id} @ ${siteId} (${incident.state})`);
+
+    // ---- 1c) Topology: a child of a faulty parent is handled once, at the root ----
+    const root = incidents[0]?.root;
+    if (root) {
+      await collapseUnderRoot(siteId, incident, root);
+      return;
+    }
+
     // ---- 2) Record "investigating" in Agent C immediately ----
     try {
       const agentC = await lazyAgentC();
-      await agentC.recordIncident({
+      await watchdog.guard('Agent C', 'record', () => agentC.recordIncident({
         siteId,
         cause: 'correlated_alarm_cluster',
         actions: [],
         resolution: 'investigating',
-      });
+      }), { siteId });
       _log(`Agent C: investigating recorded for ${siteId}`);
     } catch (e) {
       _log(`Agent C record (investigating) error: ${String(e?.message || e)}`);
     }
 
+    // A storm started while this job waited/correlated: no per-site mitigation
+    if (storm.active) {
+      linkToStorm(siteId);
+      _log(`storm: ${siteId} per-site mitigation skipped (${storm.view().id})`);
+      return;
+    }
+
+    // ---- 3) Shadow mode: dry-run Agent B, leave the real decision to operators ----
+    if (supervisor.mode === 'shadow') {
+      await runShadowPipeline(siteId, evt, incident);
+      return;
+    }
+
     // ---- 3) Decide HITL vs E2E and handle Agent B ----
-    if (!autoEffective()) {
+    let requireApproval = false;
+    if (autoEffective()) {
+      const gate = breaker.check(siteId);
+      if (!gate.allowed) {
+        _log(`breaker.${gate.state} → ${siteId} automation blocked (${gate.reason}) → ${BREAKER_ON_OPEN}`);
+        if (BREAKER_ON_OPEN === 'dispatch') {
+          if (breaker.claimDispatch(siteId)) {
+            await dispatchSite(siteId, { resolution: 'breaker_open' });
+          } else {
+            // one dispatch per open period; later events are evidence for the crew already sent
+            _log(`breaker.${gate.state} → ${siteId} already dispatched this period → noting event only`);
+            noteSiteIncident(siteId, { type: 'breaker.event', agent: 'supervisor', note: `${evt.alarm || evt.type} while breaker ${gate.state} (dispatched)` });
+          }
+          return;
+        }
+        requireApproval = true;
+      }
+    }
+
+    if (!autoEffective() || requireApproval) {
+      const pending = supervisor.approvals.find(a => a.siteId === siteId);
+      if (pending) {
+        _log(`HITL: approval #${pending.id} already pending for ${siteId} → not re-planning`);
+        broadcast();
+        return;
+      }
       try {
         const agentB = await lazyAgentB();
         if (agentB.status !== 'running') agentB.start();
 
-        const out = await agentB.mitigateSite(siteId);
+        const out = await watchdog.guard('Agent B', 'plan', (signal) => agentB.mitigateSite(siteId, { requireApproval, signal }), { siteId });
         if (out && out.error === 'approval_required') {
-          addApprovalRequest({
-            siteId,
-            actions: out.plan || [],
-            reason: 'Troubleshooting HITL plan requires approval',
-          });
-          _log(`HITL: plan queued for approval @ ${siteId} (steps=${(out.plan || []).length})`);
+          queuePlanForApproval(siteId, out, requireApproval
+            ? 'Circuit breaker open (site flapping) — automation suspended, approval required'
+            : 'Troubleshooting HITL plan requires approval');
         } else {
           _log(`HITL: result for ${siteId} (ok=${out?.ok}, err=${out?.error || 'none'})`);
+          noteSiteIncident(siteId, { type: 'hitl.no_plan', agent: 'supervisor', note: out?.error || 'no plan returned' });
         }
       } catch (e) {
         _log(`Agent B HITL planning error for ${siteId}: ${String(e?.message || e)}`);
+        await holdUntilSettled(e, siteId);
       }
       broadcast();
       return;
@@ -375,26 +1284,50 @@ async function handleEvent(evt) {
 
       incrementTasksRouted(1);
       _log(`Agent B: mitigating ${siteId}…`);
-      const result = await agentB.mitigateSite(siteId);
+      let result;
+      let threw = true;
+      try {
+        result = await watchdog.guard('Agent B', 'mitigate', (signal) => agentB.mitigateSite(siteId, { signal }), { siteId });
+        threw = false;
+      } finally {
+        // the breaker only counts runs that reached the tower (a timeout may have)
+        if (threw || !NOT_EXECUTED.has(result?.error)) {
+          breaker.recordAttempt(siteId);
+          breaker.recordOutcome(siteId, !!(result?.ok && result.allClear));
+        }
+      }
+      if (result?.error === 'maintenance_window') {
+        _log(`Agent B: ${siteId} left alone (maintenance ${result.window?.id})`);
+        return;
+      }
+      // Auto is on but the policy's ways of working still ask for a human: B only proposed a plan
+      if (result?.error === 'approval_required') {
+        queuePlanForApproval(siteId, result, 'Troubleshooting HITL plan requires approval (policy)');
+        return;
+      }
+      if (NOT_EXECUTED.has(result?.error)) {
+        _log(`Agent B: ${siteId} not mitigated (${result.error})`);
+        return;
+      }
 
       // ---- 4) Inform Agent C of outcome (restored vs stabilized) ----
       try {
         const agentC = await lazyAgentC();
         if (result?.ok && result.allClear) {
-          await agentC.recordIncident({
+          await watchdog.guard('Agent C', 'record', () => agentC.recordIncident({
             siteId,
             cause: 'correlated_alarm_cluster',
             actions: result.actionsTaken || [],
             resolution: 'restored',
-          });
+          }), { siteId });
           _log(`Agent C: restored recorded for ${siteId}`);
         } else {
-          await agentC.recordIncident({
+          await watchdog.guard('Agent C', 'record', () => agentC.recordIncident({
             siteId,
             cause: 'correlated_alarm_cluster',
             actions: result?.actionsTaken || [],
             resolution: 'stabilized',
-          });
+          }), { siteId });
           _log(`Agent C: stabilized/dispatch-suggested recorded for ${siteId}`);
         }
       } catch (e) {
@@ -402,6 +1335,7 @@ async function handleEvent(evt) {
       }
     } catch (e) {
       _log(`Agent B mitigation error for ${siteId}: ${String(e?.message || e)}`);
+      await holdUntilSettled(e, siteId);
     }
   } catch (e) {
     _log(`Agent A correlation error: ${String(e?.message || e)}`);
@@ -410,8 +1344,134 @@ async function handleEvent(evt) {
   }
 }
 
-// Wire the single normalized stream
+// Shadow: build the plan, raise the normal operator approval, then run the plan with
+// tower control calls and incident side effects captured; record what RCA would conclude.
+async function runShadowPipeline(siteId, evt, incident) {
+  try {
+    const agentB = await lazyAgentB();
+    if (agentB.status !== 'running') agentB.start();
+
+    const out = await watchdog.guard('Agent B', 'plan', (signal) => agentB.mitigateSite(siteId, { requireApproval: true, signal }), { siteId });
+    const plan = out?.plan || [];
+
+    let approval = supervisor.approvals.find(a => a.siteId === siteId) || null;
+    if (!approval && plan.length) {
+      approval = addApprovalRequest({
+        siteId,
+        actions: plan,
+        reason: 'Shadow mode: operator decision (automation is dry-run)',
+      });
+    }
+
+    _log(`shadow: dry-running ${plan.length} step(s) for ${siteId}…`);
+    const run = await runShadow({ siteId }, () =>
+      watchdog.guard('Agent B', 'executePlan', (signal) => agentB.executePlan(siteId, plan, { signal }), { siteId }));
+    const result = run.result || {};
+    const resolution = result.ok && result.allClear ? 'restored' : 'stabilized';
+
+    const decision = recordDecision({
+      siteId,
+      incidentId: incident?.id || null,
+      trigger: { type: evt.type, alarm: evt.alarm || null, ts: evt.timestamp || evt.ts || null },
+      wouldAutomate: autoEffective(),
+      plan,
+      calls: run.calls,
+      effects: run.effects,
+      rca: {
+        resolution,
+        dispatchSuggested: resolution !== 'restored',
+        remainingAlarms: (result.remainingAlarms || []).map(a => a.code),
+      },
+      error: run.error || result.error || null,
+      approvalId: approval?.id || null,
+    });
+    if (approval) approval.shadowDecisionId = decision.id;
+
+    noteSiteIncident(siteId, {
+      type: 'shadow.decision',
+      agent: 'supervisor',
+      note: `${decision.id}: ${plan.length} step(s), ${run.calls.length} command(s) withheld`,
+    });
+    _log(`shadow.decision → ${decision.id} @ ${siteId} steps=${plan.length} calls=${run.calls.length} rca=${resolution}${approval ? ` approval=#${approval.id}` : ''}`);
+  } catch (e) {
+    _log(`shadow pipeline error for ${siteId}: ${String(e?.message || e)}`);
+    await holdUntilSettled(e, siteId);
+  }
+}
+
+const stepKey = (s) => `${s?.action}|${s?.args?.antenna || ''}`;
+const sameSteps = (a, b) => {
+  const x = a.map(stepKey).sort();
+  const y = b.map(stepKey).sort();
+  return x.length === y.length && x.every((k, i) => k === y[i]);
+};
+
+// How did the operator's real decision line up with the shadow plan?
+function compareDecision(d) {
+  const approval = d.approvalId
+    ? supervisor.approvals.find(a => a.id === d.approvalId)
+      || supervisor.resolvedApprovals.find(a => a.id === d.approvalId)
+    : null;
+  const operatorCalls = liveCallsFor(d.siteId, d.ts);
+
+  let verdict;
+  if (!approval) verdict = operatorCalls.length ? 'operator_acted' : 'no_operator_action';
+  else if (approval.status === 'pending') verdict = 'pending';
+  else if (approval.status === 'rejected') verdict = approval.escalation ? 'expired' : 'disagree';
+  else if (approval.status === 'expired') verdict = 'expired';
+  else verdict = sameSteps(d.plan || [], approval.approvedSteps || []) ? 'agree' : 'partial';
+
+  return {
+    id: d.id,
+    ts: d.ts,
+    siteId: d.siteId,
+    incidentId: d.incidentId,
+    verdict,
+    shadow: { plan: d.plan, calls: (d.calls || []).length, rca: d.rca },
+    operator: approval
+      ? {
+          approvalId: approval.id,
+          status: approval.status,
+          resolvedBy: approval.resolvedBy || null,
+          approvedSteps: approval.approvedSteps || [],
+          result: approval.result || null,
+        }
+      : null,
+    operatorCalls,
+  };
+}
+
+function compareShadow({ siteId, limit } = {}) {
+  const items = listDecisions({ siteId, limit }).map(compareDecision);
+  const counts = {};
+  for (const c of items) counts[c.verdict] = (counts[c.verdict] || 0) + 1;
+  const decided = (counts.agree || 0) + (counts.partial || 0) + (counts.disagree || 0);
+  return {
+    total: items.length,
+    counts,
+    agreementRate: decided ? Number(((counts.agree || 0) / decided).toFixed(3)) : null,
+    items,
+  };
+}
+
+// Maintenance window ended: post what it suppressed, then pick up anything still alarming
+onWindowClosed((w) => {
+  const s = w.summary || {};
+  const top = Object.entries(s.byAlarm || {}).sort((a, b) => b[1] - a[1]).slice(0, 5)
+    .map(([alarm, n]) => `${alarm}×${n}`).join(', ');
+  note(`Maintenance ${w.id}${w.crqId ? ` (CRQ ${w.crqId})` : ''} ${w.status} — suppressed ${s.total || 0} alarm(s)` +
+    ` on ${w.sites.join(', ') || w.group || '—'}${top ? `: ${top}` : ''}`);
+  for (const siteId of Object.keys(s.bySite || {})) {
+    noteSiteIncident(siteId, { type: 'maintenance.closed', agent: 'supervisor', note: `${w.id}: ${s.bySite[siteId]} alarm(s) suppressed`, data: { windowId: w.id, crqId: w.crqId } });
+  }
+  if (supervisor.status === 'running' && w.sites.length) {
+    coldStartSweep({ onlySites: w.sites, origin: 'maintenance-end' });
+  }
+});
+
+// Wire the single normalized stream (state snapshots are not orchestration input)
 onIncident(async (evt) => {
+  if (evt?.type === 'state.update') return;
   try { await handleEvent(evt); }
   catch (e) {
     _log(`handleEvent fatal: ${String(e?.message || e)}`);
@@ -421,8 +1481,11 @@ onIncident(async (evt) => {
 
 // ---------- exports ----------
 export {
-  summary, start, stop, pause, resume, note,
+  summary, start, stop, pause, resume, note, getPauseBuffer, getQueue, getWatchdog, setMode,
   subscribeLogs, subscribeStream,
-  addApprovalRequest, listApprovals, resolveApproval,
+  addApprovalRequest, listApprovals, resolveApproval, setApprovalTtl,
+  listBreakers, resetBreaker,
+  getStorm, endStorm, dispatchStorm,
+  listDecisions as listShadowDecisions, compareShadow,
   incrementTasksRouted,
 };
@@ -0,0 +1,236 @@
+// server/supervisor/storm.js
+// Mass-outage ("storm") detection for the Supervisor.
+// - Counts distinct sites raising alarms within a sliding window; `threshold` sites enters storm mode.
+// - While active, every raise/clear is tracked per affected site (the Supervisor stops per-site automation).
+// - The storm ends once raises stay below `exitBelow` sites per window for `quietMs`.
+// - shedPlan() orders battery-critical sites on mains loss for load shedding (lowest battery first);
+//   summary() builds the single consolidated dispatch for the whole outage.
+
+export class StormDetector {
+  constructor({
+    windowMs = 60_000,
+    threshold = 20,          // distinct sites raising within windowMs
+    exitBelow = null,        // default: a quarter of threshold
+    quietMs = 5 * 60_000,
+    batteryCriticalPct = 30,
+    onChange = null,         // ({ to: 'active' | 'ended', reason, storm }) => void
+  } = {}) {
+    this.windowMs = Math.max(1000, Number(windowMs) || 60_000);
+    this.threshold = Math.max(2, Number(threshold) || 20);
+    this.exitBelow = Math.max(1, Number(exitBelow) || Math.ceil(this.threshold / 4));
+    this.quietMs = Math.max(1000, Number(quietMs) || 5 * 60_000);
+    this.batteryCriticalPct = Number(batteryCriticalPct) || 30;
+    this.onChange = onChange;
+
+    this.raises = [];        // [{ siteId, alarm, t }] inside the window
+    this.current = null;     // active storm, or null
+    this.last = null;        // most recent ended storm
+    this.nextId = 1;
+  }
+
+  get active() {
+    return !!this.current;
+  }
+
+  _prune(now) {
+    const cutoff = now - this.windowMs;
+    while (this.raises.length && this.raises[0].t < cutoff) this.raises.shift();
+  }
+
+  /** Distinct sites that raised an alarm inside the window. */
+  rate(now = Date.now()) {
+    this._prune(now);
+    return new Set(this.raises.map(r => r.siteId)).size;
+  }
+
+  _site(siteId, now) {
+    const s = this.current.sites;
+    if (!s.has(siteId)) s.set(siteId, { firstAt: now, alarms: new Set(), clearedAt: null });
+    return s.get(siteId);
+  }
+
+  /**
+   * Count one alarm event. Returns true when this event started a storm.
+   * Cleared alarms only matter while a storm is active (they mark sites as recovered).
+   */
+  observe(evt, now = Date.now()) {
+    const siteId = evt?.siteId;
+    if (!siteId) return false;
+
+    if (evt.type === 'alarm.cleared') {
+      const site = this.current?.sites.get(siteId);
+      if (site) {
+        site.alarms.delete(evt.alarm);
+        if (!site.alarms.size) site.clearedAt = now;
+      }
+      return false;
+    }
+    if (evt.type !== 'alarm.raised') return false;
+
+    this.raises.push({ siteId, alarm: evt.alarm || null, t: now });
+    const rate = this.rate(now);
+    let entered = false;
+    if (!this.current && rate >= this.threshold) {
+      this.current = {
+        id: `STORM-${String(this.nextId++).padStart(4, '0')}`,
+        since: now,
+        endedAt: null,
+        peakRate: rate,
+        lastRaiseAt: now,
+        events: 0,
+        sites: new Map(),    // siteId -> { firstAt, alarms:Set, clearedAt }
+        shed: new Map(),     // siteId -> { at, batteryPercent, ok, error }
+        dispatch: null,
+      };
+      // the raises that tipped it over belong to the storm
+      for (const r of this.raises) {
+        const site = this._site(r.siteId, r.t);
+        if (r.alarm) site.alarms.add(r.alarm);
+      }
+      entered = true;
+    }
+    if (this.current) {
+      const site = this._site(siteId, now);
+      if (evt.alarm) site.alarms.add(evt.alarm);
+      site.clearedAt = null;
+      this.current.events += 1;
+      this.current.lastRaiseAt = now;
+      this.current.peakRate = Math.max(this.current.peakRate, rate);
+    }
+    if (entered) this._emit('active', `${rate} sites raised alarms within ${Math.round(this.windowMs / 1000)}s`);
+    return entered;
+  }
+
+  /** Periodic check; ends the storm once it has been quiet long enough. Returns true if it ended. */
+  tick(now = Date.now()) {
+    if (!this.current) return false;
+    if (now - this.current.lastRaiseAt < this.quietMs) return false;
+    if (this.rate(now) >= this.exitBelow) return false;
+    this.end(`quiet for ${Math.round(this.quietMs / 1000)}s`, now);
+    return true;
+  }
+
+  /** End the active storm (quiet period elapsed or operator). Returns the ended storm view, or null. */
+  end(reason = 'ended', now = Date.now()) {
+    if (!this.current) return null;
+    this.current.endedAt = now;
+    this.last = this.current;
+    this.current = null;
+    this._emit('ended', reason, this.last);
+    return this.view(this.last);
+  }
+
+  _emit(to, reason, storm = this.current) {
+    try { this.onChange?.({ to, reason, storm: this.view(storm) }); } catch {}
+  }
+
+  /** Affected sites that are still alarming. */
+  downSites(storm = this.current) {
+    if (!storm) return [];
+    return [...storm.sites.entries()].filter(([, s]) => !s.clearedAt).map(([id]) => id);
+  }
+
+  /**
+   * Next sites to shed load on: still down, on mains loss, battery at/below the critical level,
+   * not shed yet — lowest battery first.
+   */
+  shedPlan(sites = {}, { limit = 5 } = {}) {
+    if (!this.current) return [];
+    return this.downSites()
+      .filter(id => !this.current.shed.has(id))
+      .map(id => ({ siteId: id, site: sites[id] }))
+      .filter(({ site }) => site && site.mains === 'off' && Number.isFinite(Number(site.batteryPercent))
+        && Number(site.batteryPercent) <= this.batteryCriticalPct)
+      .sort((a, b) => Number(a.site.batteryPercent) - Number(b.site.batteryPercent))
+      .slice(0, limit)
+      .map(({ siteId, site }) => ({ siteId, batteryPercent: Number(site.batteryPercent) }));
+  }
+
+  markShed(siteId, { batteryPercent = null, ok = true, error = null, shadow = false, approvalId = null } = {}) {
+    if (!this.current) return;
+    this.current.shed.set(siteId, { at: Date.now(), batteryPercent, ok, error, shadow, approvalId });
+  }
+
+  markDispatched(dispatch) {
+    const storm = this.current || this.last;
+    if (storm) storm.dispatch = { ...dispatch, at: new Date().toISOString() };
+  }
+
+  /** Consolidated dispatch for the whole outage (subject/body plus the data behind it). */
+  summary(sites = {}, storm = this.current || this.last) {
+    if (!storm) return null;
+    const down = this.downSites(storm);
+    const byAlarm = {};
+    for (const s of storm.sites.values()) for (const a of s.alarms) byAlarm[a] = (byAlarm[a] || 0) + 1;
+    const batteryCritical = down
+      .map(id => ({ siteId: id, batteryPercent: Number(sites[id]?.batteryPercent) }))
+      .filter(s => Number.isFinite(s.batteryPercent) && s.batteryPercent <= this.batteryCriticalPct)
+      .sort((a, b) => a.batteryPercent - b.batteryPercent);
+    const shed = [...storm.shed.entries()].map(([siteId, s]) => ({ siteId, ...s, at: new Date(s.at).toISOString() }));
+    const since = new Date(storm.since).toISOString();
+
+    const subject = `[DISPATCH] Mass outage ${storm.id} – ${down.length}/${storm.sites.size} sites down – Action required`;
+    const body =
+`Mass outage: ${storm.id}
+Since: ${since}${storm.endedAt ? `\nEnded: ${new Date(storm.endedAt).toISOString()}` : ''}
+Affected sites: ${storm.sites.size} (still down: ${down.length}, peak ${storm.peakRate} sites/${Math.round(this.windowMs / 1000)}s)
+Alarms: ${Object.entries(byAlarm).map(([a, n]) => `${a}×${n}`).join(', ') || 'none'}
+
+Battery-critical sites (≤${this.batteryCriticalPct}%), visit first:
+${batteryCritical.map(s => `- ${s.siteId}: ${s.batteryPercent}%`).join('\n') || '- none'}
+
+Load shed (secondary RRU off):
+${shed.map(s => `- ${s.siteId} (${s.batteryPercent}%)${s.shadow ? ' [shadow]' : ''}${s.approvalId ? ` awaiting approval #${s.approvalId}` : s.ok ? '' : ` failed: ${s.error}`}`).join('\n') || '- none'}
+
+Sites still down:
+${down.join(', ') || 'none'}
+
+Per-site automated mitigation is suspended for the duration of the outage.
+Please coordinate grid restoration and generator deployment for the sites above.
+
+Thank you,
+Supervisor`;
+
+    return {
+      id: storm.id,
+      since,
+      endedAt: storm.endedAt ? new Date(storm.endedAt).toISOString() : null,
+      affected: storm.sites.size,
+      down,
+      byAlarm,
+      batteryCritical,
+      shed,
+      subject,
+      body,
+    };
+  }
+
+  view(storm = this.current) {
+    if (!storm) return null;
+    return {
+      id: storm.id,
+      since: new Date(storm.since).toISOString(),
+      endedAt: storm.endedAt ? new Date(storm.endedAt).toISOString() : null,
+      peakRate: storm.peakRate,
+      events: storm.events,
+      affected: storm.sites.size,
+      down: this.downSites(storm).length,
+      shed: storm.shed.size,
+      dispatch: storm.dispatch,
+    };
+  }
+
+  snapshot() {
+    return {
+      active: this.active,
+      rate: this.rate(),
+      threshold: this.threshold,
+      exitBelow: this.exitBelow,
+      windowMs: this.windowMs,
+      quietMs: this.quietMs,
+      batteryCriticalPct: this.batteryCriticalPct,
+      current: this.view(this.current),
+      last: this.view(this.last),
+    };
+  }
+}
@@ -0,0 +1,147 @@
+// server/supervisor/watchdog.js
+// Deadlines and health tracking for agent operations called by the Supervisor.
+// - guard() races an agent call against its deadline; a timeout rejects with code WATCHDOG_TIMEOUT and
+//   aborts the AbortSignal handed to the call, which agents check between steps. The timeout error
+//   carries `settled`, a promise for the abandoned call, so callers can hold a site until it really stops.
+// - Timeouts and throws count as failures per agent; `maxFailures` within `failureWindowMs`
+//   asks the owner to restart that agent (at most once per `restartCoolDownMs`).
+
+const DEFAULT_DEADLINES = Object.freeze({
+  correlate: 5_000,
+  plan: 30_000,           // mitigateSite in HITL/plan-only mode
+  mitigate: 180_000,      // E2E mitigateSite (sweeps + heals)
+  executePlan: 120_000,
+  record: 15_000,         // Agent C recordIncident / dispatch
+  default: 60_000,
+});
+
+export class AgentWatchdog {
+  constructor({
+    deadlines = {},
+    maxFailures = 3,
+    failureWindowMs = 10 * 60_000,
+    restartCoolDownMs = 60_000,
+    onEvent = null,       // ({ type, agent, op, siteId, ms, error, failures }) => void
+    onUnhealthy = null,   // (agent, reason) => void | Promise<void>
+  } = {}) {
+    this.deadlines = { ...DEFAULT_DEADLINES, ...deadlines };
+    this.maxFailures = Math.max(1, Number(maxFailures) || 3);
+    this.failureWindowMs = Number(failureWindowMs) || 10 * 60_000;
+    this.restartCoolDownMs = Number(restartCoolDownMs) || 60_000;
+    this.onEvent = onEvent;
+    this.onUnhealthy = onUnhealthy;
+    this.agents = new Map();   // agent -> { failures: ts[], inFlight: Map, lastOkAt, lastError, timeouts, restarts, lastRestartAt }
+    this.nextOpId = 1;
+  }
+
+  _agent(name) {
+    if (!this.agents.has(name)) {
+      this.agents.set(name, {
+        failures: [], inFlight: new Map(), lastOkAt: null, lastError: null, timeouts: 0, restarts: 0, lastRestartAt: 0,
+      });
+    }
+    return this.agents.get(name);
+  }
+
+  _emit(evt) {
+    try { this.onEvent?.(evt); } catch {}
+  }
+
+  deadlineFor(op) {
+    return this.deadlines[op] ?? this.deadlines.default;
+  }
+
+  /**
+   * Run `fn(signal)` under the op's deadline. Resolves with its result, rejects with its error
+   * or with a WATCHDOG_TIMEOUT error (`err.settled` resolves once the abandoned call has returned).
+   */
+  async guard(agent, op, fn, { siteId = null, timeoutMs } = {}) {
+    const a = this._agent(agent);
+    const ms = Number(timeoutMs) || this.deadlineFor(op);
+    const id = this.nextOpId++;
+    const entry = { op, siteId, startedAt: Date.now(), deadlineMs: ms, abandoned: false };
+    a.inFlight.set(id, entry);
+
+    const controller = new AbortController();
+    const work = Promise.resolve().then(() => fn(controller.signal));
+    // the in-flight entry lives as long as the call, even past its deadline
+    const settled = work.then(() => {}, () => {}).finally(() => a.inFlight.delete(id));
+
+    let timer = null;
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(`${agent} ${op}${siteId ? ` @ ${siteId}` : ''} exceeded ${ms}ms`);
+        err.code = 'WATCHDOG_TIMEOUT';
+        err.settled = settled;
+        entry.abandoned = true;
+        controller.abort(err);
+        reject(err);
+      }, ms);
+    });
+
+    try {
+      const result = await Promise.race([work, deadline]);
+      a.lastOkAt = Date.now();
+      return result;
+    } catch (e) {
+      const timedOut = e?.code === 'WATCHDOG_TIMEOUT';
+      if (timedOut) a.timeouts += 1;
+      this._failure(agent, { op, siteId, ms, error: String(e?.message || e), timedOut });
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _failure(agent, { op, siteId, ms, error, timedOut }) {
+    const a = this._agent(agent);
+    const now = Date.now();
+    a.failures = a.failures.filter(t => now - t < this.failureWindowMs);
+    a.failures.push(now);
+    a.lastError = { op, siteId, error, ts: new Date(now).toISOString() };
+    this._emit({ type: timedOut ? 'timeout' : 'error', agent, op, siteId, ms, error, failures: a.failures.length });
+
+    if (a.failures.length >= this.maxFailures && now - a.lastRestartAt >= this.restartCoolDownMs) {
+      const reason = `${a.failures.length} failure(s) in ${Math.round(this.failureWindowMs / 60_000)}m (last: ${op})`;
+      this.markRestarted(agent);
+      this._emit({ type: 'unhealthy', agent, op, siteId, error: reason, failures: a.failures.length });
+      Promise.resolve()
+        .then(() => this.onUnhealthy?.(agent, reason))
+        .catch(err => this._emit({ type: 'restart.failed', agent, error: String(err?.message || err) }));
+    }
+  }
+
+  markRestarted(agent) {
+    const a = this._agent(agent);
+    a.restarts += 1;
+    a.lastRestartAt = Date.now();
+    a.failures = [];
+  }
+
+  snapshot() {
+    const now = Date.now();
+    const agents = {};
+    for (const [name, a] of this.agents) {
+      agents[name] = {
+        failures: a.failures.filter(t => now - t < this.failureWindowMs).length,
+        timeouts: a.timeouts,
+        restarts: a.restarts,
+        lastOkAt: a.lastOkAt ? new Date(a.lastOkAt).toISOString() : null,
+        lastError: a.lastError,
+        inFlight: [...a.inFlight.values()].map(o => ({
+          op: o.op,
+          siteId: o.siteId,
+          runningMs: now - o.startedAt,
+          deadlineMs: o.deadlineMs,
+          abandoned: o.abandoned,       // past its deadline, winding down
+        })),
+      };
+    }
+    return {
+      deadlines: { ...this.deadlines },
+      maxFailures: this.maxFailures,
+      failureWindowMs: this.failureWindowMs,
+      agents,
+    };
+  }
+}
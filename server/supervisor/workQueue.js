@@ -0,0 +1,166 @@
+// server/supervisor/workQueue.js
+// Per-site serialized work queue with a global concurrency cap.
+// - One job per key (site) at a time, queued or running; events that arrive while a
+//   site already has a job are coalesced into that job instead of starting another run.
+//   Events that arrive after the job has started were not seen by it: they are held on the job and,
+//   once it finishes, handed to `needsFollowUp(job)`, which records them and decides whether they
+//   warrant a follow-up job for the same key (without the hook they never do).
+// - At most `maxConcurrent` jobs run at once; the rest wait. With a `score(job)` function the
+//   highest-scoring waiting job gets the next slot (re-scored each time), otherwise arrival order.
+
+const MAX_EVENTS_PER_JOB = 50;   // keep coalesced evidence bounded
+
+export class WorkQueue {
+  constructor({ maxConcurrent = 4, onChange = null, score = null, needsFollowUp = null } = {}) {
+    this.maxConcurrent = Math.max(1, Number(maxConcurrent) || 1);
+    this.onChange = onChange;
+    this.score = score;             // (job) => { score, factors } | null
+    this.needsFollowUp = needsFollowUp;   // async (job) => boolean, job.late holds the late events
+
+    this.pending = [];              // jobs waiting for a slot (arrival order)
+    this.running = new Map();       // key -> job
+    this.nextJobId = 1;
+    this.stats = { enqueued: 0, coalesced: 0, completed: 0, failed: 0, late: 0, followUps: 0 };
+  }
+
+  _changed() {
+    try { this.onChange?.(this.snapshot()); } catch {}
+  }
+
+  /** Job (queued or running) currently owning this key, if any. */
+  find(key) {
+    return this.running.get(key) || this.pending.find(j => j.key === key) || null;
+  }
+
+  /**
+   * Queue work for `key`. If the key already has a job, the event is folded into it.
+   * `runner(job)` is awaited when the job gets a slot.
+   * @returns {{ job: object, coalesced: boolean }}
+   */
+  enqueue(key, evt, runner) {
+    const existing = this.find(key);
+    if (existing) {
+      existing.coalesced += 1;
+      const into = existing.startedAt ? existing.late : existing.events;
+      if (into.length < MAX_EVENTS_PER_JOB) into.push(evt);
+      this.stats.coalesced += 1;
+      this._changed();
+      return { job: existing, coalesced: true };
+    }
+
+    const job = this._push(key, [evt], runner);
+    this._changed();
+    this._pump();
+    return { job, coalesced: false };
+  }
+
+  _push(key, events, runner, followUpOf = null) {
+    const job = {
+      id: this.nextJobId++,
+      key,
+      events,
+      late: [],                     // events coalesced after startedAt → needsFollowUp(job)
+      coalesced: 0,
+      enqueuedAt: new Date().toISOString(),
+      firstEventAt: events[0]?.timestamp || events[0]?.ts || null,
+      startedAt: null,
+      priority: null,               // last computed { score, factors }
+      followUpOf,
+      runner,
+    };
+    this.pending.push(job);
+    this.stats.enqueued += 1;
+    return job;
+  }
+
+  _rescore() {
+    if (!this.score) return;
+    for (const job of this.pending) {
+      try { job.priority = this.score(job); } catch { job.priority = null; }
+    }
+  }
+
+  /** Waiting jobs in dispatch order (highest score first; ties keep arrival order). */
+  ordered() {
+    this._rescore();
+    if (!this.score) return this.pending.slice();
+    return this.pending
+      .map((job, i) => ({ job, i }))
+      .sort((a, b) => (b.job.priority?.score ?? 0) - (a.job.priority?.score ?? 0) || a.i - b.i)
+      .map(x => x.job);
+  }
+
+  _pump() {
+    while (this.running.size < this.maxConcurrent && this.pending.length) {
+      const job = this.ordered()[0];
+      this.pending.splice(this.pending.indexOf(job), 1);
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    job.startedAt = new Date().toISOString();
+    this.running.set(job.key, job);
+    this._changed();
+    try {
+      await job.runner(job);
+      this.stats.completed += 1;
+    } catch {
+      this.stats.failed += 1;
+    }
+    try {
+      // Still holding the key: anything arriving while the hook runs lands in job.late too
+      const followUp = job.late.length > 0 && !!(await this.needsFollowUp?.(job));
+      const late = job.late.splice(0);
+      this.stats.late += late.length;
+      if (followUp) {
+        this._push(job.key, late, job.runner, job.id);
+        this.stats.followUps += 1;
+      }
+    } catch {
+      job.late = [];
+    } finally {
+      this.running.delete(job.key);
+      this._changed();
+      this._pump();
+    }
+  }
+
+  /** Drop queued (not running) jobs, e.g. when the supervisor stops. */
+  clearPending() {
+    const dropped = this.pending.length;
+    this.pending = [];
+    if (dropped) this._changed();
+    return dropped;
+  }
+
+  snapshot() {
+    const view = (j) => ({
+      id: j.id,
+      siteId: j.key,
+      events: j.events.length,
+      late: j.late.length,
+      coalesced: j.coalesced,
+      followUpOf: j.followUpOf,
+      enqueuedAt: j.enqueuedAt,
+      startedAt: j.startedAt,
+      score: j.priority?.score ?? null,
+      factors: j.priority?.factors ?? null,
+    });
+    const ordered = this.ordered();
+    const slotsFull = this.running.size >= this.maxConcurrent;
+    return {
+      maxConcurrent: this.maxConcurrent,
+      depth: this.pending.length,
+      inFlight: [...this.running.values()].map(view),
+      pending: ordered.map((j, i) => ({
+        ...view(j),
+        position: i + 1,
+        waitingFor: i > 0
+          ? `${i} higher-priority job(s) ahead (next: ${ordered[0].key} @ ${ordered[0].priority?.score ?? '—'})`
+          : (slotsFull ? `a free slot (${this.running.size}/${this.maxConcurrent} in flight)` : 'dispatch'),
+      })),
+      stats: { ...this.stats },
+    };
+  }
+}
@@ -1,4 +1,5 @@
 // server/system/state.js
+import { load, put } from '../persistence/store.js';
 
 // === Core live state ===
 let enabled = true;
@@ -16,6 +17,25 @@ let uptimeSeconds = 0;                     // accumulates across ON windows
 // === SSE clients ===
 const subscribers = new Set();
 
+// === Persistence (write-through on every transition, rehydrated at boot) ===
+function persist() {
+  put('system', { ...baseSnapshot(), history: history.slice(), uptimeSeconds });
+}
+
+(function rehydrate() {
+  const saved = load('system').value;
+  if (!saved || typeof saved !== 'object') return;
+  enabled = saved.enabled !== undefined ? Boolean(saved.enabled) : enabled;
+  version = Number(saved.version) || 0;
+  updatedAt = saved.updatedAt || updatedAt;
+  lastOnAt = saved.lastOnAt ?? null;
+  lastOffAt = saved.lastOffAt ?? null;
+  counts.on = Number(saved.counts?.on) || 0;
+  counts.off = Number(saved.counts?.off) || 0;
+  uptimeSeconds = Number(saved.uptimeSeconds) || 0;
+  if (Array.isArray(saved.history)) history.push(...saved.history.slice(-200));
+})();
+
 // --- helpers ---
 function baseSnapshot() {
   return {
@@ -105,6 +125,7 @@ export function setSystemEnabled(next, source = 'unknown') {
   // Trim history if needed
   if (history.length > 200) history.splice(0, history.length - 200);
 
+  persist();
   broadcast();
   return snapshot();
 }
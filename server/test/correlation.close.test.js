@@ -0,0 +1,68 @@
+// server/test/correlation.close.test.js
+// Agent A closes a site's correlation once no critical alarm remains raised — from the bus clear, or
+// from a healthy bridge snapshot — and a stabilized/dispatched Incident follows it to closed.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+let agent;
+let bus;
+let incidents;
+
+before(async () => {
+  process.env.PERSIST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'launchctrl-test-'));
+  ({ incidentBus: bus } = await import('../bus/incidentBus.js'));
+  incidents = await import('../incidents/store.js');
+  const { CorrelationAgent } = await import('../agents/correlationAgent.js');
+  agent = new CorrelationAgent('Agent A (test)');
+  agent.start();
+});
+
+after(() => agent?.stop());
+
+const ts = () => new Date().toISOString();
+const raise = (siteId, alarm) => bus.emit('event', { type: 'alarm.raised', siteId, alarm, ts: ts(), source: 'delta' });
+const clear = (siteId, alarm) => bus.emit('event', { type: 'alarm.cleared', siteId, alarm, ts: ts(), source: 'delta' });
+const snapshot = (sites) => bus.emit('event', { type: 'state.update', siteId: 'all', alarm: null, payload: { ts: ts(), state: { sites } }, ts: ts() });
+
+function trackedIn(siteId, state) {
+  const inc = incidents.openIncident({ siteId, alarm: 'MainsFailure', agent: 'test' });
+  incidents.transition(inc.id, 'investigating', { agent: 'test' });
+  incidents.transition(inc.id, state, { agent: 'test' });
+  return inc.id;
+}
+
+test('clearing the last critical alarm closes a stabilized incident', () => {
+  const id = trackedIn('T1', 'stabilized');
+  raise('T1', 'MainsFailure');
+  assert.ok(agent.perSite.T1?.open, 'correlation opened');
+
+  clear('T1', 'MainsFailure');
+  assert.equal(agent.perSite.T1, undefined);
+  assert.equal(agent.closed.at(-1).reason, 'alarm_cleared');
+  assert.equal(incidents.getIncident(id).state, 'closed');
+});
+
+test('a clear leaves the incident open while another critical alarm is still raised', () => {
+  raise('T2', 'MainsFailure');
+  raise('T2', 'SiteDown');
+  clear('T2', 'MainsFailure');
+  assert.ok(agent.perSite.T2?.open);
+  clear('T2', 'SiteDown');
+  assert.equal(agent.perSite.T2, undefined);
+});
+
+test('a healthy bridge snapshot closes a dispatched incident', () => {
+  const id = trackedIn('T3', 'dispatched');
+  raise('T3', 'MainsFailure');
+  snapshot({ T3: { mains: 'off', siteAlive: true, alarms: ['MainsFailure'] } });
+  assert.ok(agent.perSite.T3?.open, 'still alarming');
+
+  snapshot({ T3: { mains: 'on', siteAlive: true, alarms: [] } });
+  assert.equal(agent.perSite.T3, undefined);
+  assert.equal(agent.closed.at(-1).reason, 'service_restored');
+  assert.equal(incidents.getIncident(id).state, 'closed');
+});
@@ -0,0 +1,26 @@
+// server/test/shadow.liveCalls.test.js
+// A live call counts against a site whether it names that site alone, in a list, or 'all'.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+let shadow;
+
+before(async () => {
+  process.env.PERSIST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'launchctrl-test-'));
+  shadow = await import('../supervisor/shadow.js');
+});
+
+test('liveCallsFor matches single, multi-site and all targets', () => {
+  const since = new Date(Date.now() - 1000).toISOString();
+  shadow.interceptCall('rru', { site: 'S1', antenna: 'a1', state: 'on' });
+  shadow.interceptCall('power', { sites: ['S1', 'S2'], state: 'on' });
+  shadow.interceptCall('power', { sites: 'all', state: 'off' });
+
+  assert.deepEqual(shadow.liveCallsFor('S1', since).map(c => c.op), ['rru', 'power', 'power']);
+  assert.deepEqual(shadow.liveCallsFor('S2', since).map(c => c.args.sites), [['S1', 'S2'], 'all']);
+  assert.deepEqual(shadow.liveCallsFor('S3', since).map(c => c.args.sites), ['all']);
+});
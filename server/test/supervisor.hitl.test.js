@@ -0,0 +1,84 @@
+// server/test/supervisor.hitl.test.js
+// Auto toggle on, policy still HITL: Agent B only proposes a plan. That must become an approval,
+// not a breaker attempt or a "stabilized" record. The tower is a stub HTTP /state; nothing may be POSTed.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const SITE = 'S5';
+const commands = [];
+let server;
+let sup;
+let bus;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.method !== 'GET') commands.push(`${req.method} ${req.url}`);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      state: {
+        sites: {
+          [SITE]: {
+            mains: 'off', siteAlive: true, batteryPercent: 80,
+            antenna1: { rru: 'on', service: 'Available' },
+            antenna2: { rru: 'on', service: 'Available' },
+            alarms: ['MainsFailure'],
+          },
+        },
+      },
+    }));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+
+  process.env.PERSIST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'launchctrl-test-'));
+  process.env.TOWER_HTTP_BASE = `http://127.0.0.1:${server.address().port}`;
+  process.env.OPENAI_API_KEY ||= 'test';
+
+  const { setAutoEnabled } = await import('../supervisor/pipeline.js');
+  const { setPolicy } = await import('../policy/store.js');
+  ({ incidentBus: bus } = await import('../bus/incidentBus.js'));
+  sup = await import('../supervisor/store.js');
+
+  setPolicy({ waysOfWorking: 'Human intervention at critical steps' }, 'test');
+  setAutoEnabled(true);
+  await sup.start();
+});
+
+after(() => {
+  sup?.stop();
+  server?.close();
+});
+
+const idle = async () => {
+  for (let i = 0; i < 200; i++) {
+    const q = sup.getQueue();
+    if (!q.inFlight.length && !q.depth) return;
+    await new Promise(r => setTimeout(r, 50));
+  }
+  throw new Error('site jobs did not finish');
+};
+
+const raise = (n) => {
+  const evt = { type: 'alarm.raised', siteId: SITE, alarm: 'MainsFailure', ts: new Date(Date.now() + n).toISOString(), source: 'syslog' };
+  bus.emit('event', evt);
+};
+
+test('a proposed-only plan raises one approval and does not trip the breaker', async () => {
+  raise(0);
+  await idle();
+  raise(1);
+  await idle();
+
+  const breakers = sup.listBreakers();
+  assert.equal(breakers.sites[SITE], undefined, `breaker counted proposals: ${JSON.stringify(breakers.sites[SITE])}`);
+
+  const approvals = sup.listApprovals().filter(a => a.siteId === SITE);
+  assert.equal(approvals.length, 1);
+  assert.match(approvals[0].reason, /HITL plan requires approval/);
+  assert.doesNotMatch(approvals[0].reason, /Circuit breaker/);
+  assert.deepEqual(commands, [], 'no tower command may be sent');
+});
@@ -0,0 +1,65 @@
+// server/test/troubleshooting.budget.test.js
+// E2E mitigation of a radio that never comes back: Agent B stops at its command budget, below the
+// gateway's per-site rate limit, and never leaves a reset half-done (OFF without the following ON).
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const SITE = 'S7';
+const commands = [];
+let server;
+let agent;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      if (req.method !== 'GET') commands.push({ url: req.url, body });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        state: {
+          sites: {
+            [SITE]: {
+              mains: 'on', siteAlive: true, batteryPercent: 90,
+              antenna1: { rru: 'on', service: 'Available' },
+              antenna2: { rru: 'on', service: 'Unavailable' },
+              alarms: ['Antenna2Unavailable'],
+            },
+          },
+        },
+      }));
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+
+  process.env.PERSIST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'launchctrl-test-'));
+  process.env.TOWER_HTTP_BASE = `http://127.0.0.1:${server.address().port}`;
+  process.env.TOWER_CMD_CONFIRM_MS = '50';
+  process.env.TOWER_CMD_MAX_SENDS = '1';
+
+  const { setPolicy } = await import('../policy/store.js');
+  const { TroubleshootingAgent } = await import('../agents/troubleshooting.js');
+  setPolicy({ waysOfWorking: 'E2E automation' }, 'test');
+  agent = new TroubleshootingAgent('Agent B (test)');
+  agent._sleep = async () => {};
+  agent.start();
+});
+
+after(() => {
+  agent?.stop();
+  server?.close();
+});
+
+test('a failing radio heal stays within the command budget', async () => {
+  const out = await agent.mitigateSite(SITE);
+  assert.equal(out.ok, true);
+  assert.ok(commands.length > 0, 'heal was attempted');
+  assert.ok(commands.length <= 15, `sent ${commands.length} commands`);
+  assert.match(commands.at(-1).body, /"on"/, `last command must switch the radio back on: ${commands.at(-1).body}`);
+  assert.ok(agent.logs.some(l => /command budget spent/.test(l)), 'budget exhaustion is logged');
+});
@@ -0,0 +1,55 @@
+// server/test/workQueue.test.js
+// Events that arrive while a site job runs are handed to needsFollowUp(job) once it finishes;
+// only a true answer queues a second run for the site.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkQueue } from '../supervisor/workQueue.js';
+
+const settle = () => new Promise(r => setTimeout(r, 20));
+
+function lateEventDuringJob(needsFollowUp) {
+  const runs = [];
+  const seen = [];
+  const queue = new WorkQueue({
+    maxConcurrent: 1,
+    needsFollowUp: async (job) => {
+      seen.push(...job.late.map(e => e.alarm));
+      return needsFollowUp;
+    },
+  });
+  let release;
+  const runner = async (job) => {
+    runs.push({ id: job.id, alarms: job.events.map(e => e.alarm), followUpOf: job.followUpOf });
+    if (runs.length === 1) await new Promise(r => { release = r; });
+  };
+  queue.enqueue('S1', { type: 'alarm.raised', alarm: 'MainsFailure' }, runner);
+  return { queue, runs, seen, runner, release: () => release() };
+}
+
+test('late events are recorded without a second run when the site recovered', async () => {
+  const { queue, runs, seen, runner, release } = lateEventDuringJob(false);
+  await settle();
+  const { coalesced } = queue.enqueue('S1', { type: 'alarm.raised', alarm: 'RRUFault' }, runner);
+  assert.equal(coalesced, true);
+
+  release();
+  await settle();
+  assert.equal(runs.length, 1);
+  assert.deepEqual(seen, ['RRUFault']);
+  assert.equal(queue.snapshot().stats.late, 1);
+  assert.equal(queue.snapshot().stats.followUps, 0);
+  assert.equal(queue.find('S1'), null);
+});
+
+test('late events re-run the site when it is still alarming', async () => {
+  const { queue, runs, runner, release } = lateEventDuringJob(true);
+  await settle();
+  queue.enqueue('S1', { type: 'alarm.raised', alarm: 'RRUFault' }, runner);
+
+  release();
+  await settle();
+  assert.equal(runs.length, 2);
+  assert.deepEqual(runs[1], { id: 2, alarms: ['RRUFault'], followUpOf: 1 });
+  assert.equal(queue.snapshot().stats.followUps, 1);
+});
@@ -8,22 +8,23 @@ function nowIso() { return new Date().toISOString(); }
 /**
  * Set power state for one site or "all".
  * @param {{sites?: string, state: 'on'|'off'}} params
- * @returns {Promise<{ok: boolean, ts: string, result?: any, error?: string}>}
+ * @param {{actor?: string, reason?: string}} [ctx] recorded in the command audit
+ * @returns {Promise<{ok: boolean, ts: string, result?: any, error?: string, interlock?: string}>}
  */
-export async function setPower(params = {}) {
+export async function setPower(params = {}, ctx = {}) {
   try {
-    const result = await power(params);
+    const result = await power(params, { actor: 'tools', ...ctx });
     return { ok: true, ts: nowIso(), result };
   } catch (e) {
-    return { ok: false, ts: nowIso(), error: String(e?.message || e) };
+    return { ok: false, ts: nowIso(), error: String(e?.message || e), interlock: e?.interlock };
   }
 }
 
 /** Convenience helpers */
-export function powerOn(siteId = 'all') {
-  return setPower({ sites: siteId, state: 'on' });
+export function powerOn(siteId = 'all', ctx) {
+  return setPower({ sites: siteId, state: 'on' }, ctx);
 }
 
-export function powerOff(siteId = 'all') {
-  return setPower({ sites: siteId, state: 'off' });
+export function powerOff(siteId = 'all', ctx) {
+  return setPower({ sites: siteId, state: 'off' }, ctx);
 }
@@ -8,23 +8,24 @@ function nowIso() { return new Date().toISOString(); }
 /**
  * Raw RRU command.
  * @param {{site: string, antenna: 'a1'|'a2', state: 'on'|'off'}} params
- * @returns {Promise<{ok: boolean, ts: string, result?: any, error?: string}>}
+ * @param {{actor?: string, reason?: string}} [ctx] recorded in the command audit
+ * @returns {Promise<{ok: boolean, ts: string, result?: any, error?: string, interlock?: string}>}
  */
-export async function rru(params = {}) {
+export async function rru(params = {}, ctx = {}) {
   try {
-    const result = await rruApi(params);
+    const result = await rruApi(params, { actor: 'tools', ...ctx });
     return { ok: true, ts: nowIso(), result };
   } catch (e) {
-    return { ok: false, ts: nowIso(), error: String(e?.message || e) };
+    return { ok: false, ts: nowIso(), error: String(e?.message || e), interlock: e?.interlock };
   }
 }
 
-export function rruOn(site, antenna) {
-  return rru({ site, antenna, state: 'on' });
+export function rruOn(site, antenna, ctx) {
+  return rru({ site, antenna, state: 'on' }, ctx);
 }
 
-export function rruOff(site, antenna) {
-  return rru({ site, antenna, state: 'off' });
+export function rruOff(site, antenna, ctx) {
+  return rru({ site, antenna, state: 'off' }, ctx);
 }
 
 /**
@@ -32,6 +33,6 @@ export function rruOff(site, antenna) {
  * Leaves the detailed healing strategy to Agent B; this is a light helper.
  */
 export async function ensureRru(site, antenna) {
-  const res = await rruOn(site, antenna);
+  const res = await rruOn(site, antenna, { reason: 'ensure radio available' });
   return { ok: !!res.ok, attempts: 1, raw: res };
 }
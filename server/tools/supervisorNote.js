@@ -2,6 +2,7 @@
 // Lightweight wrapper for Supervisor notes (avoids circular imports)
 
 import { note as supervisorNoteInternal } from '../supervisor/store.js';
+import { currentShadow } from '../supervisor/shadow.js';
 
 /**
  * Send a short operational note to the Supervisor log.
@@ -17,7 +18,7 @@ export function supervisorNote(message, meta = null) {
       typeof meta === 'object' && meta
         ? `${message} ${JSON.stringify(meta)}`
         : String(message);
-    supervisorNoteInternal(line);
+    supervisorNoteInternal(currentShadow() ? `[shadow] ${line}` : line);
   } catch (e) {
     // fail-safe: no exception propagation
     console.warn('[SupervisorNote] failed:', e.message);
@@ -0,0 +1,53 @@
+// server/topology/routes.js
+import { Router } from 'express';
+import {
+  getTopology,
+  setTopology,
+  reloadTopology,
+  describeSite,
+  findRoot,
+} from './store.js';
+
+const router = Router();
+
+function fresh(res) {
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  return res;
+}
+
+router.get('/', (_req, res) => {
+  fresh(res).json({ ok: true, topology: getTopology() });
+});
+
+// Replace the model — body: { minChildren?, nodes?, links: [{ child, parent, kind }] }
+router.put('/', (req, res) => {
+  try {
+    fresh(res).json({ ok: true, topology: setTopology(req.body ?? {}) });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// Drop any API replacement and re-read config/topology.json
+router.post('/reload', (_req, res) => {
+  try {
+    fresh(res).json({ ok: true, topology: reloadTopology() });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// Parents/children of a site; ?alarming=S2,S3 previews which root those alarms would collapse to
+router.get('/sites/:siteId', (req, res) => {
+  const siteId = String(req.params.siteId);
+  const out = describeSite(siteId);
+  if (req.query?.alarming !== undefined) {
+    const alarming = new Set(String(req.query.alarming).split(',').map(s => s.trim()).filter(Boolean));
+    out.root = findRoot(siteId, id => alarming.has(id));
+  }
+  fresh(res).json({ ok: true, ...out });
+});
+
+export default router;
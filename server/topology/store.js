@@ -0,0 +1,194 @@
+// server/topology/store.js
+// Site topology — which sites depend on a shared parent (transport hub, power feeder, …).
+//
+// Model (config/topology.json or TOPOLOGY_CONFIG; replaced at runtime via PUT /api/topology):
+//   {
+//     minChildren: 2,                                  // alarming children that implicate a parent
+//     nodes: { "FEEDER-7": { kind: "power", name? } }, // non-site parents (optional)
+//     links: [ { child: "S2", parent: "FEEDER-7", kind: "power" | "transport" | "hub" } ]
+//   }
+// A runtime replacement is persisted and wins over the file until reloaded from it.
+// Link ends that are not in `nodes` are sites, written plain or namespaced ("north:S1"); they are
+// indexed in bus form (qualifyExternalId, tower/drivers/index.js) so lookups by bus site ID match.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { load, put } from '../persistence/store.js';
+import { qualifyExternalId } from '../tower/drivers/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILE = process.env.TOPOLOGY_CONFIG || path.join(__dirname, '..', 'config', 'topology.json');
+const TOPOLOGY_NS = 'topology';
+const LINK_KINDS = ['power', 'transport', 'hub'];
+
+let model = { minChildren: 2, nodes: {}, links: [] };
+let source = 'default';
+const parents = new Map();   // child -> [{ parent, kind }]
+const children = new Map();  // parent -> [{ child, kind }]
+
+// ---------- validation / indexing ----------
+function validate(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('topology must be an object');
+  const minChildren = raw.minChildren === undefined ? 2 : Number(raw.minChildren);
+  if (!Number.isInteger(minChildren) || minChildren < 1) throw new Error('minChildren must be a positive integer');
+  const nodes = raw.nodes && typeof raw.nodes === 'object' ? raw.nodes : {};
+  if (raw.links !== undefined && !Array.isArray(raw.links)) throw new Error('links must be an array');
+
+  const links = (raw.links || []).map((l, i) => {
+    const child = String(l?.child || '').trim();
+    const parent = String(l?.parent || '').trim();
+    const kind = String(l?.kind || 'hub').toLowerCase();
+    if (!child || !parent) throw new Error(`links[${i}] needs "child" and "parent"`);
+    if (child === parent) throw new Error(`links[${i}] links ${child} to itself`);
+    if (!LINK_KINDS.includes(kind)) throw new Error(`links[${i}].kind must be one of: ${LINK_KINDS.join(', ')}`);
+    return { child, parent, kind };
+  });
+
+  // reject cycles (a site cannot depend on itself through its ancestors)
+  const up = new Map();
+  for (const l of links) up.set(l.child, [...(up.get(l.child) || []), l.parent]);
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const visit = (id, trail) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') throw new Error(`topology cycle: ${[...trail, id].join(' → ')}`);
+    state.set(id, 'visiting');
+    for (const p of up.get(id) || []) visit(p, [...trail, id]);
+    state.set(id, 'done');
+  };
+  for (const id of up.keys()) visit(id, []);
+
+  return { minChildren, nodes, links };
+}
+
+// Non-site parents keep their name; site IDs are compared in bus form
+const nodeKey = (id) => (model.nodes[id] ? String(id) : qualifyExternalId(id));
+
+function index(next) {
+  model = next;
+  parents.clear();
+  children.clear();
+  for (const l of model.links) {
+    const child = nodeKey(l.child);
+    const parent = nodeKey(l.parent);
+    parents.set(child, [...(parents.get(child) || []), { parent, kind: l.kind }]);
+    children.set(parent, [...(children.get(parent) || []), { child, kind: l.kind }]);
+  }
+}
+
+function readFile() {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (e) {
+    if (e?.code !== 'ENOENT') console.warn(`[topology] could not read ${CONFIG_FILE}: ${e.message}`);
+    return null;
+  }
+}
+
+(function init() {
+  const saved = load(TOPOLOGY_NS).value;
+  try {
+    if (saved?.model) {
+      index(validate(saved.model));
+      source = 'api';
+      return;
+    }
+  } catch (e) {
+    console.warn(`[topology] ignoring persisted topology: ${e.message}`);
+  }
+  const raw = readFile();
+  if (!raw) return;
+  try {
+    index(validate(raw));
+    source = 'file';
+  } catch (e) {
+    console.warn(`[topology] invalid ${CONFIG_FILE}: ${e.message}`);
+  }
+})();
+
+// ---------- public API ----------
+function getTopology() {
+  return { source, file: CONFIG_FILE, ...model };
+}
+
+/** Replace the model (validated, persisted). Throws on invalid input. */
+function setTopology(raw) {
+  index(validate(raw));
+  source = 'api';
+  put(TOPOLOGY_NS, { model });
+  return getTopology();
+}
+
+/** Re-read the config file, dropping any API replacement. Throws if the file is invalid. */
+function reloadTopology() {
+  const raw = readFile();
+  index(validate(raw || {}));
+  source = raw ? 'file' : 'default';
+  put(TOPOLOGY_NS, null);
+  return getTopology();
+}
+
+function parentsOf(id) {
+  return (parents.get(nodeKey(id)) || []).slice();
+}
+
+function childrenOf(id) {
+  return (children.get(nodeKey(id)) || []).slice();
+}
+
+/** All sites below a node (transitively). */
+function descendantsOf(id) {
+  const out = new Set();
+  const stack = [nodeKey(id)];
+  while (stack.length) {
+    for (const { child } of childrenOf(stack.pop())) {
+      if (!out.has(child)) { out.add(child); stack.push(child); }
+    }
+  }
+  return [...out];
+}
+
+/**
+ * Highest faulty ancestor of a site, given which ids are alarming right now.
+ * A parent is faulty when it alarms itself, or when at least `minChildren` of its
+ * descendants alarm. Returns null when the site is its own root cause.
+ * @returns {{ siteId, kind, path: string[], children: string[], alarming: boolean } | null}
+ */
+function findRoot(siteId, isAlarming) {
+  let best = null;
+  const seen = new Set();
+  const walk = (id, trail, kind) => {
+    for (const { parent, kind: k } of parentsOf(id)) {
+      if (seen.has(parent)) continue;
+      seen.add(parent);
+      const path = [...trail, parent];
+      const linkKind = kind || k;
+      const alarmingKids = descendantsOf(parent).filter(c => isAlarming(c));
+      const alarming = !!isAlarming(parent);
+      if (alarming || alarmingKids.length >= model.minChildren) {
+        best = { siteId: parent, kind: model.nodes[parent]?.kind || linkKind, path, children: alarmingKids, alarming };
+      }
+      walk(parent, path, linkKind);
+    }
+  };
+  walk(nodeKey(siteId), [nodeKey(siteId)], null);
+  return best;
+}
+
+function describeSite(siteId) {
+  return {
+    siteId,
+    parents: parentsOf(siteId),
+    children: childrenOf(siteId),
+    descendants: descendantsOf(siteId),
+    node: model.nodes[siteId] || null,
+  };
+}
+
+export {
+  LINK_KINDS,
+  getTopology, setTopology, reloadTopology,
+  parentsOf, childrenOf, descendantsOf, findRoot, describeSite,
+};
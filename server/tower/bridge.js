@@ -1,44 +1,41 @@
 // server/tower/bridge.js
-import http from 'http';
-import WebSocket from 'ws';
+// Southbound feed: one backend per configured driver (see ./drivers/index.js, one element manager per
+// region), each with its own WS subscription, HTTP fallback poll and snapshot sequencer. Accepted
+// snapshots are re-keyed to namespaced site IDs, merged across backends and fed to the delta emitter,
+// the history store and the bus; a backend that drops out keeps its last known sites in the merge.
+// Visibility: each backend keeps connection history, message rates and snapshot age (GET /api/tower/health)
+// and publishes bus.disconnected / bus.reconnected / tower.stale on incidentBus when it loses or regains sight.
 
 // NEW: internal bus + delta diff
 import { incidentBus } from '../bus/incidentBus.js';
 import { deltaEmitter } from '../bus/deltaEmitter.js';
+import { SnapshotSequencer } from './sequencer.js';
+import { recordSnapshot } from './history.js';
+import { allDrivers, listDrivers, qualifySiteId, qualifyState } from './drivers/index.js';
 
 // --- CONFIG ---
-const WS_URL = process.env.TOWER_WS || 'ws://localhost:7070';
-const HTTP_STATE = process.env.TOWER_HTTP_STATE || 'http://localhost:7071/state';
 const HTTP_REFRESH_MS = 5000;
-const HTTP_TIMEOUT_MS = 3000;
 const QUIET_WARN_SEC = 15;
+// HTTP polling pauses while WS has delivered a snapshot within this many seconds
+const WS_HEALTHY_MS = (Number(process.env.TOWER_WS_HEALTHY_SEC) || QUIET_WARN_SEC) * 1000;
+
+// No snapshot (new or repeated) from a backend for this long → tower.stale
+const STALE_MS = (Number(process.env.TOWER_STALE_SEC) || 30) * 1000;
+const MONITOR_MS = 5000;
+const RATE_WINDOW_MS = 60000;     // message rate window
+const MAX_CONN_HISTORY = 50;
 
-const RECONNECT_BASE_MS = 1000;   // 1s
-const RECONNECT_MAX_MS  = 10000;  // 10s
 const SSE_HEARTBEAT_MS  = 15000;  // keep-alive for SSE
 
 // --- STATE ---
-let lastEnvelope = null;       // last envelope from tower-sim (state.update, alarm.raised, etc.)
-let lastState = null;          // cached plain state JSON from HTTP or WS
+const backends = new Map();    // driver name -> Backend
+let mergedState = null;        // { sites } across backends, namespaced IDs
+let lastEnvelope = null;       // last envelope from any backend (state.update, alarm.raised, etc.)
 const subscribers = new Set(); // SSE clients
 
-let ws = null;
-let wsConnected = false;
-let reconnectAttempts = 0;
-let lastMsgTs = 0;
-let quietTimer = null;
-
 // --- Utils ---
 const nowIso = () => new Date().toISOString();
-
-function safeJsonParse(buf) {
-  try {
-    return JSON.parse(typeof buf === 'string' ? buf : buf.toString());
-  } catch (e) {
-    console.error('[tower-bridge] Invalid JSON:', e.message);
-    return null;
-  }
-}
+const isoOrNull = (ms) => (ms ? new Date(ms).toISOString() : null);
 
 function broadcast(obj) {
   const line = `data: ${JSON.stringify(obj)}\n\n`;
@@ -47,22 +44,6 @@ function broadcast(obj) {
   }
 }
 
-function startQuietTimer() {
-  stopQuietTimer();
-  quietTimer = setInterval(() => {
-    if (!wsConnected) return;
-    const idleSec = (Date.now() - lastMsgTs) / 1000;
-    if (idleSec > QUIET_WARN_SEC) {
-      console.warn(`[tower-bridge] No WS messages for ${idleSec.toFixed(0)}s (connected=${wsConnected}).`);
-    }
-  }, 5000);
-}
-
-function stopQuietTimer() {
-  if (quietTimer) clearInterval(quietTimer);
-  quietTimer = null;
-}
-
 // Helper: forward a normalized bus event to the incident bus (unified 'event' channel)
 function emitBusEvent(data) {
   const evt = {
@@ -70,166 +51,375 @@ function emitBusEvent(data) {
     siteId: data?.siteId ?? (data?.type === 'state.update' ? 'all' : 'unknown'),
     alarm: data?.alarm ?? null,
     payload: data?.payload ?? null,
+    backend: data?.backend ?? null,
     ts: data?.ts ?? nowIso(),
   };
   incidentBus.emit('event', evt);
 }
 
-// --- WS handling with backoff ---
-function connectWS() {
+// Connectivity events go out typed and on the unified channel (agents listen on 'event')
+function emitVisibility(type, backend, payload) {
+  const ts = nowIso();
+  incidentBus.emit(type, { siteId: 'all', backend, ...payload, ts });
+  emitBusEvent({ type, siteId: 'all', backend, payload, ts });
+}
+
+// Union of every backend's last accepted sites → delta emitter, history, bus
+function publishMerged(from) {
+  const sites = {};
+  for (const b of backends.values()) Object.assign(sites, b.lastState?.sites);
+  mergedState = { sites };
+  recordSnapshot(mergedState);
+
+  // Feed the delta emitter → emits alarm.raised / alarm.cleared / service.changed
   try {
-    ws = new WebSocket(WS_URL);
-
-    ws.on('open', () => {
-      wsConnected = true;
-      reconnectAttempts = 0;
-      lastMsgTs = Date.now();
-      // Reset delta memory on reconnect to avoid spurious clears/raises
-      deltaEmitter.reset?.();
-      startQuietTimer();
-      console.log('[tower-bridge] WS connected:', WS_URL);
-    });
+    deltaEmitter.ingest(mergedState);
+  } catch (e) {
+    console.error(`[tower-bridge] deltaEmitter.ingest (${from}) error:`, e?.message || e);
+  }
+
+  // Also expose a normalized bus event for Supervisor/Agents
+  emitBusEvent({
+    type: 'state.update',
+    siteId: 'all',
+    alarm: null,
+    payload: { ts: nowIso(), state: mergedState },
+    backend: from,
+    ts: nowIso(),
+  });
+}
+
+// ---------- one backend (driver) ----------
+class Backend {
+  constructor(driver) {
+    this.driver = driver;
+    this.name = driver.name;
+    this.canSubscribe = Boolean(driver.capabilities().subscribe);
+    // Snapshot ordering across WS + HTTP (one diff per state, stale ones dropped)
+    this.sequencer = new SnapshotSequencer();
+    this.httpPolls = { done: 0, skipped: 0, failed: 0 };
+    this.wsConnected = false;
+    this.connectedAt = null;
+    this.disconnectedAt = null;
+    this.lastMsgTs = 0;
+    this.lastWsSnapshotTs = 0;
+    this.lastSnapshotTs = 0;
+    this.lastError = null;
+    this.lastState = null;       // namespaced { sites } from this backend
+    this.startedAt = 0;
+    this.lastSeenTs = 0;         // last snapshot received, new or repeated (staleness)
+    this.stale = false;
+    this.conn = { connects: 0, disconnects: 0, failedAttempts: 0, history: [] };
+    this.messages = { total: 0, byType: {}, recent: [] };   // recent: receive times within RATE_WINDOW_MS
+    this.http = { lastOkTs: 0, lastFailTs: 0 };
+    this.polling = false;
+    this.timers = [];
+    this.unsubscribe = null;
+  }
+
+  get wsHealthy() {
+    return this.wsConnected && Date.now() - this.lastWsSnapshotTs < WS_HEALTHY_MS;
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    if (this.canSubscribe) {
+      this.unsubscribe = this.driver.subscribe((msg) => this.onMessage(msg), {
+        onOpen: () => this.onOpen(),
+        onClose: () => this.onClose(),
+      });
+    }
+    this.timers.push(setInterval(() => this.monitor(), MONITOR_MS));
+    // HTTP snapshot as a fallback — only polled while WS is down or has gone quiet
+    this.timers.push(setInterval(() => this.poll(), HTTP_REFRESH_MS));
+  }
+
+  stop() {
+    for (const t of this.timers.splice(0)) clearInterval(t);
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.wsConnected = false;
+  }
+
+  noteConnection(event, extra = {}) {
+    this.conn.history.push({ at: nowIso(), event, ...extra });
+    if (this.conn.history.length > MAX_CONN_HISTORY) this.conn.history.shift();
+  }
+
+  onOpen() {
+    const now = Date.now();
+    const reconnect = this.disconnectedAt !== null;
+    const downSec = reconnect ? Math.round((now - this.disconnectedAt) / 1000) : null;
+    const attempts = this.conn.failedAttempts + 1;
+    this.wsConnected = true;
+    this.connectedAt = now;
+    this.lastMsgTs = now;
+    this.conn.connects += 1;
+    this.conn.failedAttempts = 0;
+    this.noteConnection(reconnect ? 'reconnected' : 'connected', { attempts, downSec });
+    // Keep delta memory across reconnects: the next snapshot is diffed against what is
+    // already known (real changes only), and taken as-is in case the backend restarted
+    this.sequencer.resync();
+    console.log(`[tower-bridge] ${this.name}: WS ${reconnect ? `reconnected after ${downSec}s` : 'connected'}`, this.driver.describe?.().ws ?? '');
+    if (reconnect) emitVisibility('bus.reconnected', this.name, { downSec, attempts });
+  }
+
+  // Drivers reconnect with backoff themselves; close fires for every failed attempt
+  onClose() {
+    if (!this.wsConnected) {
+      this.conn.failedAttempts += 1;
+      return;
+    }
+    this.wsConnected = false;
+    this.disconnectedAt = Date.now();
+    this.conn.disconnects += 1;
+    const upSec = Math.round((this.disconnectedAt - this.connectedAt) / 1000);
+    this.noteConnection('disconnected', { upSec });
+    console.log(`[tower-bridge] ${this.name}: WS disconnected, driver is reconnecting…`);
+    emitVisibility('bus.disconnected', this.name, { upSec, httpFallback: true });
+  }
+
+  snapshotAgeMs(now = Date.now()) {
+    return now - (this.lastSeenTs || this.startedAt);
+  }
+
+  // Quiet WS warning + staleness transitions (tower.stale started / ended)
+  monitor() {
+    const now = Date.now();
+    if (this.wsConnected) {
+      const idleSec = (now - this.lastMsgTs) / 1000;
+      if (idleSec > QUIET_WARN_SEC) {
+        console.warn(`[tower-bridge] ${this.name}: no WS messages for ${idleSec.toFixed(0)}s.`);
+      }
+    }
+    const ageMs = this.snapshotAgeMs(now);
+    if (!this.stale && ageMs > STALE_MS) {
+      this.stale = true;
+      const ageSec = Math.round(ageMs / 1000);
+      console.warn(`[tower-bridge] ${this.name}: no snapshot for ${ageSec}s — tower state is stale`);
+      emitVisibility('tower.stale', this.name, { state: 'started', ageSec, lastSnapshotAt: isoOrNull(this.lastSeenTs), wsConnected: this.wsConnected });
+    }
+  }
 
-    ws.on('message', (buf) => {
-      const msg = safeJsonParse(buf);
-      if (!msg) return;
-
-      lastEnvelope = msg;
-      lastMsgTs = Date.now();
-
-      // Cache state when provided via WS envelopes
-      if (msg?.type === 'state.update') {
-        const stateObj =
-          msg?.state ??                // some sims emit { type, state }
-          msg?.payload?.state ?? null; // others { type, payload: { state } }
-
-        if (stateObj && typeof stateObj === 'object') {
-          lastState = stateObj;
-
-          // Feed the delta emitter → emits alarm.raised / alarm.cleared / service.changed
-          try {
-            deltaEmitter.ingest(stateObj);
-          } catch (e) {
-            console.error('[tower-bridge] deltaEmitter.ingest error:', e?.message || e);
-          }
-
-          // Also expose a normalized bus event for Supervisor/Agents
-          emitBusEvent({
-            type: 'state.update',
-            siteId: 'all',
-            alarm: null,
-            payload: { ts: nowIso(), state: stateObj },
-            ts: nowIso(),
-          });
-        }
-      } else {
-        // Non-snapshot envelopes (e.g., direct alarm events) → forward as-is
-        emitBusEvent({ ...msg, ts: msg.ts || nowIso() });
+  freshAgain(now) {
+    if (!this.stale) return;
+    this.stale = false;
+    const staleSec = Math.round((now - (this.lastSeenTs || this.startedAt)) / 1000);
+    console.log(`[tower-bridge] ${this.name}: snapshots flowing again after ${staleSec}s`);
+    emitVisibility('tower.stale', this.name, { state: 'ended', staleSec });
+  }
+
+  countMessage(type, now) {
+    this.messages.total += 1;
+    this.messages.byType[type] = (this.messages.byType[type] || 0) + 1;
+    const recent = this.messages.recent;
+    recent.push(now);
+    while (recent.length && now - recent[0] > RATE_WINDOW_MS) recent.shift();
+  }
+
+  onMessage(msg) {
+    this.lastMsgTs = Date.now();
+    this.countMessage(msg?.type || 'unknown', this.lastMsgTs);
+
+    // Cache state when provided via WS envelopes
+    if (msg?.type === 'state.update') {
+      const stateObj =
+        msg?.state ??                // some sims emit { type, state }
+        msg?.payload?.state ?? null; // others { type, payload: { state } }
+
+      if (stateObj && typeof stateObj === 'object') {
+        this.lastWsSnapshotTs = Date.now();
+        if (!this.ingest(stateObj, 'ws', msg)) return; // stale/duplicate: not for the dashboard either
+        lastEnvelope = { type: msg.type, ts: msg.ts, version: msg.version, state: this.lastState };
+        broadcast({ event: 'tower', backend: this.name, payload: lastEnvelope, at: nowIso() });
       }
+      return;
+    }
 
-      // Keep broadcasting to UI subscribers for the dashboard stream
-      broadcast({ event: 'tower', payload: msg, at: nowIso() });
-    });
+    // Non-snapshot envelopes (e.g., direct alarm events) → forward with the namespaced site ID
+    const siteId = msg?.siteId ? qualifySiteId(this.driver, msg.siteId) : msg?.siteId;
+    lastEnvelope = { ...msg, siteId };
+    emitBusEvent({ ...lastEnvelope, backend: this.name, ts: msg.ts || nowIso() });
+    // Keep broadcasting to UI subscribers for the dashboard stream
+    broadcast({ event: 'tower', backend: this.name, payload: lastEnvelope, at: nowIso() });
+  }
 
-    ws.on('close', () => {
-      wsConnected = false;
-      stopQuietTimer();
-      scheduleReconnect();
-    });
+  async poll() {
+    if (this.wsHealthy) {
+      this.httpPolls.skipped += 1;
+      return;
+    }
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      const state = await this.driver.getState();
+      this.httpPolls.done += 1;
+      this.http.lastOkTs = Date.now();
+      this.lastError = null;
+      if (!this.ingest(state, 'http', state)) return;
+      // Still broadcast to dashboard subscribers
+      broadcast({ event: 'tower.http.state', backend: this.name, payload: mergedState, at: nowIso() });
+    } catch (e) {
+      this.httpPolls.failed += 1;
+      this.http.lastFailTs = Date.now();
+      this.lastError = String(e?.message || e);
+    } finally {
+      this.polling = false;
+    }
+  }
 
-    ws.on('error', (err) => {
-      console.error('[tower-bridge] WS error:', err?.message || String(err));
-      // error is followed by close on many stacks; if not, force a close
-      try { ws.close(); } catch {}
-    });
-  } catch (e) {
-    console.error('[tower-bridge] WS connect exception:', e.message);
-    scheduleReconnect();
+  /**
+   * Sequence a snapshot and, if it is the newest seen from this backend, merge and publish it.
+   * Returns false for stale/duplicate snapshots (nothing is emitted).
+   */
+  ingest(stateObj, source, envelope = null) {
+    const verdict = this.sequencer.accept(stateObj, { source, envelope });
+    // a repeated snapshot still proves the backend's state is current
+    if (verdict.accepted || verdict.reason === 'duplicate') {
+      const now = Date.now();
+      this.freshAgain(now);
+      this.lastSeenTs = now;
+    }
+    if (!verdict.accepted) return false;
+    if (verdict.reason === 'resync') console.log(`[tower-bridge] ${this.name}: resynced from ${source} snapshot`);
+
+    this.lastSnapshotTs = Date.now();
+    this.lastState = { sites: qualifyState(this.driver, stateObj).sites };
+    publishMerged(this.name);
+    return true;
   }
-}
 
-function scheduleReconnect() {
-  reconnectAttempts += 1;
-  const exp = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (reconnectAttempts - 1));
-  // jitter ±20%
-  const delay = Math.max(250, Math.floor(exp * (0.8 + Math.random() * 0.4)));
-  console.log(`[tower-bridge] WS disconnected, reconnecting in ${delay}ms…`);
-  setTimeout(connectWS, delay);
-}
+  sync() {
+    return {
+      wsConnected: this.wsConnected,
+      wsHealthy: this.wsHealthy,
+      lastWsSnapshotAt: isoOrNull(this.lastWsSnapshotTs),
+      httpPolling: !this.wsHealthy,
+      httpPolls: { ...this.httpPolls },
+      sequencer: this.sequencer.snapshot(),
+    };
+  }
 
-// --- HTTP fallback snapshot ---
-function fetchHttpState(cb) {
-  try {
-    const req = http.get(HTTP_STATE, { timeout: HTTP_TIMEOUT_MS }, (res) => {
-      const { statusCode } = res;
-      let data = '';
-      res.on('data', (c) => (data += c));
-      res.on('end', () => {
-        if (statusCode && statusCode >= 400) {
-          return cb(new Error(`HTTP ${statusCode}`));
-        }
-        const parsed = safeJsonParse(data);
-        if (!parsed) return cb(new Error('JSON.parse'));
-        cb(null, parsed);
-      });
-    });
-    req.on('timeout', () => {
-      req.destroy(new Error('HTTP timeout'));
-    });
-    req.on('error', (e) => cb(e));
-  } catch (e) {
-    cb(e);
+  status() {
+    return {
+      wsConnected: this.wsConnected,
+      subscribes: this.canSubscribe,
+      connectedAt: isoOrNull(this.connectedAt),
+      disconnectedAt: isoOrNull(this.disconnectedAt),
+      lastSnapshotAt: isoOrNull(this.lastSnapshotTs),
+      sites: Object.keys(this.lastState?.sites || {}).length,
+      lastError: this.lastError,
+    };
+  }
+
+  health(now = Date.now()) {
+    const recent = this.messages.recent.filter(t => now - t <= RATE_WINDOW_MS);
+    return {
+      name: this.name,
+      stale: this.stale,
+      ws: {
+        supported: this.canSubscribe,
+        connected: this.wsConnected,
+        healthy: this.wsHealthy,
+        connectedAt: isoOrNull(this.connectedAt),
+        disconnectedAt: isoOrNull(this.disconnectedAt),
+        lastMessageAt: isoOrNull(this.lastMsgTs),
+        connects: this.conn.connects,
+        disconnects: this.conn.disconnects,
+        failedAttempts: this.conn.failedAttempts,   // since the last disconnect
+        history: this.conn.history.slice().reverse(),
+      },
+      messages: {
+        total: this.messages.total,
+        byType: { ...this.messages.byType },
+        lastMinute: recent.length,
+        perSec: Number((recent.length / (RATE_WINDOW_MS / 1000)).toFixed(2)),
+      },
+      http: {
+        polling: !this.wsHealthy,
+        ...this.httpPolls,
+        lastOkAt: isoOrNull(this.http.lastOkTs),
+        lastFailAt: isoOrNull(this.http.lastFailTs),
+        lastError: this.lastError,
+      },
+      snapshot: {
+        lastAt: isoOrNull(this.lastSeenTs),
+        lastChangeAt: isoOrNull(this.lastSnapshotTs),
+        ageSec: Math.round(this.snapshotAgeMs(now) / 1000),
+        sites: Object.keys(this.lastState?.sites || {}).length,
+      },
+    };
   }
 }
 
 // --- Public API ---
 export function initTowerBridge() {
-  connectWS();
-
-  // Periodically refresh HTTP snapshot as a fallback
-  setInterval(() => {
-    fetchHttpState((err, js) => {
-      if (!err && js) {
-        // Some sims return { state: {...} }, others return plain {...}
-        // Normalize to plain state object when possible
-        const normalized = js.state && typeof js.state === 'object' ? js.state : js;
-        lastState = normalized;
-
-        // Feed delta emitter from HTTP too (keeps correlation alive even if WS is quiet)
-        try {
-          deltaEmitter.ingest(normalized);
-        } catch (e) {
-          console.error('[tower-bridge] deltaEmitter.ingest (HTTP) error:', e?.message || e);
-        }
-
-        // Emit a normalized bus event so Supervisor/Agents can consume snapshots
-        emitBusEvent({
-          type: 'state.update',
-          siteId: 'all',
-          alarm: null,
-          payload: { ts: nowIso(), state: normalized },
-          ts: nowIso(),
-        });
-
-        // Still broadcast to dashboard subscribers
-        broadcast({ event: 'tower.http.state', payload: normalized, at: nowIso() });
-      }
-    });
-  }, HTTP_REFRESH_MS);
+  if (backends.size) return;
+  for (const driver of allDrivers()) {
+    const b = new Backend(driver);
+    backends.set(b.name, b);
+    b.start();
+  }
+  console.log(`[tower-bridge] Backends: ${[...backends.keys()].join(', ')}`);
+}
+
+/** Snapshot sequencing + channel state per backend (which source feeds the emitter, what was dropped). */
+export function getTowerSync() {
+  const out = {};
+  for (const [name, b] of backends) out[name] = b.sync();
+  return {
+    wsConnected: [...backends.values()].some(b => b.wsConnected),
+    backends: out,
+  };
+}
+
+/**
+ * Connectivity health: 'ok' (every backend fresh over WS), 'degraded' (some backend on HTTP fallback
+ * or stale), 'down' (every backend stale).
+ */
+export function getTowerHealth() {
+  const now = Date.now();
+  const list = [...backends.values()].map(b => b.health(now));
+  const stale = list.filter(b => b.stale).length;
+  let status = 'ok';
+  if (!list.length || stale === list.length) status = 'down';
+  else if (stale || list.some(b => b.ws.supported && !b.ws.connected)) status = 'degraded';
+  return {
+    status,
+    staleAfterSec: STALE_MS / 1000,
+    wsHealthyWithinSec: WS_HEALTHY_MS / 1000,
+    maxSnapshotAgeSec: list.reduce((m, b) => Math.max(m, b.snapshot.ageSec), 0),
+    backends: list,
+  };
+}
+
+/** Connection status per backend, and which backend serves each region. */
+export function getTowerBackends() {
+  const drivers = listDrivers();
+  const list = drivers.map(d => ({
+    name: d.name,
+    type: d.type,
+    namespace: d.namespace,
+    regions: d.regions,
+    default: d.default,
+    ...(backends.get(d.name)?.status() || { wsConnected: false, started: false }),
+  }));
+  const regions = {};
+  for (const b of list) {
+    for (const r of b.regions) regions[r] = { backend: b.name, wsConnected: b.wsConnected, lastSnapshotAt: b.lastSnapshotAt };
+  }
+  return { backends: list, regions };
 }
 
 export function getTowerSnapshot() {
-  // Prefer the freshest known state (WS cache), fallback to HTTP on demand
-  return new Promise((resolve) => {
-    if (lastState) {
-      return resolve({ ok: true, ...lastState, source: 'ws-cache' });
-    }
-    fetchHttpState((err, js) => {
-      if (err || !js) return resolve({ ok: false, error: 'unavailable' });
-      const normalized = js.state && typeof js.state === 'object' ? js.state : js;
-      resolve({ ok: true, ...normalized, source: 'http' });
+  // Prefer the merged cache, fallback to asking every backend on demand
+  if (mergedState) return Promise.resolve({ ok: true, ...mergedState, source: 'ws-cache' });
+  return Promise.allSettled(allDrivers().map(async d => qualifyState(d, await d.getState()).sites))
+    .then((results) => {
+      const ok = results.filter(r => r.status === 'fulfilled');
+      if (!ok.length) return { ok: false, error: 'unavailable' };
+      return { ok: true, sites: Object.assign({}, ...ok.map(r => r.value)), source: 'http' };
     });
-  });
 }
 
 export function subscribeTower(res) {
@@ -247,11 +437,12 @@ export function subscribeTower(res) {
   }, SSE_HEARTBEAT_MS);
 
   // initial marker + snapshots for faster UI hydration
-  res.write(`data: ${JSON.stringify({ event: 'connected', at: nowIso(), wsConnected })}\n\n`);
+  const wsConnected = [...backends.values()].some(b => b.wsConnected);
+  res.write(`data: ${JSON.stringify({ event: 'connected', at: nowIso(), wsConnected, backends: [...backends.keys()] })}\n\n`);
   if (lastEnvelope) {
     res.write(`data: ${JSON.stringify({ event: 'tower', payload: lastEnvelope, at: nowIso() })}\n\n`);
   }
-  if (lastState) {
-    res.write(`data: ${JSON.stringify({ event: 'tower.http.state', payload: lastState, at: nowIso() })}\n\n`);
+  if (mergedState) {
+    res.write(`data: ${JSON.stringify({ event: 'tower.http.state', payload: mergedState, at: nowIso() })}\n\n`);
   }
 }
@@ -1,85 +1,125 @@
 // server/tower/client.js
-// HTTP client wrapper for tower-sim control and state endpoints.
+// Tower control/state facade used by the agents, tools and supervisor.
+// Each call is routed to the southbound driver that owns the site (see ./drivers/index.js); site IDs
+// here are the namespaced ones ("north:S1") and are translated to driver-local IDs on the way out.
+// Control calls made inside a supervisor shadow run are recorded instead of sent; power/RRU commands
+// otherwise go through the command gateway (interlocks, read-back, audit — see ./gateway.js).
 
-const BASE = process.env.TOWER_HTTP_BASE || 'http://127.0.0.1:7071';
-const RETRY_MS = 1000;
-const MAX_RETRIES = 2;
+import { interceptCall } from '../supervisor/shadow.js';
+import { allDrivers, defaultDriver, listDrivers, qualifyState, resolveSite } from './drivers/index.js';
+import { runCommand } from './gateway.js';
 
-// --- Internal helper for safe JSON fetch with retries ---
-async function json(req, attempt = 0) {
-  try {
-    const res = await req;
-    const ct = res.headers.get('content-type') || '';
-    const body = ct.includes('application/json') ? await res.json() : await res.text();
+// Shadow runs get a canned success; reads (getState) always go to the backend
+const shadowed = (op, args) => (interceptCall(op, args) ? { ok: true, shadow: true, op, args } : null);
 
-    if (!res.ok) {
-      const msg = typeof body === 'string' ? body : body?.error || 'Request failed';
-      throw new Error(`[tower-client] ${msg}`);
-    }
-    return body;
-  } catch (err) {
-    if (attempt < MAX_RETRIES) {
-      console.warn(`[tower-client] Retry ${attempt + 1}/${MAX_RETRIES} after error: ${err.message}`);
-      await new Promise(r => setTimeout(r, RETRY_MS));
-      return json(req, attempt + 1);
-    }
-    console.error('[tower-client] Request failed permanently:', err.message);
-    throw err;
+function requireCapability(driver, cap) {
+  if (!driver.capabilities()[cap]) throw new Error(`[tower-client] driver ${driver.name} does not support ${cap}`);
+  return driver;
+}
+
+// Group target sites by owning driver (driver-local IDs); 'all' → every driver gets 'all'
+function bySiteDriver(sites) {
+  if (sites === 'all') return allDrivers().map(d => [d, 'all']);
+  const ids = (Array.isArray(sites) ? sites : [sites]).map(String);
+  const groups = new Map();
+  for (const id of ids) {
+    const { driver: d, siteId } = resolveSite(id);
+    if (!groups.has(d)) groups.set(d, []);
+    groups.get(d).push(siteId);
   }
+  return [...groups.entries()].map(([d, list]) => [d, list.length === 1 ? list[0] : list]);
+}
+
+// One driver → its own result; several → { ok, results: { [driver]: result } }
+async function fanOut(targets, call) {
+  if (targets.length === 1) return call(...targets[0]);
+  const results = {};
+  for (const [d, target] of targets) results[d.name] = await call(d, target);
+  return { ok: true, results };
 }
 
 // --- API methods ---
+/** Merged state of every driver: { state: { sites } } (driver failures are listed in `errors`). */
 export async function getState() {
-  return json(fetch(`${BASE}/state`));
+  const drivers = allDrivers();
+  if (drivers.length === 1) return { state: qualifyState(drivers[0], await drivers[0].getState()) };
+
+  const sites = {};
+  const errors = {};
+  for (const d of drivers) {
+    try {
+      Object.assign(sites, qualifyState(d, await d.getState()).sites);
+    } catch (e) {
+      errors[d.name] = e.message;
+    }
+  }
+  if (Object.keys(errors).length === drivers.length) throw new Error(`[tower-client] no driver answered: ${JSON.stringify(errors)}`);
+  return { state: { sites }, ...(Object.keys(errors).length ? { errors } : {}) };
 }
 
-export async function power({ sites = 'all', state }) {
-  return json(fetch(`${BASE}/power`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ sites, state }),
-  }));
+/** Power sites on/off; `actor` / `reason` / `approvedBy` go into the audit record. */
+export async function power({ sites = 'all', state }, { actor, reason, approvedBy } = {}) {
+  const dry = shadowed('power', { sites, state });
+  if (dry) return dry;
+  return runCommand({
+    op: 'power',
+    args: { sites, state },
+    actor,
+    reason,
+    approvedBy,
+    readState: getState,
+    send: () => fanOut(bySiteDriver(sites), (d, target) => requireCapability(d, 'power').power({ sites: target, state })),
+  });
 }
 
-export async function rru({ site, antenna, state }) {
-  return json(fetch(`${BASE}/rru`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ site, antenna, state }),
-  }));
+/** Switch one RRU on/off; `actor` / `reason` / `approvedBy` go into the audit record. */
+export async function rru({ site, antenna, state }, { actor, reason, approvedBy } = {}) {
+  const dry = shadowed('rru', { site, antenna, state });
+  if (dry) return dry;
+  return runCommand({
+    op: 'rru',
+    args: { site, antenna, state },
+    actor,
+    reason,
+    approvedBy,
+    readState: getState,
+    send: () => {
+      const { driver, siteId } = resolveSite(site);
+      return requireCapability(driver, 'rru').rru({ site: siteId, antenna, state });
+    },
+  });
 }
 
 export async function scenario({ site, mode, crqId }) {
-  return json(fetch(`${BASE}/scenario`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ site, mode, crqId }),
-  }));
+  const dry = shadowed('scenario', { site, mode, crqId });
+  if (dry) return dry;
+  const { driver, siteId } = site ? resolveSite(site) : { driver: defaultDriver(), siteId: site };
+  return driver.action('scenario', { site: siteId, mode, crqId });
 }
 
-// Optional general command passthrough
+// Optional general command passthrough (default driver)
 export async function action(command) {
-  return json(fetch(`${BASE}/action`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ command }),
-  }));
+  const dry = shadowed('action', { command });
+  if (dry) return dry;
+  return defaultDriver().action('command', { command });
 }
 
 // --- Snapshot helper used by Supervisor / RCA ---
 export async function getTowerSnapshot() {
   try {
-    const state = await getState();
-    return { ok: true, state, source: BASE };
+    const { state } = await getState();
+    return { ok: true, state, source: getTowerBase() };
   } catch (err) {
     console.error('[tower-client] getTowerSnapshot failed:', err.message);
-    return { ok: false, error: err.message, source: BASE };
+    return { ok: false, error: err.message, source: getTowerBase() };
   }
 }
 
-// Expose base URL for diagnostics
+// Expose the default backend for diagnostics
 export function getTowerBase() {
-  return BASE;
+  return defaultDriver().describe?.().base ?? defaultDriver().name;
 }
 
-console.log(`[tower-client] Connected to tower-sim base: ${BASE}`);
+export { listDrivers };
+
+console.log(`[tower-client] Drivers: ${listDrivers().map(d => `${d.name} (${d.type}${d.base ? ` ${d.base}` : ''})`).join(', ')}`);
@@ -0,0 +1,176 @@
+// server/tower/drivers/conformance.js
+// Conformance suite every southbound driver must pass, run against its live backend:
+//   npm run test:drivers -- [driverName] [--site S1] [--read-only]
+// Without a name every configured driver is checked. --read-only skips the power/RRU round trips
+// (they switch A2 and mains on the chosen site and restore them afterwards).
+
+import { pathToFileURL } from 'url';
+import { allDrivers, getDriver } from './index.js';
+
+const STEP_TIMEOUT_MS = 20_000;
+const POLL_MS = 500;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+async function rejects(promiseFn, msg) {
+  let threw = false;
+  try { await promiseFn(); } catch { threw = true; }
+  assert(threw, msg);
+}
+
+// Poll getState until pred(site) holds or the step times out
+async function waitForSite(driver, siteId, pred, what) {
+  const until = Date.now() + STEP_TIMEOUT_MS;
+  let site = null;
+  while (Date.now() < until) {
+    site = (await driver.getState()).sites?.[siteId];
+    if (site && pred(site)) return site;
+    await sleep(POLL_MS);
+  }
+  throw new Error(`${siteId}: timed out waiting for ${what} (last: ${JSON.stringify(site)})`);
+}
+
+function checkSite(id, s) {
+  assert(s && typeof s === 'object', `${id}: site must be an object`);
+  assert(['on', 'off'].includes(s.mains), `${id}: mains must be "on" | "off"`);
+  assert(typeof s.siteAlive === 'boolean', `${id}: siteAlive must be boolean`);
+  assert(s.batteryPercent === undefined || Number.isFinite(Number(s.batteryPercent)), `${id}: batteryPercent must be numeric`);
+  for (const a of ['antenna1', 'antenna2']) assert(typeof s[a]?.service === 'string', `${id}: ${a}.service must be a string`);
+  assert(Array.isArray(s.alarms), `${id}: alarms must be an array`);
+}
+
+/**
+ * Run the suite against one driver.
+ * @returns {Promise<{ driver: string, ok: boolean, results: { name: string, ok: boolean, skipped?: boolean, error?: string }[] }>}
+ */
+export async function runConformance(driver, { siteId = null, readOnly = false, log = console.log } = {}) {
+  const results = [];
+  const ctx = { siteId };
+
+  const test = async (name, fn, { skip = false } = {}) => {
+    if (skip) {
+      results.push({ name, ok: true, skipped: true });
+      log(`  - ${name} (skipped)`);
+      return;
+    }
+    try {
+      await fn();
+      results.push({ name, ok: true });
+      log(`  ✓ ${name}`);
+    } catch (e) {
+      results.push({ name, ok: false, error: e.message });
+      log(`  ✗ ${name}: ${e.message}`);
+    }
+  };
+
+  await test('shape', async () => {
+    assert(typeof driver.name === 'string' && driver.name, 'name must be a non-empty string');
+    assert(typeof driver.type === 'string' && driver.type, 'type must be a non-empty string');
+    for (const fn of ['capabilities', 'getState', 'subscribe', 'power', 'rru', 'action']) {
+      assert(typeof driver[fn] === 'function', `${fn}() is missing`);
+    }
+  });
+
+  let caps = {};
+  await test('capabilities', async () => {
+    caps = driver.capabilities();
+    for (const k of ['power', 'rru', 'subscribe']) assert(typeof caps?.[k] === 'boolean', `capabilities().${k} must be boolean`);
+    assert(Array.isArray(caps.actions), 'capabilities().actions must be an array');
+  });
+
+  await test('getState', async () => {
+    const state = await driver.getState();
+    assert(state?.sites && typeof state.sites === 'object', 'getState() must resolve { sites: {...} }');
+    const ids = Object.keys(state.sites);
+    assert(ids.length > 0, 'getState() returned no sites');
+    for (const id of ids) checkSite(id, state.sites[id]);
+    if (!ctx.siteId) ctx.siteId = ids[0];
+    assert(state.sites[ctx.siteId], `site ${ctx.siteId} not in state`);
+  });
+
+  await test('rejects invalid arguments', async () => {
+    await rejects(() => driver.rru({ site: ctx.siteId, antenna: 'a9', state: 'on' }), 'rru() accepted antenna "a9"');
+    await rejects(() => driver.rru({ site: ctx.siteId, antenna: 'a1', state: 'maybe' }), 'rru() accepted state "maybe"');
+    await rejects(() => driver.power({ sites: ctx.siteId, state: 'dim' }), 'power() accepted state "dim"');
+    await rejects(() => driver.action('definitely-not-an-action', {}), 'action() accepted an unknown op');
+  });
+
+  await test('subscribe', async () => {
+    let got = null;
+    const unsubscribe = driver.subscribe((msg) => { if (msg?.type === 'state.update') got = msg; });
+    assert(typeof unsubscribe === 'function', 'subscribe() must return an unsubscribe function');
+    try {
+      const until = Date.now() + STEP_TIMEOUT_MS;
+      while (!got && Date.now() < until) await sleep(POLL_MS);
+      assert(got, 'no state.update envelope received');
+      const state = got.state ?? got.payload?.state;
+      assert(state?.sites && typeof state.sites === 'object', 'state.update must carry state.sites');
+    } finally {
+      unsubscribe();
+    }
+  }, { skip: !caps.subscribe });
+
+  await test('rru round trip (a2 off → on)', async () => {
+    const id = ctx.siteId;
+    await driver.rru({ site: id, antenna: 'a2', state: 'off' });
+    await waitForSite(driver, id, s => s.antenna2.service !== 'Available', 'A2 off');
+    await driver.rru({ site: id, antenna: 'a2', state: 'on' });
+    // A radio may legitimately fail to come back; a reset (off → on) is the documented remedy
+    try {
+      await waitForSite(driver, id, s => s.antenna2.service === 'Available', 'A2 Available');
+    } catch {
+      await driver.rru({ site: id, antenna: 'a2', state: 'off' });
+      await driver.rru({ site: id, antenna: 'a2', state: 'on' });
+      await waitForSite(driver, id, s => s.antenna2.service === 'Available', 'A2 Available after reset');
+    }
+  }, { skip: readOnly || !caps.rru || !ctx.siteId });
+
+  await test('power round trip (mains off → on)', async () => {
+    const id = ctx.siteId;
+    await driver.power({ sites: id, state: 'off' });
+    await waitForSite(driver, id, s => s.mains === 'off', 'mains off');
+    await driver.power({ sites: id, state: 'on' });
+    await waitForSite(driver, id, s => s.mains === 'on', 'mains on');
+  }, { skip: readOnly || !caps.power || !ctx.siteId });
+
+  return { driver: driver.name, ok: results.every(r => r.ok), results };
+}
+
+// ---------- CLI ----------
+async function main(argv) {
+  let name = null;
+  let siteId = null;
+  let readOnly = false;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--site') siteId = argv[++i];
+    else if (argv[i] === '--read-only') readOnly = true;
+    else name = argv[i];
+  }
+
+  const drivers = name ? [getDriver(name)].filter(Boolean) : allDrivers();
+  if (!drivers.length) {
+    console.error(`[conformance] unknown driver: ${name}`);
+    return 2;
+  }
+
+  let failed = 0;
+  for (const d of drivers) {
+    console.log(`[conformance] ${d.name} (${d.type})`);
+    const { ok, results } = await runConformance(d, { siteId, readOnly });
+    const passed = results.filter(r => r.ok && !r.skipped).length;
+    console.log(`[conformance] ${d.name}: ${ok ? 'PASS' : 'FAIL'} (${passed} passed, ${results.filter(r => !r.ok).length} failed, ${results.filter(r => r.skipped).length} skipped)`);
+    if (!ok) failed += 1;
+  }
+  return failed ? 1 : 0;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  main(process.argv.slice(2)).then(code => process.exit(code), (e) => {
+    console.error(`[conformance] ${e.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,164 @@
+// server/tower/drivers/index.js
+// Southbound driver registry. Agents, tools and the supervisor talk to tower/client.js, which
+// routes each call to the driver owning the site; adding a vendor element manager means adding
+// a driver type here and pointing regions at it in config/drivers.json (or DRIVERS_CONFIG):
+//   { default: 'tower-sim', drivers: { [name]: { type, ...options } }, regions: { [region]: name } }
+// A site's region comes from config/sites.json (sites[siteId].region); unmapped sites use `default`.
+//
+// Site namespaces: with several backends, each driver's site IDs are prefixed with its namespace
+// ("north:S1") so that two element managers can both have an "S1". `namespace` in the driver spec
+// sets the prefix; it defaults to the driver name when more than one driver is configured, and to
+// none for a single driver (set `"namespace": null` to opt out for backends with globally unique IDs).
+// A namespaced ID routes to its driver; plain IDs route by region as above. Drivers only ever see
+// their own (local) IDs — tower/client.js and tower/bridge.js translate in both directions.
+//
+// IDs from outside the bus — SNMP/syslog senders, maintenance windows, config/topology.json links,
+// config/sites.json site keys and groups — may be written either way: "north:S1", or plain "S1",
+// which means the site in the namespace of the driver its region (sites.json) routes to.
+// qualifyExternalId() turns both into the bus form before they are compared with bus site IDs.
+//
+// Driver contract (checked by ./conformance.js):
+//   name, type
+//   capabilities() → { power, rru, subscribe: boolean, actions: string[] }
+//   describe()     → plain object for diagnostics (endpoints, …)
+//   getState()     → Promise<{ sites: { [siteId]: { mains, siteAlive, batteryPercent, antenna1, antenna2, alarms } } }>
+//   subscribe(onMessage, { onOpen, onClose }) → unsubscribe(); onMessage gets envelopes ({ type: 'state.update', state }, …)
+//   power({ sites, state }), rru({ site, antenna, state }), action(op, args) → Promise; invalid arguments reject
+//     before anything is sent to the backend
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { siteRegion } from '../../config/sites.js';
+import { createTowerSimDriver } from './towerSim.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILE = process.env.DRIVERS_CONFIG || path.join(__dirname, '..', '..', 'config', 'drivers.json');
+
+const DRIVER_TYPES = new Map([
+  ['towerSim', createTowerSimDriver],
+]);
+
+const FALLBACK_CONFIG = { default: 'tower-sim', drivers: { 'tower-sim': { type: 'towerSim' } }, regions: {} };
+const SITE_SEP = ':';
+
+let config = FALLBACK_CONFIG;
+let drivers = new Map();       // name -> driver instance
+let namespaces = new Map();    // driver name -> namespace (null = plain site IDs)
+let byNamespace = new Map();   // namespace -> driver
+
+function build(raw) {
+  const list = raw?.drivers && typeof raw.drivers === 'object' ? raw.drivers : {};
+  const next = new Map();
+  const ns = new Map();
+  const nsIndex = new Map();
+  const multi = Object.keys(list).length > 1;
+  for (const [name, spec] of Object.entries(list)) {
+    const factory = DRIVER_TYPES.get(spec?.type);
+    if (!factory) throw new Error(`driver "${name}": unknown type "${spec?.type}" (known: ${[...DRIVER_TYPES.keys()].join(', ')})`);
+    const { type: _type, namespace, ...options } = spec;
+    const prefix = namespace === undefined ? (multi ? name : null) : (namespace ? String(namespace) : null);
+    if (prefix && prefix.includes(SITE_SEP)) throw new Error(`driver "${name}": namespace "${prefix}" must not contain "${SITE_SEP}"`);
+    if (prefix && nsIndex.has(prefix)) throw new Error(`driver "${name}": namespace "${prefix}" already used by "${nsIndex.get(prefix)}"`);
+    next.set(name, factory(name, options));
+    ns.set(name, prefix);
+    if (prefix) nsIndex.set(prefix, name);
+  }
+  const def = raw?.default ?? [...next.keys()][0];
+  if (!next.has(def)) throw new Error(`default driver "${def}" is not configured`);
+  const regions = raw?.regions && typeof raw.regions === 'object' ? raw.regions : {};
+  for (const [region, name] of Object.entries(regions)) {
+    if (!next.has(name)) throw new Error(`region "${region}" points at unknown driver "${name}"`);
+  }
+  const index = new Map([...nsIndex.entries()].map(([prefix, name]) => [prefix, next.get(name)]));
+  return { drivers: next, namespaces: ns, byNamespace: index, config: { default: def, drivers: list, regions } };
+}
+
+export function reloadDrivers() {
+  let raw = FALLBACK_CONFIG;
+  try {
+    raw = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (e) {
+    if (e?.code !== 'ENOENT') console.warn(`[tower-drivers] could not read ${CONFIG_FILE}: ${e.message}`);
+  }
+  try {
+    ({ drivers, namespaces, byNamespace, config } = build(raw));
+  } catch (e) {
+    console.warn(`[tower-drivers] ${e.message}; using the default tower-sim driver`);
+    ({ drivers, namespaces, byNamespace, config } = build(FALLBACK_CONFIG));
+  }
+  return listDrivers();
+}
+
+reloadDrivers();
+
+/** Add a driver type (factory(name, options) → driver) before configs reference it. */
+export function registerDriverType(type, factory) {
+  if (typeof factory !== 'function') throw new Error('factory must be a function');
+  DRIVER_TYPES.set(String(type), factory);
+}
+
+export function getDriver(name) {
+  return drivers.get(name) || null;
+}
+
+export function defaultDriver() {
+  return drivers.get(config.default);
+}
+
+export function allDrivers() {
+  return [...drivers.values()];
+}
+
+export function driverForRegion(region) {
+  return drivers.get(config.regions[region]) || defaultDriver();
+}
+
+/** Owning driver and the driver-local site ID: "north:S1" → north driver + "S1"; plain IDs route by region. */
+export function resolveSite(siteId) {
+  const id = String(siteId);
+  const i = id.indexOf(SITE_SEP);
+  if (i > 0 && byNamespace.has(id.slice(0, i))) return { driver: byNamespace.get(id.slice(0, i)), siteId: id.slice(i + 1) };
+  return { driver: driverForRegion(siteRegion(id)), siteId: id };
+}
+
+export function driverForSite(siteId) {
+  return resolveSite(siteId).driver;
+}
+
+export function namespaceOf(driver) {
+  return namespaces.get(driver?.name ?? driver) ?? null;
+}
+
+/** Driver-local site ID → the ID agents see. */
+export function qualifySiteId(driver, siteId) {
+  const prefix = namespaceOf(driver);
+  return prefix ? `${prefix}${SITE_SEP}${siteId}` : String(siteId);
+}
+
+/** Site ID from a config file, trap or API caller → the ID on the bus ("S1" → "north:S1" when namespaced). */
+export function qualifyExternalId(siteId) {
+  const { driver, siteId: local } = resolveSite(String(siteId).trim());
+  return qualifySiteId(driver, local);
+}
+
+/** Re-key a driver's state ({ sites, … }) to the IDs agents see. */
+export function qualifyState(driver, state) {
+  const sites = {};
+  for (const [id, site] of Object.entries(state?.sites || {})) sites[qualifySiteId(driver, id)] = site;
+  return { ...state, sites };
+}
+
+export function listDrivers() {
+  return allDrivers().map(d => ({
+    name: d.name,
+    type: d.type,
+    default: d.name === config.default,
+    namespace: namespaceOf(d),
+    regions: Object.entries(config.regions).filter(([, n]) => n === d.name).map(([r]) => r),
+    capabilities: d.capabilities(),
+    ...d.describe?.(),
+  }));
+}
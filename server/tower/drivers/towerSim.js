@@ -0,0 +1,132 @@
+// server/tower/drivers/towerSim.js
+// Driver for the tower-sim HTTP/WS API (/state, /power, /rru, /scenario, /action; WS envelopes).
+// Options: { base = TOWER_HTTP_BASE, ws = TOWER_WS, stateUrl = `${base}/state` (TOWER_HTTP_STATE when no base is given) }
+
+import WebSocket from 'ws';
+
+const RETRY_MS = 1000;
+const STATE_TIMEOUT_MS = 3000;
+const MAX_RETRIES = 2;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+
+const ANTENNAS = ['a1', 'a2'];
+const STATES = ['on', 'off'];
+
+// --- Internal helper for safe JSON fetch with retries ---
+// `request` is a factory (() => fetch(...)) so each retry re-issues the call; a 4xx answer is final.
+async function json(request, attempt = 0) {
+  try {
+    const res = await request();
+    const ct = res.headers.get('content-type') || '';
+    const body = ct.includes('application/json') ? await res.json() : await res.text();
+
+    if (!res.ok) {
+      const msg = typeof body === 'string' ? body : body?.error || 'Request failed';
+      const err = new Error(`[tower-client] ${msg}`);
+      err.status = res.status;
+      throw err;
+    }
+    return body;
+  } catch (err) {
+    if (attempt < MAX_RETRIES && !(err.status >= 400 && err.status < 500)) {
+      console.warn(`[tower-client] Retry ${attempt + 1}/${MAX_RETRIES} after error: ${err.message}`);
+      await new Promise(r => setTimeout(r, RETRY_MS));
+      return json(request, attempt + 1);
+    }
+    console.error('[tower-client] Request failed permanently:', err.message);
+    throw err;
+  }
+}
+
+const post = (url, body) => () => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+function safeJsonParse(buf) {
+  try { return JSON.parse(typeof buf === 'string' ? buf : buf.toString()); } catch { return null; }
+}
+
+export function createTowerSimDriver(name, options = {}) {
+  const base = options.base || process.env.TOWER_HTTP_BASE || 'http://127.0.0.1:7071';
+  const wsUrl = options.ws || process.env.TOWER_WS || 'ws://localhost:7070';
+  const stateUrl = options.stateUrl || (options.base ? null : process.env.TOWER_HTTP_STATE) || `${base}/state`;
+
+  return {
+    name,
+    type: 'towerSim',
+
+    capabilities() {
+      return { power: true, rru: true, subscribe: true, actions: ['scenario', 'command'] };
+    },
+
+    describe() {
+      return { base, ws: wsUrl, stateUrl };
+    },
+
+    // Some sims answer { state: { sites } }, others { sites }
+    async getState() {
+      const js = await json(() => fetch(stateUrl, { signal: AbortSignal.timeout(STATE_TIMEOUT_MS) }));
+      const state = js?.state && typeof js.state === 'object' ? js.state : js;
+      // keep the body's version/ts so the bridge can order HTTP snapshots against WS ones
+      return { version: js?.version, ts: js?.ts, ...state, sites: state?.sites || {} };
+    },
+
+    subscribe(onMessage, { onOpen, onClose } = {}) {
+      let socket = null;
+      let stopped = false;
+      let attempts = 0;
+      let timer = null;
+
+      const connect = () => {
+        socket = new WebSocket(wsUrl);
+        socket.on('open', () => {
+          attempts = 0;
+          onOpen?.();
+        });
+        socket.on('message', (buf) => {
+          const msg = safeJsonParse(buf);
+          if (msg) onMessage(msg);
+        });
+        socket.on('close', () => {
+          onClose?.();
+          if (stopped) return;
+          attempts += 1;
+          timer = setTimeout(connect, Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (attempts - 1)));
+          timer.unref?.();
+        });
+        socket.on('error', () => {
+          try { socket.close(); } catch {}
+        });
+      };
+      connect();
+
+      return () => {
+        stopped = true;
+        clearTimeout(timer);
+        try { socket?.terminate(); } catch {}
+      };
+    },
+
+    async power({ sites = 'all', state } = {}) {
+      if (!STATES.includes(state)) throw new Error('state must be "on" or "off"');
+      return json(post(`${base}/power`, { sites, state }));
+    },
+
+    async rru({ site, antenna, state } = {}) {
+      if (!site) throw new Error('site is required');
+      if (!ANTENNAS.includes(antenna)) throw new Error('antenna must be "a1" or "a2"');
+      if (!STATES.includes(state)) throw new Error('state must be "on" or "off"');
+      return json(post(`${base}/rru`, { site, antenna, state }));
+    },
+
+    // 'scenario' → POST /scenario { site, mode, crqId, … }; 'command' → POST /action { command }
+    async action(op, args = {}) {
+      if (op === 'scenario') return json(post(`${base}/scenario`, args));
+      if (op === 'command') return json(post(`${base}/action`, { command: args.command }));
+      throw new Error(`action "${op}" not supported by ${name}`);
+    },
+  };
+}
@@ -0,0 +1,226 @@
+// server/tower/gateway.js
+// Command gateway for tower actuation (power / RRU). Every command from tower/client.js passes through
+// runCommand(), which:
+//   1. checks interlocks — system disabled, site in a maintenance window, per-site rate limit and
+//      forbidden combos (powering off all / too many sites, switching off the last radio still
+//      carrying traffic — a radio that is already out of service may always be reset);
+//   2. sends the command (absolute on/off, so re-sending is idempotent) and reads state back until the
+//      effect shows, re-sending once more if it does not;
+//   3. appends an immutable audit record (who / what / why / outcome) to the 'tower.audit' namespace;
+//      `actor` is the caller, `approvedBy` the operator who approved it (HITL plans), else null.
+// Blocked commands throw an Error carrying `interlock` and `auditId`.
+
+import crypto from 'crypto';
+import { load, append } from '../persistence/store.js';
+import { getSystemState } from '../system/state.js';
+import { activeWindowFor } from '../maintenance/store.js';
+
+const AUDIT_NS = 'tower.audit';
+const MAX_AUDIT = Number(process.env.TOWER_AUDIT_MAX || 10000);
+// commands per site per window; Agent B keeps each run under it (AGENT_B_CMD_BUDGET)
+const RATE_LIMIT = Number(process.env.TOWER_CMD_RATE_LIMIT || 20);
+const RATE_WINDOW_MS = Number(process.env.TOWER_CMD_RATE_WINDOW_SEC || 60) * 1000;
+const MAX_POWER_OFF_SITES = Number(process.env.TOWER_CMD_MAX_POWER_OFF || 3);   // sites per power-off command
+const CONFIRM_TIMEOUT_MS = Number(process.env.TOWER_CMD_CONFIRM_MS || 4000);
+const CONFIRM_POLL_MS = 250;
+const MAX_SENDS = Number(process.env.TOWER_CMD_MAX_SENDS || 2);                  // sends when read-back disagrees
+
+const OUTCOMES = ['executed', 'blocked', 'failed'];
+
+const audit = load(AUDIT_NS, { maxItems: MAX_AUDIT }).items.map(a => Object.freeze(a));
+const recentBySite = new Map();   // siteId -> [ts of commands sent] (read-back re-sends not counted)
+
+const nowIso = () => new Date().toISOString();
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const antennaKey = (antenna) => `antenna${String(antenna).replace(/\D/g, '')}`;
+
+// ---------- interlocks ----------
+// A radio carries traffic when it is on and (where the backend reports it) in service
+const serving = (a) => a?.rru === 'on' && (a.service === undefined || a.service === 'Available');
+
+function rateUsed(siteId, now) {
+  const list = (recentBySite.get(siteId) || []).filter(t => now - t < RATE_WINDOW_MS);
+  recentBySite.set(siteId, list);
+  return list.length;
+}
+
+function noteSent(siteIds, now) {
+  for (const id of siteIds) {
+    rateUsed(id, now);
+    recentBySite.get(id).push(now);
+  }
+}
+
+// First interlock that refuses the command → { interlock, detail }, else null
+// `before` is the pre-command site map (null when the backend could not be read)
+function checkInterlocks({ op, args, sites, before }, now) {
+  if (getSystemState().enabled === false) {
+    return { interlock: 'system-disabled', detail: 'system is disabled' };
+  }
+
+  for (const id of sites) {
+    const w = activeWindowFor(id, now);
+    if (w) return { interlock: 'maintenance', detail: `${id} is in maintenance window ${w.id}` };
+  }
+
+  for (const id of sites) {
+    if (rateUsed(id, now) >= RATE_LIMIT) {
+      return { interlock: 'rate-limit', detail: `${id} already had ${RATE_LIMIT} commands in ${RATE_WINDOW_MS / 1000}s` };
+    }
+  }
+
+  if (op === 'power' && args.state === 'off') {
+    if (args.sites === 'all') return { interlock: 'power-off-all', detail: 'powering off all sites is not allowed' };
+    const known = Object.keys(before || {});
+    if (known.length && known.every(id => sites.includes(id))) {
+      return { interlock: 'power-off-all', detail: 'command covers every known site' };
+    }
+    if (sites.length > MAX_POWER_OFF_SITES) {
+      return { interlock: 'bulk-power-off', detail: `${sites.length} sites in one power-off (max ${MAX_POWER_OFF_SITES})` };
+    }
+  }
+
+  if (op === 'rru' && args.state === 'off') {
+    const site = before?.[String(args.site)];
+    const target = antennaKey(args.antenna);
+    const others = Object.keys(site || {}).filter(k => /^antenna\d+$/.test(k) && k !== target);
+    if (serving(site?.[target]) && others.length && !others.some(k => serving(site[k]))) {
+      return { interlock: 'last-radio-off', detail: `${args.antenna} is the last radio in service at ${args.site}` };
+    }
+  }
+
+  return null;
+}
+
+// ---------- read-back ----------
+// true when every target shows the commanded state, false when one does not, null when the state
+// has no field to check (e.g. a backend that reports service only)
+function effectShown({ op, args, sites }, siteMap) {
+  const field = op === 'power' ? (s) => s?.mains : (s) => s?.[antennaKey(args.antenna)]?.rru;
+  const seen = sites.map(id => field(siteMap?.[id]));
+  if (!seen.length || seen.some(v => v === undefined)) return null;
+  return seen.every(v => v === args.state);
+}
+
+async function readSites(readState) {
+  try {
+    return (await readState())?.state?.sites || null;
+  } catch {
+    return null;
+  }
+}
+
+async function confirm(cmd, readState) {
+  const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+  let shown = null;
+  do {
+    shown = effectShown(cmd, await readSites(readState));
+    if (shown !== false) return shown;
+    await sleep(CONFIRM_POLL_MS);
+  } while (Date.now() < deadline);
+  return shown;
+}
+
+// ---------- audit ----------
+function record(entry) {
+  const item = Object.freeze({ id: crypto.randomUUID(), ts: nowIso(), ...entry });
+  audit.push(item);
+  if (audit.length > MAX_AUDIT) audit.shift();
+  append(AUDIT_NS, item);
+  return item;
+}
+
+// ---------- public API ----------
+/**
+ * Run one actuation through interlocks, send + read-back, and audit.
+ * @param {{ op: 'power'|'rru', args: object, actor?: string, reason?: string, approvedBy?: string,
+ *           send: () => Promise<any>, readState: () => Promise<{ state: { sites } }> }} cmd
+ * @returns {Promise<any>} the backend result with `audit: { id, confirmed, attempts }`
+ */
+export async function runCommand({ op, args, actor, reason, approvedBy, send, readState }) {
+  const started = Date.now();
+  const base = {
+    actor: actor || 'unknown',
+    approvedBy: approvedBy || null,
+    reason: reason || null,
+    op,
+    args: Object.freeze({ ...args }),
+  };
+
+  const before = await readSites(readState);
+  let sites;
+  if (op === 'power') sites = args.sites === 'all' ? Object.keys(before || {}) : [].concat(args.sites).map(String);
+  else sites = [String(args.site)];
+
+  const blocked = checkInterlocks({ op, args, sites, before }, started);
+  if (blocked) {
+    const item = record({ ...base, sites, outcome: 'blocked', ...blocked, attempts: 0, confirmed: null, durationMs: Date.now() - started });
+    console.warn(`[tower-gateway] BLOCKED ${op} ${JSON.stringify(args)} by ${base.actor}: ${blocked.interlock} (${blocked.detail})`);
+    const err = new Error(`[tower-gateway] ${op} blocked: ${blocked.detail}`);
+    err.interlock = blocked.interlock;
+    err.auditId = item.id;
+    throw err;
+  }
+
+  let result;
+  let confirmed = null;
+  let attempts = 0;
+  try {
+    do {
+      attempts += 1;
+      if (attempts === 1) noteSent(sites, Date.now());
+      result = await send();
+      confirmed = await confirm({ op, args, sites }, readState);
+    } while (confirmed === false && attempts < MAX_SENDS);
+  } catch (e) {
+    const item = record({ ...base, sites, outcome: 'failed', error: String(e?.message || e), attempts, confirmed, durationMs: Date.now() - started });
+    e.auditId = item.id;
+    throw e;
+  }
+
+  const item = record({ ...base, sites, outcome: 'executed', attempts, confirmed, durationMs: Date.now() - started });
+  if (confirmed === false) console.warn(`[tower-gateway] ${op} ${JSON.stringify(args)} sent ${attempts}x but state does not show it`);
+  const body = result && typeof result === 'object' && !Array.isArray(result) ? result : { result };
+  return { ...body, audit: { id: item.id, confirmed, attempts } };
+}
+
+/** Audit records, newest first: filter by siteId, op, outcome, actor (matches actor or approvedBy); `limit` (default 100). */
+export function listAudit({ siteId, op, outcome, actor, limit = 100 } = {}) {
+  if (outcome && !OUTCOMES.includes(outcome)) throw new Error(`outcome must be one of ${OUTCOMES.join(', ')}`);
+  const n = Math.max(1, Math.min(1000, Number(limit) || 100));
+  const out = [];
+  for (let i = audit.length - 1; i >= 0 && out.length < n; i--) {
+    const a = audit[i];
+    if (siteId && !a.sites.includes(String(siteId))) continue;
+    if (op && a.op !== op) continue;
+    if (outcome && a.outcome !== outcome) continue;
+    if (actor && a.actor !== actor && a.approvedBy !== actor) continue;
+    out.push(a);
+  }
+  return out;
+}
+
+export function getAuditRecord(id) {
+  return audit.find(a => a.id === id) || null;
+}
+
+/** Interlock settings and per-site command counts in the current rate window. */
+export function gatewayStatus() {
+  const now = Date.now();
+  const rate = {};
+  for (const id of recentBySite.keys()) {
+    const used = rateUsed(id, now);
+    if (used) rate[id] = used;
+  }
+  return {
+    limits: {
+      ratePerSite: RATE_LIMIT,
+      rateWindowSec: RATE_WINDOW_MS / 1000,
+      maxPowerOffSites: MAX_POWER_OFF_SITES,
+      confirmTimeoutMs: CONFIRM_TIMEOUT_MS,
+      maxSends: MAX_SENDS,
+    },
+    rate,
+    audited: audit.length,
+  };
+}
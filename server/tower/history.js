@@ -0,0 +1,216 @@
+// server/tower/history.js
+// Bounded per-site time series built from the snapshots the bridge ingests (in memory).
+// - Raw points { t, mains, siteAlive, batteryPercent, antenna1, antenna2, alarms } for the last
+//   TOWER_HISTORY_RAW_MIN minutes; unchanged snapshots are sampled at most every MIN_SAMPLE_MS.
+// - Older points are folded into TOWER_HISTORY_BUCKET_MIN buckets (battery avg/min/max, last value
+//   of the discrete metrics, union of alarms) and dropped after TOWER_HISTORY_RETENTION_H hours.
+
+const RAW_WINDOW_MS = (Number(process.env.TOWER_HISTORY_RAW_MIN) || 60) * 60_000;
+const BUCKET_MS = (Number(process.env.TOWER_HISTORY_BUCKET_MIN) || 5) * 60_000;
+const RETENTION_MS = (Number(process.env.TOWER_HISTORY_RETENTION_H) || 24) * 3_600_000;
+const MIN_SAMPLE_MS = 10_000;
+const MAX_RAW_POINTS = 2000;   // per site, whatever the raw window
+
+// Query names → point fields
+const METRICS = Object.freeze({
+  mains: 'mains',
+  siteAlive: 'siteAlive',
+  batteryPercent: 'batteryPercent',
+  battery: 'batteryPercent',
+  antenna1: 'antenna1',
+  a1: 'antenna1',
+  antenna2: 'antenna2',
+  a2: 'antenna2',
+  alarms: 'alarms',
+});
+const DISCRETE = ['mains', 'siteAlive', 'antenna1', 'antenna2'];
+
+const series = new Map();      // siteId -> { raw: [], buckets: [] }
+
+function pointOf(site, t) {
+  const batt = Number(site?.batteryPercent);
+  return {
+    t,
+    mains: site?.mains ?? null,
+    siteAlive: typeof site?.siteAlive === 'boolean' ? site.siteAlive : null,
+    batteryPercent: Number.isFinite(batt) ? batt : null,
+    antenna1: site?.antenna1?.service ?? null,
+    antenna2: site?.antenna2?.service ?? null,
+    alarms: Array.isArray(site?.alarms) ? [...site.alarms].sort() : [],
+  };
+}
+
+const sameValues = (a, b) =>
+  a.mains === b.mains && a.siteAlive === b.siteAlive && a.batteryPercent === b.batteryPercent
+  && a.antenna1 === b.antenna1 && a.antenna2 === b.antenna2 && a.alarms.join('|') === b.alarms.join('|');
+
+// ---------- recording ----------
+/** Record one ingested tower snapshot ({ sites: { id: {...} } }). */
+export function recordSnapshot(state, now = Date.now()) {
+  const sites = state?.sites;
+  if (!sites || typeof sites !== 'object') return;
+  for (const [siteId, site] of Object.entries(sites)) {
+    if (!series.has(siteId)) series.set(siteId, { raw: [], buckets: [] });
+    const s = series.get(siteId);
+    const p = pointOf(site, now);
+    const last = s.raw[s.raw.length - 1];
+    if (last && sameValues(last, p) && now - last.t < MIN_SAMPLE_MS) continue;
+    s.raw.push(p);
+    compact(s, now);
+  }
+}
+
+function fold(bucket, p) {
+  bucket.samples += 1;
+  if (p.batteryPercent !== null) {
+    bucket.batterySum += p.batteryPercent;
+    bucket.batteryN += 1;
+    bucket.batteryMin = bucket.batteryMin === null ? p.batteryPercent : Math.min(bucket.batteryMin, p.batteryPercent);
+    bucket.batteryMax = bucket.batteryMax === null ? p.batteryPercent : Math.max(bucket.batteryMax, p.batteryPercent);
+  }
+  for (const k of DISCRETE) bucket[k] = p[k];
+  for (const a of p.alarms) bucket.alarms.add(a);
+}
+
+// Raw → buckets past the raw window; buckets past retention are dropped
+function compact(s, now) {
+  const rawCutoff = now - RAW_WINDOW_MS;
+  while (s.raw.length && (s.raw[0].t < rawCutoff || s.raw.length > MAX_RAW_POINTS)) {
+    const p = s.raw.shift();
+    const start = Math.floor(p.t / BUCKET_MS) * BUCKET_MS;
+    let b = s.buckets[s.buckets.length - 1];
+    if (!b || b.t !== start) {
+      b = { t: start, samples: 0, batterySum: 0, batteryN: 0, batteryMin: null, batteryMax: null, alarms: new Set() };
+      s.buckets.push(b);
+    }
+    fold(b, p);
+  }
+  const keepFrom = now - RETENTION_MS;
+  while (s.buckets.length && s.buckets[0].t + BUCKET_MS < keepFrom) s.buckets.shift();
+}
+
+// ---------- queries ----------
+function bucketView(b) {
+  return {
+    t: b.t,
+    resolution: 'bucket',
+    samples: b.samples,
+    mains: b.mains,
+    siteAlive: b.siteAlive,
+    batteryPercent: b.batteryN ? Math.round((b.batterySum / b.batteryN) * 10) / 10 : null,
+    batteryMin: b.batteryMin,
+    batteryMax: b.batteryMax,
+    antenna1: b.antenna1,
+    antenna2: b.antenna2,
+    alarms: [...b.alarms].sort(),
+  };
+}
+
+function parseTime(v, name) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(String(v));
+  if (!Number.isFinite(n)) throw new Error(`${name} must be an ISO time or epoch ms`);
+  return n;
+}
+
+/**
+ * History for one site, oldest first. Throws on a bad metric/time; null if the site was never seen.
+ * With `metric`, points are { t, value } (battery buckets also carry min/max) and discrete metrics
+ * get their `transitions` [{ t, from, to }].
+ */
+export function siteHistory(siteId, { from, to, metric } = {}) {
+  const field = metric ? METRICS[metric] : null;
+  if (metric && !field) throw new Error(`metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+  const fromMs = parseTime(from, 'from');
+  const toMs = parseTime(to, 'to');
+  if (fromMs !== null && toMs !== null && fromMs > toMs) throw new Error('from must be before to');
+
+  const s = series.get(siteId);
+  if (!s) return null;
+
+  const inRange = (t) => (fromMs === null || t >= fromMs) && (toMs === null || t <= toMs);
+  const points = [
+    ...s.buckets.map(bucketView),
+    ...s.raw.map(p => ({ ...p, resolution: 'raw' })),
+  ].filter(p => inRange(p.t));
+
+  const out = {
+    siteId,
+    from: fromMs !== null ? new Date(fromMs).toISOString() : null,
+    to: toMs !== null ? new Date(toMs).toISOString() : null,
+    resolution: { rawMs: RAW_WINDOW_MS, bucketMs: BUCKET_MS, retentionMs: RETENTION_MS },
+    count: points.length,
+  };
+
+  if (!field) {
+    out.points = points.map(p => ({ ...p, t: new Date(p.t).toISOString() }));
+    return out;
+  }
+
+  out.metric = field;
+  out.points = points.map(p => ({
+    t: new Date(p.t).toISOString(),
+    resolution: p.resolution,
+    value: p[field],
+    ...(field === 'batteryPercent' && p.resolution === 'bucket' ? { min: p.batteryMin, max: p.batteryMax } : {}),
+  }));
+  if (DISCRETE.includes(field)) {
+    out.transitions = [];
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1][field];
+      const b = points[i][field];
+      if (a !== b) out.transitions.push({ t: new Date(points[i].t).toISOString(), from: a, to: b });
+    }
+  }
+  return out;
+}
+
+/** Battery change over the last `windowMs` of raw points, in % per hour (negative = draining), or null. */
+export function batteryRate(siteId, windowMs = 30 * 60_000, now = Date.now()) {
+  const raw = (series.get(siteId)?.raw || []).filter(p => p.t >= now - windowMs && p.batteryPercent !== null);
+  if (raw.length < 2) return null;
+  const a = raw[0];
+  const b = raw[raw.length - 1];
+  const hours = (b.t - a.t) / 3_600_000;
+  if (hours <= 0) return null;
+  return Math.round(((b.batteryPercent - a.batteryPercent) / hours) * 10) / 10;
+}
+
+/** When a discrete metric last took its current value (e.g. A2 'Unavailable' since …), or null. */
+export function lastChange(siteId, metric) {
+  const field = METRICS[metric];
+  const s = series.get(siteId);
+  if (!field || !DISCRETE.includes(field) || !s) return null;
+  const points = [...s.buckets.map(bucketView), ...s.raw];
+  if (!points.length) return null;
+  const current = points[points.length - 1][field];
+  let since = points[points.length - 1].t;
+  for (let i = points.length - 2; i >= 0 && points[i][field] === current; i--) since = points[i].t;
+  return { value: current, since: new Date(since).toISOString() };
+}
+
+/** One-line trend for dispatch notes/agents ("battery -12%/h (~4h left); A2 Unavailable since …"), or ''. */
+export function describeTrend(siteId) {
+  const parts = [];
+  const rate = batteryRate(siteId);
+  if (rate !== null && rate !== 0) {
+    const last = series.get(siteId)?.raw.at(-1)?.batteryPercent;
+    const left = rate < 0 && Number.isFinite(last) ? ` (~${Math.max(0, Math.round((last / -rate) * 60))} min left)` : '';
+    parts.push(`battery ${rate > 0 ? '+' : ''}${rate}%/h${left}`);
+  }
+  for (const [metric, label] of [['mains', 'mains'], ['antenna1', 'A1'], ['antenna2', 'A2']]) {
+    const c = lastChange(siteId, metric);
+    if (c && (c.value === 'off' || c.value === 'Unavailable')) parts.push(`${label} ${c.value} since ${c.since}`);
+  }
+  return parts.join('; ');
+}
+
+export function historyStatus() {
+  let raw = 0;
+  let buckets = 0;
+  for (const s of series.values()) {
+    raw += s.raw.length;
+    buckets += s.buckets.length;
+  }
+  return { sites: series.size, rawPoints: raw, buckets, rawWindowMs: RAW_WINDOW_MS, bucketMs: BUCKET_MS, retentionMs: RETENTION_MS };
+}
@@ -1,6 +1,9 @@
 // server/tower/routes.js
 import { Router } from 'express';
-import { getTowerSnapshot, subscribeTower } from './bridge.js';
+import { getTowerBackends, getTowerHealth, getTowerSnapshot, getTowerSync, subscribeTower } from './bridge.js';
+import { siteHistory, historyStatus } from './history.js';
+import { listDrivers } from './drivers/index.js';
+import { listAudit, getAuditRecord, gatewayStatus } from './gateway.js';
 
 const router = Router();
 
@@ -9,12 +12,76 @@ function fresh(res) {
   res.setHeader('Pragma', 'no-cache'); res.setHeader('Expires', '0'); return res;
 }
 
+// Connection status per backend (element manager) and which backend serves each region
+router.get('/', (_req, res) => {
+  fresh(res).json({ ok: true, ...getTowerBackends() });
+});
+
 router.get('/state', async (_req, res) => {
   const snap = await getTowerSnapshot();
   if (!snap.ok) return fresh(res).status(503).json({ ok: false, error: 'tower unavailable' });
   return fresh(res).json(snap);
 });
 
+// Connectivity: WS status + reconnect history, message rates, HTTP fallback counts, snapshot age (503 when every backend is stale)
+router.get('/health', (_req, res) => {
+  const health = getTowerHealth();
+  fresh(res).status(health.status === 'down' ? 503 : 200).json({ ok: health.status !== 'down', ...health });
+});
+
+// Which channel feeds the delta emitter, and how many snapshots were dropped as stale/duplicate
+router.get('/sync', (_req, res) => {
+  fresh(res).json({ ok: true, sync: getTowerSync() });
+});
+
+// Southbound drivers (type, regions served, capabilities)
+router.get('/drivers', (_req, res) => {
+  fresh(res).json({ ok: true, drivers: listDrivers() });
+});
+
+// Command audit (newest first): ?siteId=&op=power|rru&outcome=executed|blocked|failed&actor=&limit=
+router.get('/audit', (req, res) => {
+  try {
+    const q = req.query;
+    const records = listAudit({
+      siteId: q.siteId ? String(q.siteId) : undefined,
+      op: q.op ? String(q.op) : undefined,
+      outcome: q.outcome ? String(q.outcome) : undefined,
+      actor: q.actor ? String(q.actor) : undefined,
+      limit: q.limit,
+    });
+    fresh(res).json({ ok: true, gateway: gatewayStatus(), records });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
+router.get('/audit/:id', (req, res) => {
+  const record = getAuditRecord(String(req.params.id));
+  if (!record) return fresh(res).status(404).json({ ok: false, error: 'Audit record not found' });
+  fresh(res).json({ ok: true, record });
+});
+
+// Time-series store status (sites tracked, points held, resolutions)
+router.get('/history', (_req, res) => {
+  fresh(res).json({ ok: true, history: historyStatus() });
+});
+
+// One site's metrics over time: ?from=&to=&metric=mains|siteAlive|batteryPercent|antenna1|antenna2|alarms
+router.get('/history/:siteId', (req, res) => {
+  try {
+    const history = siteHistory(String(req.params.siteId), {
+      from: req.query.from,
+      to: req.query.to,
+      metric: req.query.metric ? String(req.query.metric) : undefined,
+    });
+    if (!history) return fresh(res).status(404).json({ ok: false, error: 'No history for site' });
+    fresh(res).json({ ok: true, ...history });
+  } catch (e) {
+    fresh(res).status(400).json({ ok: false, error: e.message });
+  }
+});
+
 router.get('/stream', (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
   res.setHeader('Cache-Control', 'no-cache, no-transform');
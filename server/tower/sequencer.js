@@ -0,0 +1,92 @@
+// server/tower/sequencer.js
+// Orders tower-sim snapshots arriving over WS and HTTP before they reach the delta emitter.
+// - A snapshot's position is its source version (version/seq) when both sides carry one,
+//   otherwise its source timestamp (ts/updatedAt), otherwise the time it was received.
+// - Anything not newer than the last accepted snapshot is dropped (stale or duplicate),
+//   so the same state seen on both channels is diffed once.
+// - resync() (after a WS reconnect) accepts the next snapshot whatever its position — the sim
+//   may have restarted and reset its counters — and the emitter diffs it against what it
+//   already knows instead of re-raising every alarm.
+
+const num = (v) => (v === null || v === undefined || v === '' ? null : (Number.isFinite(Number(v)) ? Number(v) : null));
+
+function timeOf(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = typeof v === 'number' ? v : Date.parse(String(v));
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Version/timestamp carried by a snapshot (the envelope wins over the state body). */
+function positionOf(state, envelope = null) {
+  const e = envelope || {};
+  const s = state || {};
+  return {
+    version: num(e.version ?? e.seq ?? e.payload?.version ?? e.payload?.seq ?? s.version ?? s.seq),
+    sourceTs: timeOf(e.ts ?? e.payload?.ts ?? s.ts ?? s.updatedAt),
+  };
+}
+
+export class SnapshotSequencer {
+  constructor() {
+    this.last = null;            // { source, version, sourceTs, receivedAt }
+    this.pendingResync = false;
+    this.counts = {};            // source -> { accepted, stale, duplicate }
+    this.resyncs = 0;
+  }
+
+  _count(source, outcome) {
+    const c = (this.counts[source] ||= { accepted: 0, stale: 0, duplicate: 0 });
+    c[outcome] += 1;
+  }
+
+  /** Next snapshot is taken as-is (reconnect / source restart). */
+  resync() {
+    this.pendingResync = true;
+  }
+
+  /**
+   * Decide whether a snapshot is newer than the last accepted one.
+   * @returns {{ accepted: boolean, reason: 'first'|'newer'|'resync'|'stale'|'duplicate', version, sourceTs }}
+   */
+  accept(state, { source = 'unknown', envelope = null, now = Date.now() } = {}) {
+    const { version, sourceTs } = positionOf(state, envelope);
+    const prev = this.last;
+
+    let reason;
+    if (!prev) reason = 'first';
+    else if (this.pendingResync) reason = 'resync';
+    else if (version !== null && prev.version !== null) {
+      reason = version > prev.version ? 'newer' : version === prev.version ? 'duplicate' : 'stale';
+    } else if (sourceTs !== null && prev.sourceTs !== null) {
+      reason = sourceTs > prev.sourceTs ? 'newer' : sourceTs === prev.sourceTs ? 'duplicate' : 'stale';
+    } else {
+      reason = 'newer'; // nothing to order by: arrival order
+    }
+
+    if (reason === 'stale' || reason === 'duplicate') {
+      this._count(source, reason);
+      return { accepted: false, reason, version, sourceTs };
+    }
+
+    if (reason === 'resync') this.resyncs += 1;
+    this.pendingResync = false;
+    this.last = { source, version, sourceTs, receivedAt: now };
+    this._count(source, 'accepted');
+    return { accepted: true, reason, version, sourceTs };
+  }
+
+  snapshot() {
+    const l = this.last;
+    return {
+      last: l && {
+        source: l.source,
+        version: l.version,
+        sourceTs: l.sourceTs !== null ? new Date(l.sourceTs).toISOString() : null,
+        receivedAt: new Date(l.receivedAt).toISOString(),
+      },
+      pendingResync: this.pendingResync,
+      resyncs: this.resyncs,
+      counts: this.counts,
+    };
+  }
+}
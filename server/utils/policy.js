@@ -1,26 +1,18 @@
 // server/utils/policy.js
 // Centralized, case-insensitive policy helpers + alarm filters
 
-// --- Alarm helpers (exported so agents can import directly) ---
-const CRITICAL_PATTERNS = [
-  /ServiceUnavailable/i,
-  /HeartbeatFailure/i,
-  /MainsFailure/i,
-];
+import { isCritical, isNoise } from '../alarms/store.js';
 
-const NOISE_ALARMS = new Set(['unknown', 'heartbeat', 'noop']);
-
-/** Returns true if alarm string matches our critical patterns. */
+// --- Alarm helpers (exported so agents can import directly; backed by the alarm catalog) ---
+/** Returns true if the catalog rates this alarm (code or alias) critical. */
 export function isCriticalAlarm(alarm) {
   if (!alarm) return false;
-  const s = String(alarm);
-  return CRITICAL_PATTERNS.some(rx => rx.test(s));
+  return isCritical(alarm);
 }
 
-/** Returns true if alarm is considered noise (unknown/heartbeat/noop). */
+/** Returns true if the catalog flags this alarm as noise (unknown/heartbeat/noop by default). */
 export function isNoiseAlarm(alarm) {
-  const a = String(alarm || '').toLowerCase();
-  return NOISE_ALARMS.has(a);
+  return isNoise(alarm);
 }
 
 // --- Policy normalization ---
@@ -47,6 +39,3 @@ export function shouldAutoMitigate(policy, toggle = { enabled: false }) {
   const wow = normalizePolicyValue(policy?.waysOfWorking);
   return wow === 'e2e automation' || !!toggle?.enabled;
 }
-
-// Re-export sets/patterns if you need them elsewhere (optional)
-export const __internals = { CRITICAL_PATTERNS, NOISE_ALARMS };
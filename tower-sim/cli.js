@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// tower-sim/cli.js
+// Usage:
+//   tower-sim [--sites 6] [--per-region 3] [--seed 42] [--speed 1] [--tick 1000]
+//             [--http-port 7071] [--ws-port 7070] [--scenario <spec>]...
+//   tower-sim scenarios                     list the available scenarios
+// <spec> is mode[:site|key=value,...], e.g.
+//   --scenario mains-failure:S1,restoreAfterSec=300
+//   --scenario regional-outage:region=R2
+//   --scenario flapping:S3,target=a2,periodSec=5
+// Flags fall back to TOWER_SIM_* environment variables.
+
+import { Simulator } from './src/sim.js';
+import { serve } from './src/server.js';
+import { listScenarios } from './src/scenarios.js';
+
+const env = process.env;
+const FLAGS = {
+  '--sites': 'sites',
+  '--per-region': 'perRegion',
+  '--seed': 'seed',
+  '--speed': 'speed',
+  '--tick': 'tickMs',
+  '--http-port': 'httpPort',
+  '--ws-port': 'wsPort',
+};
+
+function parseArgs(argv) {
+  const opts = {
+    sites: env.TOWER_SIM_SITES,
+    perRegion: env.TOWER_SIM_PER_REGION,
+    seed: env.TOWER_SIM_SEED,
+    speed: env.TOWER_SIM_SPEED,
+    tickMs: env.TOWER_SIM_TICK_MS,
+    httpPort: env.TOWER_SIM_HTTP_PORT || 7071,
+    wsPort: env.TOWER_SIM_WS_PORT || 7070,
+    scenarios: [],
+    command: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--scenario') opts.scenarios.push(argv[++i]);
+    else if (FLAGS[a]) opts[FLAGS[a]] = argv[++i];
+    else if (a === '-h' || a === '--help') opts.command = 'help';
+    else if (!a.startsWith('-') && !opts.command) opts.command = a;
+    else throw new Error(`unknown argument: ${a}`);
+  }
+  return opts;
+}
+
+function parseScenario(spec) {
+  const [mode, rest = ''] = String(spec || '').split(/:(.*)/s);
+  const out = { mode };
+  for (const part of rest.split(',').map(s => s.trim()).filter(Boolean)) {
+    const i = part.indexOf('=');
+    if (i < 0) out.site = part;
+    else out[part.slice(0, i)] = part.slice(i + 1);
+  }
+  return out;
+}
+
+function usage() {
+  console.log(`tower-sim [--sites N] [--per-region N] [--seed N] [--speed X] [--tick MS]
+          [--http-port 7071] [--ws-port 7070] [--scenario mode[:site|key=value,...]]...
+tower-sim scenarios`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.command === 'help') return usage();
+  if (opts.command === 'scenarios') {
+    for (const s of listScenarios()) console.log(`${s.mode.padEnd(16)} ${s.description}`);
+    return;
+  }
+  if (opts.command) throw new Error(`unknown command: ${opts.command}`);
+
+  const sim = new Simulator({
+    sites: opts.sites,
+    perRegion: opts.perRegion,
+    seed: opts.seed ?? Date.now(),
+    speed: opts.speed,
+    tickMs: opts.tickMs,
+  });
+  const server = await serve(sim, { httpPort: Number(opts.httpPort), wsPort: Number(opts.wsPort) });
+  sim.start();
+  console.log(`[tower-sim] ${sim.sites.size} sites, seed ${sim.seed}, speed ×${sim.speed} — HTTP :${opts.httpPort}, WS :${opts.wsPort}`);
+
+  for (const spec of opts.scenarios) {
+    const run = sim.runScenario(parseScenario(spec));
+    console.log(`[tower-sim] scenario ${run.id} ${run.mode} on ${run.sites.join(', ')}`);
+  }
+  sim.on('envelope', (e) => {
+    if (e.type === 'scenario.started' || e.type === 'scenario.finished') console.log(`[tower-sim] ${e.type} ${e.id} ${e.mode}${e.cancelled ? ' (cancelled)' : ''}`);
+  });
+
+  const shutdown = async () => {
+    sim.stop();
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((e) => {
+  console.error(`[tower-sim] ${e.message}`);
+  process.exit(1);
+});
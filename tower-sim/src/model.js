@@ -0,0 +1,144 @@
+// tower-sim/src/model.js
+// Physics-like model of one cell site, advanced in fixed ticks.
+// - Mains on: battery charges; mains off: battery drains (base load + each radio that is on).
+// - Battery at 0 with mains off: the site dies; restoring power boots it after `bootMs`.
+// - An RRU switched on comes up after `rruUpMs`, Available unless it fails (`rruFailProb`)
+//   or is stuck (scenario) — a failed radio stays Unavailable until it is reset (off → on).
+// - Alarms are derived from the state every tick, using the names the server's catalog knows.
+
+export const DEFAULTS = Object.freeze({
+  chargePctPerMin: 2,
+  drainPctPerMin: 1,          // base load on battery
+  radioDrainPctPerMin: 0.5,   // per radio that is on
+  lowBatteryPct: 40,          // BatteryLow with mains off below this
+  bootMs: 8000,
+  rruUpMs: 2000,
+  rruFailProb: 0.1,
+});
+
+const ANTENNAS = ['a1', 'a2'];
+
+export function createSite(id, { region = null, batteryPercent = 100, ...params } = {}) {
+  return {
+    id,
+    region,
+    mains: 'on',
+    battery: Number(batteryPercent),
+    alive: true,
+    bootUntil: null,               // boot in progress (sim time, ms)
+    maintenance: null,             // { crqId, since } while under planned work
+    radios: {
+      a1: { rru: 'on', service: 'Available', upAt: null, failed: false, stuck: false },
+      a2: { rru: 'on', service: 'Available', upAt: null, failed: false, stuck: false },
+    },
+    forced: new Set(),             // alarms injected by scenarios (e.g. flapping)
+    params: { ...DEFAULTS, ...params },
+  };
+}
+
+// ---------- commands ----------
+export function setMains(site, state, now) {
+  if (state !== 'on' && state !== 'off') throw new Error('state must be "on" or "off"');
+  if (site.mains === state) return false;
+  site.mains = state;
+  // Power back on a dead site → boot sequence
+  if (state === 'on' && !site.alive) site.bootUntil = now + site.params.bootMs;
+  return true;
+}
+
+export function setRru(site, antenna, state, now, rng) {
+  if (!ANTENNAS.includes(antenna)) throw new Error('antenna must be "a1" or "a2"');
+  if (state !== 'on' && state !== 'off') throw new Error('state must be "on" or "off"');
+  const r = site.radios[antenna];
+  if (state === 'off') {
+    r.rru = 'off';
+    r.service = 'Unavailable';
+    r.upAt = null;
+    r.failed = false;            // a power cycle clears a failed radio
+    return true;
+  }
+  if (r.rru === 'on' && r.service === 'Available') return false;
+  r.rru = 'on';
+  r.service = 'Unavailable';
+  r.upAt = now + site.params.rruUpMs;
+  r.failed = r.stuck || rng() < site.params.rruFailProb;
+  return true;
+}
+
+// ---------- physics ----------
+/** Advance the site by `dtMs` (sim time). Returns true if anything visible changed. */
+export function tick(site, now, dtMs) {
+  const before = fingerprint(site);
+  const p = site.params;
+  const minutes = dtMs / 60_000;
+  const radiosOn = ANTENNAS.filter(a => site.radios[a].rru === 'on').length;
+
+  if (site.mains === 'on') {
+    site.battery = Math.min(100, site.battery + p.chargePctPerMin * minutes);
+  } else if (site.alive) {
+    site.battery = Math.max(0, site.battery - (p.drainPctPerMin + p.radioDrainPctPerMin * radiosOn) * minutes);
+    if (site.battery <= 0) site.alive = false;
+  }
+
+  if (site.bootUntil !== null && now >= site.bootUntil) {
+    site.bootUntil = null;
+    site.alive = true;
+    // Radios that were on come back up through the normal RRU start
+    for (const a of ANTENNAS) {
+      const r = site.radios[a];
+      if (r.rru === 'on') r.upAt = now + p.rruUpMs;
+    }
+  }
+  if (!site.alive && site.bootUntil === null && site.mains === 'on') site.bootUntil = now + p.bootMs;
+
+  for (const a of ANTENNAS) {
+    const r = site.radios[a];
+    if (!site.alive || site.maintenance || r.rru === 'off') {
+      r.service = 'Unavailable';
+      continue;
+    }
+    if (r.upAt !== null && now >= r.upAt) {
+      r.upAt = null;
+      if (r.stuck) r.failed = true;
+    }
+    r.service = r.upAt === null && !r.failed ? 'Available' : 'Unavailable';
+  }
+
+  return fingerprint(site) !== before;
+}
+
+export function alarmsOf(site) {
+  const alarms = [];
+  if (site.mains === 'off') alarms.push('MainsFailure');
+  if (site.mains === 'off' && site.battery < site.params.lowBatteryPct) alarms.push('BatteryLow');
+  if (!site.alive && !site.maintenance) alarms.push('SiteDown');
+  if (site.alive && !site.maintenance) {
+    for (const a of ANTENNAS) {
+      const r = site.radios[a];
+      if (r.rru === 'on' && r.upAt === null && r.service === 'Unavailable') alarms.push(`Antenna.${a.toUpperCase()}.Unavailable`);
+    }
+  }
+  for (const f of site.forced) if (!alarms.includes(f)) alarms.push(f);
+  return alarms;
+}
+
+/** Public view — the shape the server reads from /state and WS state.update. */
+export function viewOf(site) {
+  return {
+    region: site.region,
+    mains: site.mains,
+    siteAlive: site.alive,
+    booting: site.bootUntil !== null,
+    batteryPercent: Math.round(site.battery),
+    antenna1: { rru: site.radios.a1.rru, service: site.radios.a1.service },
+    antenna2: { rru: site.radios.a2.rru, service: site.radios.a2.service },
+    maintenance: site.maintenance,
+    alarms: alarmsOf(site),
+  };
+}
+
+function fingerprint(site) {
+  return JSON.stringify(viewOf(site));
+}
+
+export { ANTENNAS };
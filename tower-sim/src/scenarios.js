@@ -0,0 +1,95 @@
+// tower-sim/src/scenarios.js
+// Scriptable fault scenarios. Each one schedules steps (in sim seconds) on its target sites
+// through the ctx handed in by Simulator.runScenario():
+//   ctx.sites            target site ids
+//   ctx.at(sec, fn)      run fn after `sec` sim seconds (0 = now)
+//   ctx.power(state)     mains on/off on every target site
+//   ctx.rru(antenna, on) RRU command on every target site
+//   ctx.each(fn)         fn(rawSite) for every target site
+// Options come from POST /scenario (or the CLI), e.g. { mode: 'mains-failure', site: 'S1', restoreAfterSec: 120 }.
+
+const secs = (v, fallback) => (v === undefined || v === null || v === '' ? fallback : Math.max(0, Number(v) || 0));
+
+export const SCENARIOS = {
+  'mains-failure': {
+    description: 'Grid power lost; battery takes over. Optional restoreAfterSec brings it back.',
+    run(ctx, { restoreAfterSec } = {}) {
+      ctx.at(0, () => ctx.power('off'));
+      const restore = secs(restoreAfterSec, null);
+      if (restore !== null) ctx.at(restore, () => ctx.power('on'));
+    },
+  },
+
+  'rru-stuck': {
+    description: 'An RRU (default a2) fails and will not come back until the scenario ends (durationSec) and it is reset.',
+    run(ctx, { antenna = 'a2', durationSec } = {}) {
+      if (!['a1', 'a2'].includes(antenna)) throw new Error('antenna must be "a1" or "a2"');
+      ctx.at(0, () => ctx.each(site => {
+        const r = site.radios[antenna];
+        r.stuck = true;
+        r.failed = true;
+      }));
+      const duration = secs(durationSec, null);
+      if (duration !== null) ctx.at(duration, () => ctx.each(site => { site.radios[antenna].stuck = false; }));
+    },
+  },
+
+  flapping: {
+    description: 'Toggles mains (or a radio fault on target "a1"/"a2", or any alarm name) every periodSec for `cycles` raise/clear pairs.',
+    run(ctx, { target = 'mains', periodSec = 10, cycles = 6 } = {}) {
+      const period = Math.max(1, secs(periodSec, 10));
+      const n = Math.max(1, Math.min(1000, Number(cycles) || 6));
+      const toggle = (down) => {
+        if (target === 'mains') return ctx.power(down ? 'off' : 'on');
+        // the radio stays on and fails/recovers — an RRU switched off raises no Unavailable alarm
+        if (target === 'a1' || target === 'a2') {
+          return ctx.each(site => { site.radios[target].failed = down || site.radios[target].stuck; });
+        }
+        return ctx.each(site => (down ? site.forced.add(target) : site.forced.delete(target)));
+      };
+      for (let i = 0; i < n; i++) {
+        ctx.at(i * 2 * period, () => toggle(true));
+        ctx.at((i * 2 + 1) * period, () => toggle(false));
+      }
+    },
+  },
+
+  'regional-outage': {
+    description: 'Mains lost across a region (or site list), staggered by staggerSec; optional restoreAfterSec.',
+    run(ctx, { staggerSec = 1, restoreAfterSec } = {}) {
+      const stagger = secs(staggerSec, 1);
+      const restore = secs(restoreAfterSec, null);
+      ctx.sites.forEach((id, i) => {
+        ctx.at(i * stagger, () => ctx.power('off', [id]));
+        if (restore !== null) ctx.at(restore + i * stagger, () => ctx.power('on', [id]));
+      });
+    },
+  },
+
+  maintenance: {
+    description: 'Planned work: radios off air (no alarms) until durationSec elapses or "normal" runs.',
+    run(ctx, { crqId = null, durationSec } = {}) {
+      ctx.at(0, () => ctx.each(site => { site.maintenance = { crqId, since: new Date().toISOString() }; }));
+      const duration = secs(durationSec, null);
+      if (duration !== null) ctx.at(duration, () => ctx.each(site => { site.maintenance = null; }));
+    },
+  },
+
+  normal: {
+    description: 'Back to healthy: mains on, radios on, stuck radios/injected alarms/maintenance cleared.',
+    run(ctx) {
+      ctx.at(0, () => {
+        ctx.power('on');
+        ctx.each(site => {
+          site.maintenance = null;
+          site.forced.clear();
+          for (const r of Object.values(site.radios)) Object.assign(r, { rru: 'on', upAt: null, failed: false, stuck: false });
+        });
+      });
+    },
+  },
+};
+
+export function listScenarios() {
+  return Object.entries(SCENARIOS).map(([mode, s]) => ({ mode, description: s.description }));
+}
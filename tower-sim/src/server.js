@@ -0,0 +1,109 @@
+// tower-sim/src/server.js
+// HTTP control/state API (default :7071) and WS envelope stream (default :7070) over a Simulator.
+//   GET  /state                      → { ts, version, state: { sites } }
+//   POST /power     { sites, state } → sites: 'all' | id | [ids], state: 'on' | 'off'
+//   POST /rru       { site, antenna, state }
+//   GET  /scenario                   → available + running scenarios
+//   POST /scenario  { mode, site | sites | region, ...options }
+//   DELETE /scenario/:id
+//   POST /action    { command }      → free-form command, see Simulator.action()
+//   GET  /health
+// WS clients get the current state.update on connect, then every envelope the sim emits.
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+const MAX_BODY = 64 * 1024;
+
+function send(res, status, obj) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(obj));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (c) => {
+      data += c;
+      if (data.length > MAX_BODY) reject(new Error('body too large'));
+    });
+    req.on('end', () => {
+      if (!data) return resolve({});
+      try { resolve(JSON.parse(data)); } catch { reject(new Error('invalid JSON body')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function routes(sim) {
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+    try {
+      if (req.method === 'GET' && path === '/state') return send(res, 200, { ts: new Date().toISOString(), version: sim.version, state: sim.state() });
+      if (req.method === 'GET' && path === '/health') {
+        return send(res, 200, { ok: true, version: sim.version, sites: sim.sites.size, simSeconds: Math.round(sim.now / 1000), speed: sim.speed, seed: sim.seed });
+      }
+      if (req.method === 'GET' && path === '/scenario') return send(res, 200, { ok: true, ...sim.scenarios() });
+
+      if (req.method === 'DELETE' && path.startsWith('/scenario/')) {
+        const run = sim.cancel(decodeURIComponent(path.slice('/scenario/'.length)));
+        return run ? send(res, 200, { ok: true, run }) : send(res, 404, { ok: false, error: 'no such running scenario' });
+      }
+
+      if (req.method === 'POST') {
+        const body = await readBody(req);
+        if (path === '/power') return send(res, 200, sim.power(body.sites ?? 'all', body.state));
+        if (path === '/rru') return send(res, 200, sim.rru(body.site, body.antenna, body.state));
+        if (path === '/scenario') return send(res, 200, { ok: true, run: sim.runScenario({ ...body, mode: body.mode ?? body.name }) });
+        if (path === '/action') return send(res, 200, sim.action(body.command));
+      }
+
+      send(res, 404, { ok: false, error: `no route ${req.method} ${path}` });
+    } catch (e) {
+      send(res, /^unknown site|^unknown region/.test(e.message) ? 404 : 400, { ok: false, error: e.message });
+    }
+  };
+}
+
+/** Start both listeners. Resolves with { http, wss, close() }. */
+export async function serve(sim, { httpPort = 7071, wsPort = 7070, host = '0.0.0.0' } = {}) {
+  const server = http.createServer(routes(sim));
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(httpPort, host, resolve);
+  });
+
+  const wss = new WebSocketServer({ port: wsPort, host });
+  await new Promise((resolve, reject) => {
+    wss.once('listening', resolve);
+    wss.once('error', reject);
+  });
+
+  wss.on('connection', (socket) => {
+    socket.send(JSON.stringify({ type: 'state.update', version: sim.version, ts: new Date().toISOString(), state: sim.state() }));
+  });
+
+  const onEnvelope = (env) => {
+    const line = JSON.stringify(env);
+    for (const c of wss.clients) {
+      if (c.readyState === c.OPEN) {
+        try { c.send(line); } catch { /* dropped client */ }
+      }
+    }
+  };
+  sim.on('envelope', onEnvelope);
+
+  return {
+    http: server,
+    wss,
+    close() {
+      sim.off('envelope', onEnvelope);
+      for (const c of wss.clients) c.terminate();
+      return Promise.all([
+        new Promise(r => wss.close(() => r())),
+        new Promise(r => server.close(() => r())),
+      ]);
+    },
+  };
+}
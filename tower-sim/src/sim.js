@@ -0,0 +1,232 @@
+// tower-sim/src/sim.js
+// The simulated fleet: sites, sim clock, scenario scheduler and the envelopes the server consumes.
+// Emits 'envelope' with:
+//   { type: 'state.update', version, ts, state }           on every change, and as a heartbeat
+//   { type: 'scenario.started'|'scenario.finished', siteId, ... }
+//   { type: 'command', siteId, op, args, ts }               power/rru commands applied
+// `version` only moves when the visible state changes, so repeated snapshots are recognisable.
+
+import { EventEmitter } from 'events';
+import { createSite, setMains, setRru, tick, viewOf } from './model.js';
+import { SCENARIOS, listScenarios } from './scenarios.js';
+
+// Deterministic RNG (mulberry32) so a seed replays the same RRU failures
+function rngFrom(seed) {
+  let a = Number(seed) >>> 0 || 0x9e3779b9;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class Simulator extends EventEmitter {
+  constructor({
+    sites = 6,
+    perRegion = 3,
+    seed = Date.now(),
+    tickMs = 1000,
+    speed = 1,              // sim seconds per real second (battery, boots, scenario timings)
+    heartbeatMs = 5000,     // state.update even without changes
+    params = {},
+  } = {}) {
+    super();
+    this.tickMs = Math.max(50, Number(tickMs) || 1000);
+    this.speed = Math.max(0.1, Number(speed) || 1);
+    this.heartbeatMs = Math.max(this.tickMs, Number(heartbeatMs) || 5000);
+    this.seed = seed;
+    this.rng = rngFrom(seed);
+    this.now = 0;             // sim clock (ms)
+    this.version = 0;
+    this.sites = new Map();
+    const n = Math.max(1, Math.min(500, Number(sites) || 6));
+    const per = Math.max(1, Number(perRegion) || 3);
+    for (let i = 1; i <= n; i++) {
+      const id = `S${i}`;
+      this.sites.set(id, createSite(id, { region: `R${Math.ceil(i / per)}`, ...params }));
+    }
+    this.steps = [];          // [{ at, fn, runId }] sorted by at
+    this.runs = new Map();    // runId -> { id, mode, sites, options, startedAt, pending }
+    this.nextRunId = 1;
+    this.timer = null;
+    this.lastSentAt = 0;
+  }
+
+  // ---------- lifecycle ----------
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.step(this.tickMs * this.speed), this.tickMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /** Advance the sim clock by dtMs: due scenario steps, then physics, then publish (`changed`: a command already changed state). */
+  step(dtMs, changed = false) {
+    this.now += dtMs;
+    changed = this._runDueSteps() || changed;
+    for (const site of this.sites.values()) changed = tick(site, this.now, dtMs) || changed;
+    if (changed) this._bump();
+    else if (Date.now() - this.lastSentAt >= this.heartbeatMs) this._publishState();
+  }
+
+  _bump() {
+    this.version += 1;
+    this._publishState();
+  }
+
+  _publishState() {
+    this.lastSentAt = Date.now();
+    this.emit('envelope', { type: 'state.update', version: this.version, ts: new Date().toISOString(), state: this.state() });
+  }
+
+  _envelope(type, fields) {
+    this.emit('envelope', { type, ...fields, ts: new Date().toISOString() });
+  }
+
+  // ---------- state ----------
+  state() {
+    const sites = {};
+    for (const [id, site] of this.sites) sites[id] = viewOf(site);
+    return { ts: new Date().toISOString(), version: this.version, sites };
+  }
+
+  /** Resolve 'all' | id | [ids] | { region } to known site ids. Throws on unknown ids. */
+  resolveSites({ site, sites, region } = {}) {
+    if (region) {
+      const ids = [...this.sites.values()].filter(s => s.region === region).map(s => s.id);
+      if (!ids.length) throw new Error(`unknown region: ${region}`);
+      return ids;
+    }
+    const want = sites ?? site;
+    if (want === undefined || want === null || want === '') throw new Error('site, sites or region is required');
+    if (want === 'all') return [...this.sites.keys()];
+    const ids = (Array.isArray(want) ? want : String(want).split(',')).map(s => String(s).trim()).filter(Boolean);
+    const unknown = ids.filter(id => !this.sites.has(id));
+    if (unknown.length) throw new Error(`unknown site(s): ${unknown.join(', ')}`);
+    return ids;
+  }
+
+  // ---------- commands ----------
+  power(target, state) {
+    const ids = this.resolveSites({ sites: target });
+    const changed = ids.filter(id => setMains(this.sites.get(id), state, this.now));
+    for (const id of changed) this._envelope('command', { siteId: id, op: 'power', args: { state } });
+    this.step(0, changed.length > 0);
+    return { ok: true, sites: ids, changed };
+  }
+
+  rru(siteId, antenna, state) {
+    const [id] = this.resolveSites({ site: siteId });
+    const changed = setRru(this.sites.get(id), antenna, state, this.now, this.rng);
+    if (changed) this._envelope('command', { siteId: id, op: 'rru', args: { antenna, state } });
+    this.step(0, changed);
+    return { ok: true, site: id, antenna, state, changed };
+  }
+
+  // ---------- scenarios ----------
+  scenarios() {
+    return { available: listScenarios(), running: [...this.runs.values()].map(r => this._runView(r)) };
+  }
+
+  runScenario({ mode, site, sites, region, ...options } = {}) {
+    const def = SCENARIOS[mode];
+    if (!def) throw new Error(`unknown scenario "${mode}" (one of: ${Object.keys(SCENARIOS).join(', ')})`);
+    const ids = this.resolveSites({ site, sites, region });
+
+    // "normal" also cancels whatever else was scripted on those sites
+    if (mode === 'normal') for (const r of [...this.runs.values()]) if (r.sites.some(id => ids.includes(id))) this.cancel(r.id);
+
+    const run = { id: `SCN-${String(this.nextRunId++).padStart(4, '0')}`, mode, sites: ids, options, startedAt: this.now, pending: 0 };
+    const scheduled = [];
+    const ctx = {
+      sites: ids,
+      at: (sec, fn) => scheduled.push({ at: this.now + Math.max(0, Number(sec) || 0) * 1000, fn, runId: run.id }),
+      power: (state, only = ids) => only.forEach(id => setMains(this.sites.get(id), state, this.now)),
+      rru: (antenna, state, only = ids) => only.forEach(id => setRru(this.sites.get(id), antenna, state, this.now, this.rng)),
+      each: (fn) => ids.forEach(id => fn(this.sites.get(id))),
+    };
+    def.run(ctx, options);   // throws on bad options before anything is scheduled
+
+    run.pending = scheduled.length;
+    this.runs.set(run.id, run);
+    this.steps.push(...scheduled);
+    this.steps.sort((a, b) => a.at - b.at);
+    this._envelope('scenario.started', { siteId: ids.length === 1 ? ids[0] : 'all', id: run.id, mode, sites: ids, options });
+    this.step(0);
+    return this._runView(run);
+  }
+
+  cancel(runId) {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+    this.steps = this.steps.filter(s => s.runId !== runId);
+    this.runs.delete(runId);
+    this._envelope('scenario.finished', { siteId: run.sites.length === 1 ? run.sites[0] : 'all', id: run.id, mode: run.mode, cancelled: true });
+    return this._runView(run);
+  }
+
+  _runDueSteps() {
+    let ran = false;
+    while (this.steps.length && this.steps[0].at <= this.now) {
+      const s = this.steps.shift();
+      const run = this.runs.get(s.runId);
+      try { s.fn(); } catch (e) { console.error(`[tower-sim] ${s.runId} step failed: ${e.message}`); }
+      ran = true;
+      if (run && --run.pending <= 0) {
+        this.runs.delete(run.id);
+        this._envelope('scenario.finished', { siteId: run.sites.length === 1 ? run.sites[0] : 'all', id: run.id, mode: run.mode });
+      }
+    }
+    return ran;
+  }
+
+  _runView(r) {
+    return { id: r.id, mode: r.mode, sites: r.sites, options: r.options, pendingSteps: r.pending, startedAtSimSec: Math.round(r.startedAt / 1000) };
+  }
+
+  // ---------- free-form commands (POST /action) ----------
+  /**
+   * "power off S1" | "power on all" | "rru S1 a2 off" | "scenario mains-failure S3" |
+   * "scenario regional-outage region=R2 restoreAfterSec=60" | "cancel SCN-0001" | "advance 120"
+   */
+  action(command) {
+    const words = String(command || '').trim().split(/\s+/).filter(Boolean);
+    const [verb, ...rest] = words;
+    switch (verb) {
+      case 'power':
+        if (rest.length !== 2) throw new Error('usage: power <on|off> <site|all>');
+        return this.power(rest[1], rest[0]);
+      case 'rru':
+        if (rest.length !== 3) throw new Error('usage: rru <site> <a1|a2> <on|off>');
+        return this.rru(rest[0], rest[1], rest[2]);
+      case 'scenario': {
+        const [mode, ...args] = rest;
+        const opts = { mode };
+        for (const a of args) {
+          const i = a.indexOf('=');
+          if (i < 0) opts.site = a;
+          else opts[a.slice(0, i)] = a.slice(i + 1);
+        }
+        return { ok: true, run: this.runScenario(opts) };
+      }
+      case 'cancel': {
+        const run = this.cancel(rest[0]);
+        if (!run) throw new Error(`no running scenario ${rest[0]}`);
+        return { ok: true, run };
+      }
+      case 'advance': {
+        const sec = Number(rest[0]);
+        if (!Number.isFinite(sec) || sec <= 0) throw new Error('usage: advance <seconds>');
+        for (let t = 0; t < sec * 1000; t += this.tickMs) this.step(Math.min(this.tickMs, sec * 1000 - t));
+        return { ok: true, simSeconds: Math.round(this.now / 1000) };
+      }
+      default:
+        throw new Error('unknown command (power, rru, scenario, cancel, advance)');
+    }
+  }
+}